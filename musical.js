@@ -1,18 +1,995 @@
-(function(f){if(typeof exports==="object"&&typeof module!=="undefined"){module.exports=f()}else if(typeof define==="function"&&define.amd){define([],f)}else{var g;if(typeof window!=="undefined"){g=window}else if(typeof global!=="undefined"){g=global}else if(typeof self!=="undefined"){g=self}else{g=this}g.musical = f()}})(function(){var define,module,exports;return (function e(t,n,r){function s(o,u){if(!n[o]){if(!t[o]){var a=typeof require=="function"&&require;if(!u&&a)return a(o,!0);if(i)return i(o,!0);var f=new Error("Cannot find module '"+o+"'");throw f.code="MODULE_NOT_FOUND",f}var l=n[o]={exports:{}};t[o][0].call(l.exports,function(e){var n=t[o][1][e];return s(n?n:e)},l,l.exports,e,t,n,r)}return n[o].exports}var i=typeof require=="function"&&require;for(var o=0;o<r.length;o++)s(r[o]);return s})({1:[function(require,module,exports){
+(function(f){if(typeof exports==="object"&&typeof module!=="undefined"){module.exports=f()}else if(typeof define==="function"&&define.amd){define([],f)}else{var g;if(typeof window!=="undefined"){g=window}else if(typeof global!=="undefined"){g=global}else if(typeof self!=="undefined"){g=self}else{g=this}g.musical = f()}})(function(){var define,module,exports;return (function(){function r(e,n,t){function o(i,f){if(!n[i]){if(!e[i]){var c="function"==typeof require&&require;if(!f&&c)return c(i,!0);if(u)return u(i,!0);var a=new Error("Cannot find module '"+i+"'");throw a.code="MODULE_NOT_FOUND",a}var p=n[i]={exports:{}};e[i][0].call(p.exports,function(r){var n=e[i][1][r];return o(n||r)},p,p.exports,r,e,n,t)}return n[i].exports}for(var u="function"==typeof require&&require,i=0;i<t.length;i++)o(t[i]);return o}return r})()({1:[function(require,module,exports){
+// Accompaniment for the chord symbols (such as "G", "D7" or "Am7/E") that
+// are written above the melody in many ABC tunes.  The parser turns each
+// chord symbol into a {root, quality, extensions, bass} object attached
+// to a stem, and Instrument.play uses the functions here to voice each
+// chord and to render it in one of several accompaniment patterns.
+
+// Semitones above the root for each chord quality.
+var qualityIntervals = {
+  maj: [0, 4, 7],
+  min: [0, 3, 7],
+  dim: [0, 3, 6],
+  aug: [0, 4, 8],
+  sus2: [0, 2, 7],
+  sus4: [0, 5, 7]
+};
+// Semitones above the root added by each chord extension.
+var extensionIntervals = {
+  '6': [9], '6/9': [9, 14], '7': [10], '9': [10, 14], '11': [10, 14, 17],
+  '13': [10, 14, 21],
+  'maj7': [11], 'maj9': [11, 14], 'maj11': [11, 14, 17],
+  'maj13': [11, 14, 21], 'add2': [2], 'add4': [5], 'add9': [14],
+  'add11': [17], 'add13': [21], 'b9': [13], '#9': [15], '#11': [18],
+  'b13': [20]
+};
+var rootSemitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Converts a chord root such as "F#" or "Bb" to a semitone from 0 to 11.
+function rootToSemitone(root) {
+  var s = rootSemitone[root.charAt(0)];
+  if (root.charAt(1) == '#') { s += 1; }
+  if (root.charAt(1) == 'b') { s -= 1; }
+  return (s + 12) % 12;
+}
+
+// Voices a parsed chord symbol as midi numbers: the chord tones are
+// returned in close position starting from the root in the octave
+// below middle C, and the bass is the root (or the slash bass note)
+// an octave lower.  Returns null for "N.C." (no chord).
+var voiceChord = module.exports.voiceChord = function(chord) {
+  if (!chord || !chord.root) { return null; }
+  var root = 48 + rootToSemitone(chord.root),
+      intervals = qualityIntervals[chord.quality] || qualityIntervals.maj,
+      notes = intervals.slice(), seen = {}, tones = [], j, k, ext, add;
+  for (j = 0; j < chord.extensions.length; ++j) {
+    ext = chord.extensions[j];
+    if (ext == 'b5' || ext == '#5') {
+      // Altered fifths replace the fifth.
+      notes[2] = (ext == 'b5') ? 6 : 8;
+      continue;
+    }
+    add = extensionIntervals[ext] || [];
+    for (k = 0; k < add.length; ++k) {
+      // A diminished seventh chord has a doubly-flatted seventh.
+      notes.push(add[k] == 10 && chord.quality == 'dim' ? 9 : add[k]);
+    }
+  }
+  for (j = 0; j < notes.length; ++j) {
+    if (!seen[notes[j]]) {
+      seen[notes[j]] = true;
+      tones.push(root + notes[j]);
+    }
+  }
+  tones.sort(function(a, b) { return a - b; });
+  return {
+    bass: 36 + (chord.bass ? rootToSemitone(chord.bass) :
+        rootToSemitone(chord.root)),
+    tones: tones
+  };
+};
+
+// The accompaniment patterns.  Each one is a function of the voiced
+// chord and the number of the beat within the measure, returning the
+// events for that beat as a list of {time, duration, midi} with times in
+// beats relative to the start of the beat.
+var patterns = {
+  // A block chord struck on each beat.
+  block: function(v, beat) {
+    return strike(v.tones.concat([v.bass]), 0, 1);
+  },
+  // Bass on the strong beats, chord on the weak beats.
+  oompah: function(v, beat) {
+    return beat % 2 ? strike(v.tones, 0, 1) : strike([v.bass], 0, 1);
+  },
+  // Broken chord in half beats: bottom, top, middle, top.
+  alberti: function(v, beat) {
+    var top = v.tones[v.tones.length - 1],
+        middle = v.tones[Math.floor((v.tones.length - 1) / 2)];
+    return [
+      { time: 0, duration: 0.5, midi: beat % 2 ? middle : v.tones[0] },
+      { time: 0.5, duration: 0.5, midi: top }
+    ];
+  },
+  // Bass on the first beat of three, strummed chords on the others.
+  waltz: function(v, beat) {
+    if (beat % 3 == 0) { return strike([v.bass], 0, 1); }
+    return strike(v.tones, 1 / 32, 1);
+  }
+};
+
+// Makes a pattern from an abcMIDI gchord string such as "fzczfzcz",
+// which divides a measure of the given number of beats evenly among its
+// characters: f plays the bass, c the chord, b both, and z rests; g, h,
+// i and j play the first to fourth chord tones, and G, H, I and J play
+// them an octave lower.  A number after a character lengthens it.
+function gchordPattern(str, measure) {
+  var items = [], total = 0, m, re = /([a-zA-Z])(\d*)/g, j;
+  while ((m = re.exec(str))) {
+    items.push({ code: m[1], start: total, units: Number(m[2] || 1) });
+    total += Number(m[2] || 1);
+  }
+  return function(v, beat) {
+    var result = [], unit = measure / total, time, notes, k;
+    beat = beat % measure;
+    for (j = 0; j < items.length; ++j) {
+      time = items[j].start * unit - beat;
+      if (time < 0 || time >= 1) { continue; }
+      notes = gchordNotes(v, items[j].code);
+      for (k = 0; k < notes.length; ++k) {
+        result.push({
+          time: time,
+          duration: items[j].units * unit,
+          midi: notes[k]
+        });
+      }
+    }
+    return result;
+  };
+}
+// The notes played for one character of a gchord string.
+function gchordNotes(v, code) {
+  var index = 'ghij'.indexOf(code.toLowerCase());
+  if (index >= 0) {
+    if (index >= v.tones.length) { return []; }
+    return [v.tones[index] - (code == code.toUpperCase() ? 12 : 0)];
+  }
+  switch (code) {
+    case 'f': return [v.bass];
+    case 'c': return v.tones;
+    case 'b': return v.tones.concat([v.bass]);
+  }
+  return [];
+}
+
+// Makes events that strike a set of notes together, or strummed with
+// each note delayed by the given number of beats after the last.
+function strike(notes, strum, duration) {
+  var result = [], j;
+  for (j = 0; j < notes.length; ++j) {
+    result.push({
+      time: j * strum,
+      duration: duration - j * strum,
+      midi: notes[j]
+    });
+  }
+  return result;
+}
+
+// Returns the events to accompany a chord that lasts for the given
+// number of beats, as a list of {time, duration, midi} with times in
+// beats from the start of the chord.  The pattern may be 'block',
+// 'oompah', 'alberti' or 'waltz', or an abcMIDI gchord string, which
+// is spread over a measure of the given number of beats.  The pattern
+// follows the measure: start is the beat within the measure where the
+// chord begins, and a chord that begins between beats joins the pattern
+// partway through the beat.
+module.exports.accompany = function(chord, pattern, beats, measure, start) {
+  var voiced = voiceChord(chord),
+      render = patterns[pattern] || (/^[a-zA-Z\d]+$/.test(pattern) ?
+          gchordPattern(pattern, measure || 4) : patterns.block),
+      result = [], events, beat, j, e, time, duration;
+  if (!voiced) { return result; }
+  start = start || 0;
+  for (beat = Math.floor(start + 1e-6); beat < start + beats; ++beat) {
+    events = render(voiced, measure ? beat % measure : beat);
+    for (j = 0; j < events.length; ++j) {
+      e = events[j];
+      time = beat - start + e.time;
+      duration = e.duration;
+      if (time < 0) {
+        duration += time;
+        time = 0;
+      }
+      if (duration <= 1e-6 || time >= beats) { continue; }
+      result.push({
+        time: time,
+        duration: Math.min(duration, beats - time),
+        midi: e.midi
+      });
+    }
+  }
+  return result;
+};
+
+},{}],2:[function(require,module,exports){
+// Indexes a tunebook: a string of ABC with any number of tunes, each
+// starting with an X: line, as pasted from a tune collection.  Returns
+// the list of tunes in the order they appear, each as
+// {
+//   X, T, C, R, K: the values of these fields from the tune's header,
+//       with repeated fields (such as alternate titles) newline-separated
+//   title: the first T: title, or '' if there is none
+//   start, end: the range of the tune's text in the string, each as a
+//       {line, column, offset} position, with lines counting from 1
+//   abc: the text of the tune
+// }
+// Line endings are read as "\n", so positions in a book with "\r\n"
+// line endings are offsets into the text with the "\r"s removed.
+// Text before the first X: line only counts as a tune if it has lines
+// of notes, so that a tune without an X: line is a book of one tune,
+// but the prose introduction to a collection is not.
+
+var ABCheader = /^([A-Za-z]):\s*(.*)$/;
+var ABCbookFields = { X: true, T: true, C: true, R: true, K: true };
+// A line of notes is made only of pitches, rests, durations, bar lines,
+// chord symbols, decorations (including the shorthands such as H and
+// T), inline fields and similar marks.
+var ABCnotes = new RegExp('^(?:"[^"]*"|![^!]*!|\\[[A-Za-z]:[^\\]]*\\]|' +
+    '[A-Ga-gxzXZ^=_,\'\\d\\/|:\\[\\]{}()<>\\-.~HLMOPSTuv&\\\\\\s])+' +
+    '(?:%.*)?$');
+
+module.exports = function parseABCBook(str) {
+  str = String(str || '').replace(/\r\n?/g, '\n');
+  var lines = str.split('\n'), result = [], tune = null,
+      header = false, music = false, end = null, offset = 0, j, m;
+  for (j = 0; j < lines.length; ++j) {
+    if (!j || /^X:/.test(lines[j])) {
+      finishTune();
+      tune = {
+        title: '',
+        start: { line: j + 1, column: 0, offset: offset }
+      };
+      header = true;
+      music = /^X:/.test(lines[j]);
+      end = null;
+    }
+    m = ABCheader.exec(lines[j]);
+    if (header && m) {
+      // Fields are collected from the header, which ends at K:.
+      if (ABCbookFields.hasOwnProperty(m[1])) {
+        addField(m[1], m[2].trim());
+      }
+      if (m[1] == 'K') { header = false; }
+    } else if (!/^\s*(?:%.*)?$/.test(lines[j])) {
+      // Anything else that is not blank or a comment ends the header,
+      // and is music if it is a line of notes.
+      header = false;
+      if (ABCnotes.test(lines[j]) && /[A-Ga-gxzXZ]/.test(lines[j])) {
+        music = true;
+      }
+    }
+    if (/\S/.test(lines[j])) {
+      // The tune ends after its last line that is not blank.
+      end = { line: j + 1, column: lines[j].length,
+          offset: offset + lines[j].length };
+    }
+    offset += lines[j].length + 1;
+  }
+  finishTune();
+  return result;
+
+  function addField(field, value) {
+    if (tune.hasOwnProperty(field)) {
+      tune[field] += '\n' + value;
+    } else {
+      tune[field] = value;
+      if (field == 'T') { tune.title = value; }
+    }
+  }
+  function finishTune() {
+    if (!tune || !music || !end) { return; }
+    tune.end = end;
+    tune.abc = str.substring(tune.start.offset, end.offset);
+    result.push(tune);
+  }
+};
+
+},{}],3:[function(require,module,exports){
+// The General MIDI drums, by the names that %%percmap uses, and the
+// built-in kit that Instrument synthesizes them with.  Each drum of the
+// kit is a list of layers that sound together: a tone layer is an
+// oscillator whose pitch falls from one frequency to another over a
+// sweep of some seconds, and a noise layer is white noise through a
+// filter.  Every layer starts at its gain and dies away exponentially
+// with its decay time constant in seconds.
+
+// A tone layer: a wave whose frequency falls from `from` to `to` Hz.
+function tone(wave, from, to, sweep, decay, gain) {
+  return { wave: wave, from: from, to: to, sweep: sweep,
+      decay: decay, gain: gain };
+}
+// A noise layer: white noise through a filter of the given type.
+function noise(filter, frequency, decay, gain) {
+  return { noise: filter, frequency: frequency, decay: decay, gain: gain };
+}
+// A drum with a pitch, such as a tom or a conga.
+function drum(frequency, decay) {
+  return [tone('sine', frequency * 1.5, frequency, 0.06, decay, 0.9)];
+}
+
+var kick = [tone('sine', 150, 45, 0.08, 0.2, 1)],
+    snare = [tone('triangle', 220, 160, 0.03, 0.06, 0.5),
+        noise('highpass', 1500, 0.08, 0.7)],
+    hihat = [noise('highpass', 7000, 0.03, 0.5)],
+    cymbal = [noise('highpass', 4000, 0.8, 0.4)],
+    ride = [noise('highpass', 5000, 0.5, 0.3),
+        tone('square', 3100, 3100, 0, 0.3, 0.03)];
+
+// The drums numbered from 35 (acoustic-bass-drum) to 81 (open-triangle).
+var kit = [
+  ['acoustic-bass-drum', [tone('sine', 130, 40, 0.1, 0.25, 1)]],
+  ['bass-drum-1', kick],
+  ['side-stick', [tone('triangle', 900, 700, 0.01, 0.02, 0.5),
+      noise('bandpass', 2000, 0.02, 0.4)]],
+  ['acoustic-snare', snare],
+  ['hand-clap', [noise('bandpass', 1100, 0.12, 0.9)]],
+  ['electric-snare', [tone('triangle', 260, 180, 0.02, 0.05, 0.5),
+      noise('highpass', 2500, 0.1, 0.8)]],
+  ['low-floor-tom', drum(80, 0.3)],
+  ['closed-hi-hat', hihat],
+  ['high-floor-tom', drum(95, 0.28)],
+  ['pedal-hi-hat', [noise('highpass', 6000, 0.05, 0.4)]],
+  ['low-tom', drum(110, 0.25)],
+  ['open-hi-hat', [noise('highpass', 7000, 0.3, 0.5)]],
+  ['low-mid-tom', drum(130, 0.22)],
+  ['hi-mid-tom', drum(150, 0.2)],
+  ['crash-cymbal-1', cymbal],
+  ['high-tom', drum(175, 0.18)],
+  ['ride-cymbal-1', ride],
+  ['chinese-cymbal', [noise('bandpass', 3000, 0.6, 0.5)]],
+  ['ride-bell', [tone('square', 2100, 2100, 0, 0.4, 0.1),
+      noise('highpass', 6000, 0.2, 0.2)]],
+  ['tambourine', [noise('highpass', 8000, 0.08, 0.5)]],
+  ['splash-cymbal', [noise('highpass', 5000, 0.4, 0.4)]],
+  ['cowbell', [tone('square', 560, 560, 0, 0.15, 0.15),
+      tone('square', 845, 845, 0, 0.15, 0.15)]],
+  ['crash-cymbal-2', [noise('highpass', 3500, 1, 0.4)]],
+  ['vibraslap', [noise('bandpass', 2500, 0.5, 0.4)]],
+  ['ride-cymbal-2', ride],
+  ['hi-bongo', drum(400, 0.08)],
+  ['low-bongo', drum(300, 0.1)],
+  ['mute-hi-conga', drum(330, 0.05)],
+  ['open-hi-conga', drum(320, 0.15)],
+  ['low-conga', drum(220, 0.18)],
+  ['high-timbale', [tone('triangle', 600, 500, 0.02, 0.15, 0.7)]],
+  ['low-timbale', [tone('triangle', 450, 380, 0.02, 0.18, 0.7)]],
+  ['high-agogo', [tone('triangle', 900, 900, 0, 0.2, 0.5)]],
+  ['low-agogo', [tone('triangle', 700, 700, 0, 0.2, 0.5)]],
+  ['cabasa', [noise('highpass', 6000, 0.08, 0.4)]],
+  ['maracas', [noise('highpass', 8000, 0.04, 0.4)]],
+  ['short-whistle', [tone('sine', 2500, 2500, 0, 0.1, 0.3)]],
+  ['long-whistle', [tone('sine', 2500, 2500, 0, 0.4, 0.3)]],
+  ['short-guiro', [noise('bandpass', 3000, 0.1, 0.5)]],
+  ['long-guiro', [noise('bandpass', 3000, 0.3, 0.5)]],
+  ['claves', [tone('sine', 2500, 2500, 0, 0.03, 0.7)]],
+  ['hi-wood-block', [tone('sine', 1200, 1100, 0.01, 0.04, 0.7)]],
+  ['low-wood-block', [tone('sine', 900, 800, 0.01, 0.05, 0.7)]],
+  ['mute-cuica', [tone('sine', 650, 450, 0.05, 0.06, 0.6)]],
+  ['open-cuica', [tone('sine', 400, 700, 0.1, 0.15, 0.6)]],
+  ['mute-triangle', [tone('sine', 4500, 4500, 0, 0.08, 0.3)]],
+  ['open-triangle', [tone('sine', 4500, 4500, 0, 0.8, 0.3)]]
+];
+var firstDrum = 35;
+
+// Returns the General MIDI drum number for a drum given by number or by
+// name, such as "38" or "acoustic-snare", or null if it is unknown.
+module.exports.drumNumber = function(name) {
+  var key = String(name).trim().toLowerCase().replace(/[\s_]+/g, '-'), j;
+  if (/^\d+$/.test(key)) {
+    return Number(key);
+  }
+  for (j = 0; j < kit.length; ++j) {
+    if (kit[j][0] == key) {
+      return firstDrum + j;
+    }
+  }
+  return null;
+};
+
+// Returns the layers of the kit's sound for a General MIDI drum number.
+// Numbers outside the General MIDI drums sound as a short click.
+module.exports.kitSound = function(number) {
+  var entry = kit[Math.round(number) - firstDrum];
+  return entry ? entry[1] : [noise('bandpass', 2000, 0.03, 0.5)];
+};
+
+},{}],4:[function(require,module,exports){
+// Formats a parsed ABC file (the structure returned by parseABCFile) back
+// into ABC notation.  This is the inverse of parseABCFile: it writes the
+// header fields, then the notes of each voice, with durations relative
+// to the unit note length, accidentals relative to the key signature
+// and the accidentals already written in the measure, and ties, slurs,
+// staccato, dynamics, hairpins, ornaments, grace notes, chord symbols,
+// repeats, tempo changes, changes of key, meter and unit note,
+// tuplets (where they can be detected) and lyrics.  Bar lines are
+// written where they were in the parsed music.
+//
+// The output is canonical rather than a copy of the original text:
+// parsing it gives the same music, but spacing, beaming and line breaks
+// are chosen by the formatter.
+
+var parser = require('./parser-abc');
+var keySignature = parser.keySignature;
+var parseKey = parser.parseKey;
+var durationToTime = parser.durationToTime;
+var shiftOctave = parser.shiftOctave;
+var meterLength = parser.meterLength;
+
+// Dynamics markings for each velocity set by the parser.
+var ABCdynamics = {
+  '0.2': 'ppp', '0.4': 'pp', '0.6': 'p', '0.8': 'mp',
+  '1': 'mf', '1.2': 'f', '1.4': 'ff', '1.5': 'fff'
+};
+// Symbols for each ornament type set by the parser.
+var ABCornament = {
+  trill: 'T', mordent: 'M', uppermordent: 'P', roll: '~', fermata: 'H',
+  turn: '!turn!', invertedturn: '!invertedturn!'
+};
+// Fields that are written specially instead of copied.
+var ABCspecial = { X: true, K: true, V: true };
+// Bars per line of notes.
+var barsPerLine = 4;
+// Tolerance for comparing times.
+var epsilon = 1e-6;
+
+module.exports = function formatABC(parsed) {
+  var lines = [], ids = [], id, field, key, multi;
+  if (!parsed) { return ''; }
+  lines.push('X:' + (parsed.X ? firstLine(parsed.X) : '1'));
+  for (field in parsed) {
+    if (/^[A-Z]$/.test(field) && !ABCspecial[field]) {
+      pushField(lines, field, parsed[field]);
+    }
+  }
+  if (parsed.V) {
+    pushField(lines, 'V', parsed.V);
+  }
+  pushTranspose(lines, parsed, parsed.K);
+  pushMidi(lines, parsed);
+  pushPercmap(lines, parsed);
+  lines.push('K:' + (parsed.K ? firstLine(parsed.K) : 'C'));
+  for (id in parsed.voice) {
+    ids.push(id);
+  }
+  // Only name the voices if there is more than the default voice.
+  multi = ids.length > 1 || (ids.length == 1 && ids[0] !== '');
+  for (id = 0; id < ids.length; ++id) {
+    formatVoice(lines, parsed, parsed.voice[ids[id]], multi);
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Writes a field as one line for each of its (newline-separated) values.
+function pushField(lines, field, value) {
+  var values = String(value).split('\n'), j;
+  for (j = 0; j < values.length; ++j) {
+    lines.push(field + ':' + values[j]);
+  }
+}
+
+// Writes a %%transpose directive for a transposition that is not the
+// transpose= given on the K: or V: line that will be written.
+function pushTranspose(lines, target, value) {
+  var m = /(?:^|\s)transpose=([+\-]?\d+)/.exec(value || '');
+  if ('transpose' in target && !(m && +m[1] == target.transpose)) {
+    lines.push('%%transpose ' + target.transpose);
+  }
+}
+
+// Writes the %%MIDI directives that set up a file or voice.
+function pushMidi(lines, target) {
+  var drum = target.drum;
+  if ('program' in target) {
+    lines.push('%%MIDI program ' + target.program);
+  }
+  if ('channel' in target) {
+    lines.push('%%MIDI channel ' + target.channel);
+  }
+  if (typeof(target.gchord) == 'string') {
+    lines.push('%%MIDI gchord ' + target.gchord);
+  } else if ('gchord' in target) {
+    lines.push('%%MIDI ' + (target.gchord ? 'gchordon' : 'gchordoff'));
+  }
+  if (drum) {
+    lines.push('%%MIDI drum ' + [drum.pattern].concat(
+        drum.drums, drum.velocities).join(' '));
+  }
+  if ('drumon' in target) {
+    lines.push('%%MIDI ' + (target.drumon ? 'drumon' : 'drumoff'));
+  }
+}
+
+// Writes the %%percmap directives that choose the drums for notes.
+function pushPercmap(lines, target) {
+  for (var pitch in target.percmap) {
+    lines.push('%%percmap ' + pitch + ' ' + target.percmap[pitch]);
+  }
+}
+
+// Returns the first of the newline-separated values of a field.
+function firstLine(value) {
+  return String(value).split('\n')[0];
+}
+
+// Writes the fields and notes of a voice.
+function formatVoice(lines, parsed, voice, multi) {
+  var field, stems = voice.stems || [],
+      keyfield = headerField(voice, 'K'), unitfield = headerField(voice, 'L'),
+      key = keySignature(firstLine(
+          (hasKey(keyfield) ? keyfield : parsed.K) || '')) || {},
+      unitnote = unitfield ? durationToTime(unitfield) : parsed.L ?
+          durationToTime(firstLine(parsed.L)) : parsed.unitnote,
+      meter = meterLength(firstLine(
+          headerField(voice, 'M') || parsed.M || '')),
+      measure = (meter && unitnote) ? meter / unitnote : 0,
+      changes = voice.fields || [], c = 0,
+      tuplets = findTuplets(stems),
+      repeats = voice.repeats || [], tempos = voice.tempos || [],
+      parts = voice.parts || [], p = 0,
+      hairpins = voice.hairpins || [],
+      octave = ('octave' in voice ? voice.octave : parsed.octave) || 0,
+      line = [], lyrics = [], sung = hasLyrics(stems),
+      accent = {}, elapsed = 0, bars = 0, time = 0, bartime = 0,
+      overlays = voice.overlays || [], layers = [],
+      velocity = null, slurred = false, r = 0, t = 0, j, k, stem, text;
+  if (multi) {
+    lines.push('V:' + (voice.V ? firstLine(voice.V) : voice.id));
+  }
+  // Fields that belong to the voice, such as its own L: unit note.
+  for (field in voice) {
+    if (!/^[A-Z]$/.test(field) || field == 'V' || field == 'P') {
+      // Parts are written where they begin.
+      continue;
+    }
+    if (field == 'Q' && !('tempo' in voice) && !('unitbeat' in voice)) {
+      // Q: lines that came after the notes began are tempo changes.
+      continue;
+    }
+    if (/^[KLM]$/.test(field)) {
+      // Changes after the notes begin are written where they happen.
+      if (headerField(voice, field)) {
+        lines.push(field + ':' + headerField(voice, field));
+      }
+    } else if (field == 'Q') {
+      lines.push(field + ':' + firstLine(voice[field]));
+    } else {
+      pushField(lines, field, voice[field]);
+    }
+  }
+  pushTranspose(lines, voice, firstLine(voice.V || '') + ' ' +
+      (keyfield || ''));
+  pushMidi(lines, voice);
+  pushPercmap(lines, voice);
+  // Writes out the current line of notes, and any lyrics for it.
+  function flush() {
+    while (lyrics.length && lyrics[lyrics.length - 1] == '*') {
+      lyrics.pop();
+    }
+    if (line.length) {
+      lines.push(line.join(' '));
+      // Once a voice has lyrics, every line has a w: line, because each
+      // w: line is aligned from the start of the line of notes before it.
+      if (sung) {
+        lines.push('w:' + lyrics.join(' ').replace(/- /g, '-'));
+      }
+    }
+    line = [];
+    lyrics = [];
+  }
+  // Writes the notes of each overlay in the measure so far, after an &.
+  function overlay(end) {
+    var k, text;
+    for (k = 0; k < overlays.length; ++k) {
+      if (!layers[k]) {
+        layers[k] = { index: 0, time: 0, tuplets: findTuplets(
+            overlays[k].stems) };
+      }
+      text = formatOverlay(overlays[k].stems, layers[k], bartime, end,
+          key, octave);
+      if (text) {
+        line.push('&', text);
+      }
+    }
+  }
+  // Ends a measure with the given bar line.
+  function bar(text) {
+    overlay(time);
+    line.push(text);
+    bartime = time;
+    accent = {};
+    elapsed = 0;
+    bars += 1;
+    if (bars % barsPerLine == 0) {
+      flush();
+    }
+  }
+  // Writes the key, meter and unit note changes before the stem with
+  // the given index, and follows them for the stems after.
+  function change(index) {
+    var text = '', field;
+    for (; c < changes.length && changes[c].index <= index; ++c) {
+      field = changes[c];
+      text += '[' + field.field + ':' + field.value + ']';
+      if (field.field == 'K' && hasKey(field.value)) {
+        key = keySignature(field.value) || {};
+      } else if (field.field == 'L') {
+        unitnote = durationToTime(field.value) || unitnote;
+      } else if (field.field == 'M') {
+        meter = meterLength(field.value);
+      }
+      measure = (meter && unitnote) ? meter / unitnote : 0;
+    }
+    return text;
+  }
+  for (j = 0; j <= stems.length; ++j) {
+    // Bar lines and repeats come before the stem with their index, and
+    // plain bar lines are written between measures, and at the end if
+    // the music has a meter or other bar lines.
+    if (r < repeats.length && repeats[r].index == j) {
+      for (; r < repeats.length && repeats[r].index == j; ++r) {
+        bar(formatBar(repeats[r]));
+      }
+    } else if (elapsed > epsilon && (j == stems.length ? measure || bars :
+        stems[j].measure !== stems[j - 1].measure)) {
+      bar('|');
+    }
+    // Each part begins on a new line.
+    for (; p < parts.length && parts[p].index <= j; ++p) {
+      flush();
+      lines.push('P:' + parts[p].name);
+    }
+    if (j == stems.length) {
+      // Overlay notes after the last bar line are written at the end,
+      // and so are any changes after the last note.
+      overlay(Infinity);
+      text = change(j);
+      if (text) { line.push(text); }
+      break;
+    }
+    stem = stems[j];
+    text = '';
+    if (!stem.grace || !j || !stems[j - 1].grace) {
+      // Changes of key, meter, unit note and tempo, and hairpins,
+      // dynamics and slurs that begin here.
+      text += change(j);
+      for (; t < tempos.length && tempos[t].index <= j; ++t) {
+        text += '[Q:' + (tempos[t].unitbeat ?
+            fraction(tempos[t].unitbeat) + '=' : '') + tempos[t].tempo + ']';
+      }
+      for (k = 0; k < hairpins.length; ++k) {
+        if (hairpins[k].end == j) {
+          text += hairpins[k].type == 'crescendo' ? '!<)!' : '!>)!';
+        }
+      }
+      if ((stem.notes.length &&
+          (stem.notes[0].velocity || null) !== velocity) ||
+          reachesDynamics(hairpins, j)) {
+        velocity = stem.notes.length && stem.notes[0].velocity || velocity;
+        if (ABCdynamics[velocity]) {
+          text += '!' + ABCdynamics[velocity] + '!';
+        }
+      }
+      for (k = 0; k < hairpins.length; ++k) {
+        if (hairpins[k].start == j) {
+          text += hairpins[k].type == 'crescendo' ? '!<(!' : '!>(!';
+        }
+      }
+      if (!slurred && stem.notes.length && stem.notes[0].slurred) {
+        text += '(';
+        slurred = true;
+      }
+    }
+    if (stem.grace) {
+      if (!j || !stems[j - 1].grace) {
+        text += stem.acciaccatura ? '{/' : '{';
+      }
+    } else {
+      if (tuplets[j] && tuplets[j].mark) {
+        text += tuplets[j].mark;
+      }
+      if (stem.chord) {
+        text += '"' + stem.chord.name + '"';
+      }
+    }
+    text += formatStem(stem, tuplets[j] ? tuplets[j].ratio : 1,
+        key, accent, octave, measure);
+    if (stem.grace) {
+      if (j + 1 >= stems.length || !stems[j + 1].grace) {
+        text += '}';
+      }
+    } else {
+      elapsed += stem.time;
+      time += stem.time;
+      if (stem.notes.length) {
+        lyrics.push(formatLyric(stem.notes[0].lyric));
+        if (slurred && !stem.notes[0].slurred) {
+          // The last note of a slur is the first one not slurred.
+          text += ')';
+          slurred = false;
+        }
+      }
+    }
+    // Grace notes are written right up against their principal note.
+    if (j && stems[j - 1].grace && line.length) {
+      line[line.length - 1] += text;
+    } else {
+      line.push(text);
+    }
+  }
+  flush();
+}
+
+// Writes the stems of an overlay that sound in a measure from the time
+// "from" to the time "to", in unit notes from the start of the voice.
+// The layer {index, time, tuplets} keeps track of the next stem to
+// write and when it starts.  Stems that end before the measure are
+// skipped, and a measure of nothing but rests is not written.
+function formatOverlay(stems, layer, from, to, key, octave) {
+  var text = [], accent = {}, notes = false, item, stem, j;
+  while (layer.index < stems.length && layer.time < to - epsilon) {
+    j = layer.index++;
+    stem = stems[j];
+    if (!stem.grace) {
+      layer.time += stem.time;
+      if (layer.time < from + epsilon) { continue; }
+    }
+    item = '';
+    if (stem.grace) {
+      if (!j || !stems[j - 1].grace) {
+        item += stem.acciaccatura ? '{/' : '{';
+      }
+    } else {
+      if (layer.tuplets[j] && layer.tuplets[j].mark) {
+        item += layer.tuplets[j].mark;
+      }
+      if (stem.chord) {
+        item += '"' + stem.chord.name + '"';
+      }
+    }
+    item += formatStem(stem, layer.tuplets[j] ? layer.tuplets[j].ratio : 1,
+        key, accent, octave);
+    if (stem.grace && (j + 1 >= stems.length || !stems[j + 1].grace)) {
+      item += '}';
+    }
+    if (j && stems[j - 1].grace && text.length) {
+      text[text.length - 1] += item;
+    } else {
+      text.push(item);
+    }
+    if (stem.notes.length) { notes = true; }
+  }
+  return notes ? text.join(' ') : '';
+}
+
+// Returns the value of a K:, L: or M: field given in a voice's header,
+// leaving out the values that are changes after its notes begin.
+function headerField(voice, field) {
+  var values = voice[field] != null ? String(voice[field]).split('\n') : [],
+      changes = voice.fields || [], count = 0, j;
+  for (j = 0; j < changes.length; ++j) {
+    if (changes[j].field == field) { count += 1; }
+  }
+  return values.length > count ? values[0] : null;
+}
+
+// Returns true if a K: field names a key, rather than only giving a clef
+// or modifiers such as clef=bass.
+function hasKey(value) {
+  if (!value) { return false; }
+  var key = parseKey(firstLine(value));
+  return !key || !!(key.tonic || key.none || key.bagpipe);
+}
+
+// Returns true if any note in a list of stems has lyrics.
+function hasLyrics(stems) {
+  for (var j = 0; j < stems.length; ++j) {
+    if (stems[j].notes.length && stems[j].notes[0].lyric != null) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Writes a bar line recorded in a voice's repeats list.
+function formatBar(marker) {
+  if (!marker.ending) { return marker.bar; }
+  return (marker.bar || '[') + marker.ending.join(',');
+}
+
+// Returns true if a dynamic marking at this stem index ends a hairpin,
+// so that it must be written even if it does not change the velocity.
+function reachesDynamics(hairpins, index) {
+  for (var j = 0; j < hairpins.length; ++j) {
+    if ((hairpins[j].to != null && hairpins[j].end == index) ||
+        hairpins[j].until == index) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Writes a stem: a note, chord or rest with its decorations.  The ratio
+// is the tuplet ratio, which is removed from the written duration, and
+// octave is the octave= shift of the voice, which is removed from the
+// written pitches.  A multi-measure rest is written as Z if it spans
+// whole measures of the given length in unit notes.
+function formatStem(stem, ratio, key, accent, octave, measure) {
+  var text = '', time = stem.time / ratio, notes = stem.notes, same = true,
+      shortest = false, scale, j, note;
+  if (stem.grace) {
+    // Grace notes sound for a quarter of their written length.
+    time *= 4;
+  }
+  if (notes.length) {
+    text += formatOrnaments(notes[0].ornaments);
+  }
+  if (stem.staccato) {
+    text += '.';
+  }
+  if (!notes.length && stem.measures &&
+      Math.abs(stem.time - stem.measures * measure) < epsilon) {
+    return text + 'Z' + formatDuration(stem.measures);
+  }
+  if (!notes.length) {
+    return text + 'z' + formatDuration(time);
+  }
+  if (notes.length == 1 && notes[0].duration == stem.duration) {
+    return text + formatPitch(notes[0].pitch, key, accent, octave) +
+        formatDuration(time) + (notes[0].tie ? '-' : '');
+  }
+  for (j = 0; j < notes.length; ++j) {
+    if (notes[j].duration != stem.duration) { same = false; }
+    else { shortest = true; }
+  }
+  // Chords with notes of different lengths give each note its duration,
+  // and a rest if the stem is shorter than all of its notes.
+  scale = time / (durationToTime(stem.duration) || 1);
+  text += '[';
+  for (j = 0; j < notes.length; ++j) {
+    note = notes[j];
+    text += formatPitch(note.pitch, key, accent, octave);
+    if (!same) {
+      text += formatDuration(durationToTime(note.duration) * scale);
+    }
+    if (note.tie) {
+      text += '-';
+    }
+  }
+  if (!shortest) {
+    text += 'z' + formatDuration(time);
+  }
+  return text + ']' + (same ? formatDuration(time) : '');
+}
+
+// Writes the ornament decorations of a note.
+function formatOrnaments(ornaments) {
+  var text = '', j;
+  for (j = 0; ornaments && j < ornaments.length; ++j) {
+    text += ABCornament[ornaments[j].type] || '';
+  }
+  return text;
+}
+
+// Writes a pitch such as "^f" with only the accidentals that are needed
+// given the key signature and the accidentals earlier in the measure,
+// and remembers any accidental written, as the parser does.
+function formatPitch(pitch, key, accent, octave) {
+  var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(
+      shiftOctave(pitch, -(octave || 0))), letter, expected;
+  if (!m) { return pitch; }
+  letter = m[2].toUpperCase();
+  expected = accent.hasOwnProperty(letter) ? accent[letter] :
+      (key[letter] || '');
+  if (expected == '=') { expected = ''; }
+  if (m[1] == expected) {
+    return m[2] + m[3];
+  }
+  accent[letter] = m[1] || '=';
+  return (m[1] || '=') + m[2] + m[3];
+}
+
+// Writes a syllable of lyrics, or "*" for a note without one.
+function formatLyric(lyric) {
+  if (lyric == null) { return '*'; }
+  return lyric.replace(/-(?!$)/g, '\\-').replace(/ /g, '~');
+}
+
+// Writes a time in unit notes as an ABC duration, such as "3/2" or "/4".
+// Mixed numbers are written the way the parser reads them, e.g., "11/2"
+// for one and a half.
+function formatDuration(time) {
+  var f = toFraction(time), whole;
+  if (f.d == 1) {
+    return f.n == 1 ? '' : String(f.n);
+  }
+  if (f.n == 1) {
+    return '/' + f.d;
+  }
+  if (f.n > f.d && f.n >= 10) {
+    whole = Math.floor(f.n / f.d);
+    return whole + String(f.n - whole * f.d) + '/' + f.d;
+  }
+  return f.n + '/' + f.d;
+}
+
+// Writes a number as a fraction such as "1/4".
+function fraction(x) {
+  var f = toFraction(x);
+  return f.n + '/' + f.d;
+}
+
+// Finds the simplest fraction {n, d} equal to x.
+function toFraction(x) {
+  for (var d = 1; d < 10000; ++d) {
+    if (Math.abs(x * d - Math.round(x * d)) < epsilon) {
+      return { n: Math.round(x * d), d: d };
+    }
+  }
+  return { n: x, d: 1 };
+}
+
+// Finds groups of stems that were played as tuplets, such as (3 triplets,
+// returning a sparse list with {ratio, mark} for each stem in a tuplet,
+// where ratio is the factor applied to the written durations, and the
+// first stem of each group has the mark that begins the tuplet.  Only
+// complete groups of p notes in the time of q are detected.
+function findTuplets(stems) {
+  var result = [], j = 0, k, ratio, p, q, group;
+  while (j < stems.length) {
+    ratio = stemRatio(stems[j]);
+    p = q = 0;
+    if (!stems[j].grace && Math.abs(ratio - 1) > epsilon) {
+      for (p = 3; p <= 9; ++p) {
+        q = Math.round(ratio * p);
+        if (q >= 1 && q < p && Math.abs(ratio * p - q) < epsilon) { break; }
+      }
+    }
+    if (!p || p > 9) {
+      j += 1;
+      continue;
+    }
+    group = [];
+    for (k = j; k < stems.length && group.length < p; ++k) {
+      if (stems[k].grace) { continue; }
+      if (Math.abs(stemRatio(stems[k]) - ratio) > epsilon) { break; }
+      group.push(k);
+    }
+    if (group.length < p) {
+      j += 1;
+      continue;
+    }
+    for (k = 0; k < group.length; ++k) {
+      result[group[k]] = { ratio: ratio };
+    }
+    result[j].mark = '(' + p + (q != 2 ? ':' + q : '');
+    j = group[group.length - 1] + 1;
+  }
+  return result;
+}
+
+// Returns how much a stem's time differs from its written duration.
+function stemRatio(stem) {
+  // The duration of a multi-measure rest counts measures, not unit notes.
+  if (stem.measures) { return 1; }
+  return stem.time / (durationToTime(stem.duration) || 1);
+}
+
+},{"./parser-abc":7}],5:[function(require,module,exports){
 var Instrument = require('./instrument');
 var parseABCFile = require('./parser-abc');
+var formatABC = require('./formatter-abc');
+var transposeABC = require('./transpose-abc');
+var parseABCBook = require('./book-abc');
 
 // backward compability
 window.Instrument = Instrument;
 window.parseABCFile = parseABCFile;
+window.formatABC = formatABC;
+window.transposeABC = transposeABC;
+window.parseABCBook = parseABCBook;
 
 // The package implementation. Right now, just one class.
 module.exports = {
 	Instrument: Instrument,
-	parseABCFile: parseABCFile
+	parseABCFile: parseABCFile,
+	formatABC: formatABC,
+	transposeABC: transposeABC,
+	parseABCBook: parseABCBook,
+	ABCParseError: parseABCFile.ABCParseError
 }
 
-},{"./instrument":2,"./parser-abc":3}],2:[function(require,module,exports){
+},{"./book-abc":2,"./formatter-abc":4,"./instrument":6,"./parser-abc":7,"./transpose-abc":9}],6:[function(require,module,exports){
 // All further details of audio handling are encapsulated in the Instrument
 // class, which knows how to synthesize a basic timbre; how to play and
 // schedule a tone; and how to parse and sequence a song written in ABC
@@ -42,10 +1019,16 @@ var isAudioPresent = utils.isAudioPresent;
 var defaultTimbre = utils.defaultTimbre;
 var pitchToMidi = utils.pitchToMidi;
 var midiToFrequency = utils.midiToFrequency;
+var frequencyToMidi = utils.frequencyToMidi;
 var audioCurrentStartTime = utils.audioCurrentStartTime;
 var makeOscillator = utils.makeOscillator;
 var midiToPitch = utils.midiToPitch;
 var parseABCFile = require('./parser-abc');
+var parseABCBook = require('./book-abc');
+var meterLength = parseABCFile.meterLength;
+var accompany = require('./accompaniment').accompany;
+var timbres = require('./timbres');
+var drums = require('./drums');
 
 function Instrument(options) {
   this._atop = getAudioTop();    // Audio context.
@@ -58,7 +1041,7 @@ function Instrument(options) {
   this._finishSet = {};          // Started tones playing in WebAudio.
   this._cleanupSet = [];         // Tones waiting for cleanup.
   this._callbackSet = [];        // A set of scheduled callbacks.
-  this._handlers = {};           // 'noteon' and 'noteoff' handlers.
+  this._handlers = {};           // Event handlers, e.g., 'noteon'.
   this._now = null;              // A cached current-time value.
   if (isAudioPresent()) {
     this.silence();              // Initializes top-level audio node.
@@ -70,6 +1053,10 @@ Instrument.dequeueTime = 0.5;  // Seconds before an event to reexamine queue.
 Instrument.bufferSecs = 2;     // Seconds ahead to put notes in WebAudio.
 Instrument.toneLength = 1;     // Default duration of a tone.
 Instrument.cleanupDelay = 0.1; // Silent time before disconnecting nodes.
+Instrument.accompanimentTimbre = 'piano'; // Default chord accompaniment.
+Instrument.hairpinDelta = 0.4; // Velocity change for an open hairpin.
+Instrument.fermataLength = 2;  // Fermatas multiply the length of a stem.
+Instrument.ornamentSecs = 1/16;// Length of each note of an ornament.
 
 // Sets the default timbre for the instrument.  See defaultTimbre.
 Instrument.prototype.setTimbre = function(t) {
@@ -214,7 +1201,10 @@ Instrument.prototype._makeSound = function(record) {
       ac = this._atop.ac,
       g, f, o, o2, pwave, k, wf, bwf;
   // Only hook up tone generators if it is an audible sound.
-  if (record.duration > 0 && record.velocity > 0) {
+  if (timbre.wave == 'kit' && record.duration > 0 && record.velocity > 0) {
+    // Drums of the kit are synthesized by their own recipes.
+    this._makeDrum(record, timbre.gain * record.velocity);
+  } else if (record.duration > 0 && record.velocity > 0) {
     g = ac.createGain();
     g.gain.setValueAtTime(0, starttime);
     g.gain.linearRampToValueAtTime(amp, attacktime);
@@ -276,6 +1266,54 @@ Instrument.prototype._makeSound = function(record) {
   }
   this._startSet.push(record);
 };
+// Sets up the node graph for a drum of the built-in kit (see drums.js),
+// chosen by the record's midi number.  Each layer of the drum is an
+// oscillator with a falling pitch, or white noise through a filter,
+// with its own decaying gain, and all of them play through one gain
+// node at the given amplitude.  A drum rings for as long as its layers
+// decay, however short the note is.
+Instrument.prototype._makeDrum = function(record, amp) {
+  var layers = drums.kitSound(record.midi),
+      starttime = record.time + Instrument.timeOffset,
+      stoptime = starttime,
+      ac = this._atop.ac,
+      out = ac.createGain(),
+      j, layer, g, f, o, end;
+  out.gain.setValueAtTime(amp, starttime);
+  out.connect(this._out);
+  record.oscillators = [];
+  for (j = 0; j < layers.length; ++j) {
+    layer = layers[j];
+    // After six time constants, a layer is too quiet to hear.
+    end = starttime + 6 * layer.decay;
+    g = ac.createGain();
+    g.gain.setValueAtTime(layer.gain, starttime);
+    g.gain.setTargetAtTime(0, starttime, layer.decay);
+    g.connect(out);
+    if (layer.noise) {
+      f = ac.createBiquadFilter();
+      f.type = layer.noise;
+      f.frequency.value = layer.frequency;
+      f.connect(g);
+      o = makeOscillator(this._atop, 'noise', layer.frequency);
+      o.connect(f);
+    } else {
+      o = makeOscillator(this._atop, layer.wave, layer.from);
+      if (layer.sweep) {
+        o.frequency.setValueAtTime(layer.from, starttime);
+        o.frequency.exponentialRampToValueAtTime(
+            layer.to, starttime + layer.sweep);
+      }
+      o.connect(g);
+    }
+    o.start(starttime);
+    o.stop(end);
+    record.oscillators.push(o);
+    stoptime = Math.max(stoptime, end);
+  }
+  record.gainNode = out;
+  record.cleanuptime = stoptime;
+};
 // Truncates a sound previously scheduled by _makeSound by using
 // cancelScheduledValues and directly ramping down to zero.
 // Can only be used to shorten a sound.
@@ -459,6 +1497,11 @@ Instrument.prototype._doPoll = function() {
         callbacks.push({
           order: [record.time, 2],
           f: this._trigger, t: this, a: ['noteon', record]});
+        if (record.lyric != null) {
+          callbacks.push({
+            order: [record.time, 3],
+            f: this._trigger, t: this, a: ['lyric', record]});
+        }
       }
     }
   }
@@ -469,7 +1512,7 @@ Instrument.prototype._doPoll = function() {
   // are notified first.
   callbacks.sort(function(a, b) {
     if (a.order[0] != b.order[0]) { return a.order[0] - b.order[0]; }
-    // tiebreak by notifying 'noteoff' first and 'noteon' last.
+    // tiebreak by notifying 'noteoff' first and 'noteon' and 'lyric' last.
     return a.order[1] - b.order[1];
   });
   // At the end, call all the callbacks without depending on "this" state.
@@ -586,7 +1629,11 @@ Instrument.prototype.tone = function(pitch, duration, velocity, delay, timbre, o
         time: time,
         on: false,
         frequency: frequency,
-        midi: midi,
+        midi: midi,                // fractional for microtonal pitches
+        // How far the tone is from the nearest midi note, in cents.
+        cents: Math.round(1200 *
+            Math.log(frequency / midiToFrequency(Math.round(midi))) /
+            Math.LN2),
         velocity: (velocity == null ? 1 : velocity),
         duration: (duration == null ? Instrument.toneLength : duration),
         timbre: timbre,
@@ -596,6 +1643,10 @@ Instrument.prototype.tone = function(pitch, duration, velocity, delay, timbre, o
         cleanuptime: Infinity,
         origin: origin             // save the origin of the tone for visible feedback
       };
+  // A note with a lyric syllable carries the syllable along with the tone.
+  if (origin && origin.lyric != null) {
+    record.lyric = origin.lyric;
+  }
 
   if (time < now + Instrument.bufferSecs) {
     // The tone starts soon!  Give it directly to WebAudio.
@@ -618,9 +1669,13 @@ Instrument.prototype.schedule = function(delay, callback) {
 Instrument.prototype.play = function(abcstring) {
   var args = Array.prototype.slice.call(arguments),
       done = null,
-      opts = {}, subfile,
+      opts = {}, book,
       abcfile, argindex, tempo, timbre, k, delay, maxdelay = 0, attenuate,
-      voicename, stems, ni, vn, j, stem, note, beatsecs, secs, v, files = [];
+      voicename, stems, times, ni, vn, j, stem, note, beatsecs, secs, v,
+      files = [], accompaniment, chordtimbre, chords, beatunits,
+      tempos, order, at, swell, hairpin, fermata,
+      tones, t, transpose, voice, percussion, measure, drum, bars, nextbar,
+      lines, line, vl, downbeat;
   // Look for continuation as last argument.
   if (args.length && 'function' == typeof(args[args.length - 1])) {
     done = args.pop();
@@ -645,9 +1700,15 @@ Instrument.prototype.play = function(abcstring) {
   // Parse any number of ABC files as input.
   for (; argindex < args.length; ++argindex) {
     // Handle splitting of ABC subfiles at X: lines.
-    subfile = args[argindex].split(/\n(?=X:)/);
-    for (k = 0; k < subfile.length; ++k) {
-      abcfile = parseABCFile(subfile[k]);
+    book = parseABCBook(args[argindex]);
+    for (k = 0; k < book.length; ++k) {
+      // The tune option picks one tune by its X: number or title.
+      if (opts.tune != null && !isChosenTune(book[k], opts.tune)) continue;
+      // Source positions in each subfile count from the whole string.
+      abcfile = parseABCFile(book[k].abc, {
+        line: book[k].start.line,
+        offset: book[k].start.offset
+      });
       if (!abcfile) continue;
       // Take tempo markings from the first file, and share them.
       if (!opts.tempo && abcfile.tempo) {
@@ -665,22 +1726,104 @@ Instrument.prototype.play = function(abcstring) {
   if (!opts.tempo) { opts.tempo = 120; }
   // Default volume to 1 if nothing is specified.
   if (opts.volume == null) { opts.volume = 1; }
-  beatsecs = 60.0 / opts.tempo;
+  // Chord symbols are only played if an accompaniment pattern is chosen,
+  // either as an option or by a %%MIDI gchord directive.
+  chordtimbre = makeTimbre(opts.accompanimentTimbre ||
+      Instrument.accompanimentTimbre, this._atop);
+  // Hairpins that do not lead to a dynamic marking change the velocity
+  // by this much.
+  hairpin = (opts.hairpin == null) ? Instrument.hairpinDelta : opts.hairpin;
+  // Stems with a fermata are held longer by this factor, and so is the
+  // music of the other voices at the same time.
+  fermata = (opts.fermata == null) ? Instrument.fermataLength : opts.fermata;
   // Schedule all notes from all the files.
   for (k = 0; k < files.length; ++k) {
     abcfile = files[k];
-    // Each file can have multiple voices (e.g., left and right hands)
-    for (vn in abcfile.voice) {
-      // Each voice could have a separate timbre.
-      timbre = makeTimbre(opts.timbre || abcfile.voice[vn].timbre ||
-         abcfile.timbre || this._timbre, this._atop);
+    // Each file can have multiple voices (e.g., left and right hands),
+    // and each voice can have overlays of notes that play along with it.
+    // Each of these lines is played in the order given by any repeat
+    // signs and parts.
+    lines = voiceLines(abcfile);
+    for (vl = 0; vl < lines.length; ++vl) {
+      line = lines[vl].line;
+      lines[vl].order = playOrder((line.stems || []).length, line.repeats,
+          line.parts, abcfile.partorder);
+      lines[vl].played = playedTimes(line.stems, lines[vl].order);
+    }
+    // Tempo changes and fermatas in any voice apply to all the voices,
+    // from the time they are played.
+    tempos = tempoMap(abcfile, opts.tempo, lines, fermata);
+    // Accompaniment patterns count beats of the Q: tempo unit, or
+    // quarter notes if there is no tempo unit.
+    beatunits = abcfile.unitnote ?
+        (abcfile.unitbeat || 1/4) / abcfile.unitnote : 1;
+    // The length of a measure in unit notes, for gchord and drum patterns.
+    measure = meterLength(String(abcfile.M || '').split('\n')[0]) /
+        (abcfile.unitnote || 1/8);
+    for (vl = 0; vl < lines.length; ++vl) {
+      vn = lines[vl].id;
+      voice = abcfile.voice[vn];
+      line = lines[vl].line;
+      // Percussion voices are played on the drum kit, even when a
+      // timbre is given for the pitched voices.
+      percussion = isPercussion(voice, abcfile);
+      // Each voice could have a separate timbre, or a %%MIDI program.
+      timbre = makeTimbre((percussion ? timbres.presets.kit : null) ||
+          opts.timbre ||
+          presetTimbre(voice.timbre) || programTimbre(voice.program) ||
+          presetTimbre(abcfile.timbre) || programTimbre(abcfile.program) ||
+          this._timbre, this._atop);
       // Each voice has a series of stems (notes or chords).
-      stems = abcfile.voice[vn].stems;
+      stems = line.stems;
       if (!stems) continue;
+      // Each voice could be transposed, as could the whole song.
+      transpose = percussion ? 0 : ('transpose' in voice ?
+          voice.transpose : abcfile.transpose || 0) +
+          (opts.transpose || 0);
+      accompaniment = accompanimentPattern(opts.accompaniment, voice,
+          abcfile);
+      // A %%MIDI drum pattern is played in each measure while drumon is
+      // set, by the voice that sets it, or by the first voice.
+      drum = line === voice &&
+          ('drum' in voice || vn == firstVoice(abcfile)) &&
+          ('drumon' in voice ? voice.drumon : abcfile.drumon) &&
+          (voice.drum || abcfile.drum);
+      bars = [];
+      order = lines[vl].order;
+      // Measures are counted from the end of any pickup measure, which
+      // has no drum pattern.
+      downbeat = pickupLength(stems, order, lines[vl].played);
+      nextbar = downbeat;
+      // Crescendos and diminuendos ramp the velocity of written stems.
+      swell = hairpinVelocities(stems, writtenTimes(stems), line.hairpins,
+          hairpin);
+      stems = [];
+      for (ni = 0; ni < order.length; ++ni) {
+        stems.push(line.stems[order[ni]]);
+      }
+      // Grace notes steal time from their neighbors.
+      times = realizeGraces(stems, opts.grace);
       // Starting at delay zero (now), schedule all tones.
       delay = 0;
+      chords = [];
       for (ni = 0; ni < stems.length; ++ni) {
         stem = stems[ni];
+        at = lines[vl].played[ni];
+        // The length of a unit note in seconds at this point in the tune.
+        beatsecs = 60.0 / tempoAt(tempos, at);
+        // Note the timing of chord symbols for the accompaniment.
+        if (accompaniment && stem.chord) {
+          chords.push({
+            chord: stem.chord,
+            delay: delay,
+            beatsecs: beatunits * beatsecs,
+            beat: barPosition(at, downbeat, measure) / beatunits
+          });
+        }
+        // Note the timing of each measure for the drum pattern.
+        for (; drum && measure && nextbar <= at + 1e-6; nextbar += measure) {
+          bars.push({ delay: delay, secs: tempoSecs(tempos, at, measure) });
+        }
         // Attenuate chords to reduce clipping.
         attenuate = 1 / Math.sqrt(stem.notes.length);
         // Schedule every note inside a stem.
@@ -690,7 +1833,8 @@ Instrument.prototype.play = function(abcstring) {
             // Skip holdover notes from ties.
             continue;
           }
-          secs = (note.time || stem.time) * beatsecs;
+          secs = tempoSecs(tempos, at,
+              (note.time || stem.time) - stem.time + times[ni]);
           if (stem.staccato) {
             // Shorten staccato notes.
             secs = Math.min(Math.min(secs, beatsecs / 16),
@@ -699,18 +1843,33 @@ Instrument.prototype.play = function(abcstring) {
             // Separate unslurred notes by about a 30th of a second.
             secs -= 1/32;
           }
-          v = (note.velocity || 1) * attenuate * opts.volume;
-          // This is innsermost part of the inner loop!
-          this.tone(                     // Play the tone:
-            note.pitch,                  // at the given pitch
-            secs,                        // for the given duration
-            v,                           // with the given volume
-            delay,                       // starting at the proper time
-            timbre,                      // with the selected timbre
-            note                         // the origin object for visual feedback
-            );
+          v = (swell[order[ni]] || note.velocity || 1) *
+              attenuate * opts.volume;
+          // Ornaments such as trills are played as several tones.
+          tones = ornamentTones(note, secs);
+          for (t = 0; t < tones.length; ++t) {
+            // This is innsermost part of the inner loop!
+            this.tone(                   // Play the tone:
+              percussion ?               // at the given drum or pitch
+                  -percussionDrum(note, tones[t].pitch) :
+                  transposePitch(tones[t].pitch, transpose),
+              tones[t].secs,             // for the given duration
+              v,                         // with the given volume
+              delay + tones[t].delay,    // starting at the proper time
+              timbre,                    // with the selected timbre
+              t ? null : note            // the origin, for visual feedback
+              );
+          }
         }
-        delay += stem.time * beatsecs;   // Advance the sequenced time.
+        // Advance the sequenced time.
+        delay += tempoSecs(tempos, at, times[ni]);
+      }
+      if (chords.length) {
+        this._accompany(chords, delay, accompaniment, opts.volume,
+            chordtimbre, transpose, measure / beatunits);
+      }
+      if (bars.length) {
+        this._drum(bars, delay, drum, opts.volume);
       }
       maxdelay = Math.max(delay, maxdelay);
     }
@@ -723,11 +1882,565 @@ Instrument.prototype.play = function(abcstring) {
   }
 };
 
-// Accepts either an ABC pitch or a midi number and converts to midi.
-Instrument.pitchToMidi = function(n) {
-  if (typeof(n) == 'string') { return pitchToMidi(n); }
-  return n;
-}
+// Plays an accompaniment for a list of chord symbols {chord, delay,
+// beatsecs, beat}, where beatsecs is the length of a beat in seconds and
+// beat is where the chord starts within its measure, in beats.
+// Each chord lasts until the next one starts, and the last one lasts
+// until the end.  The pattern names an accompaniment pattern (see
+// accompaniment.js), and the chords are transposed by some semitones.
+Instrument.prototype._accompany = function(
+    chords, end, pattern, volume, timbre, transpose, measure) {
+  var j, k, until, events, e, count, secs, beatsecs;
+  for (j = 0; j < chords.length; ++j) {
+    until = (j + 1 < chords.length) ? chords[j + 1].delay : end;
+    beatsecs = chords[j].beatsecs;
+    events = accompany(chords[j].chord, pattern,
+        (until - chords[j].delay) / beatsecs, measure, chords[j].beat);
+    // Count the notes in each beat, to attenuate chords.
+    count = {};
+    for (k = 0; k < events.length; ++k) {
+      e = Math.floor(events[k].time);
+      count[e] = (count[e] || 0) + 1;
+    }
+    for (k = 0; k < events.length; ++k) {
+      e = events[k];
+      secs = e.duration * beatsecs;
+      if (secs >= 1/8) {
+        // Separate repeated chords by about a 30th of a second.
+        secs -= 1/32;
+      }
+      // The accompaniment is played softly behind the melody.
+      this.tone(-(e.midi + (transpose || 0)), secs,
+          volume / 2 / Math.sqrt(count[Math.floor(e.time)]),
+          chords[j].delay + e.time * beatsecs, timbre, chords[j].chord);
+    }
+  }
+};
+
+// Plays a %%MIDI drum pattern {pattern, drums, velocities} in each of
+// a list of measures {delay, secs}, stopping at the end.  The pattern's
+// characters divide the measure evenly: each d strikes the next drum,
+// z rests, and a number after a character lengthens it.
+Instrument.prototype._drum = function(bars, end, drum, volume) {
+  var items = [], total = 0, re = /([dz])(\d*)/g, m, strikes = 0,
+      timbre = makeTimbre(timbres.presets.kit, this._atop),
+      j, k, time, unit;
+  while ((m = re.exec(drum.pattern))) {
+    if (m[1] == 'd') {
+      items.push({ start: total, units: Number(m[2] || 1), strike: strikes });
+      strikes += 1;
+    }
+    total += Number(m[2] || 1);
+  }
+  for (j = 0; total && j < bars.length; ++j) {
+    unit = bars[j].secs / total;
+    for (k = 0; k < items.length; ++k) {
+      time = bars[j].delay + items[k].start * unit;
+      if (time >= end - 1e-6) { break; }
+      this.tone(-(drum.drums[items[k].strike] || 35),
+          Math.min(items[k].units * unit, end - time),
+          volume * (drum.velocities[items[k].strike] || 64) / 127,
+          time, timbre, null);
+    }
+  }
+};
+
+// Returns true for a tune from parseABCBook that is chosen by the tune
+// option: either its X: reference number, or one of its T: titles,
+// ignoring case.
+function isChosenTune(tune, choice) {
+  if (typeof(choice) == 'number' || /^\s*\d+\s*$/.test(choice)) {
+    return tune.X != null && Number(tune.X) == Number(choice);
+  }
+  return (tune.T || '').toLowerCase().split('\n').indexOf(
+      String(choice).trim().toLowerCase()) >= 0;
+}
+
+// Looks up a timbre given by name, such as "strings", in the presets.
+// Other names are wave names, and objects are used as they are.
+function presetTimbre(timbre) {
+  return (typeof(timbre) == 'string' &&
+      timbres.presets.hasOwnProperty(timbre)) ?
+      timbres.presets[timbre] : timbre;
+}
+
+// Returns the timbre preset for a %%MIDI program, if there is one.
+function programTimbre(program) {
+  return program == null ? null : timbres.programTimbre(program);
+}
+
+// Chooses the accompaniment pattern for a voice: the accompaniment
+// option if one is given, and otherwise any %%MIDI gchord setting for
+// the voice or the file.  Returns null for no accompaniment.
+function accompanimentPattern(option, voice, abcfile) {
+  var gchord = option != null ? option :
+      'gchord' in voice ? voice.gchord : abcfile.gchord;
+  return gchord === true ? 'block' : gchord || null;
+}
+
+// Lists the lines of notes to play in a parsed file, as {id, line},
+// where id names a voice, and line is either the voice itself or one
+// of its overlays.
+function voiceLines(abcfile) {
+  var result = [], overlays, vn, j;
+  for (vn in abcfile.voice) {
+    result.push({ id: vn, line: abcfile.voice[vn] });
+    overlays = abcfile.voice[vn].overlays || [];
+    for (j = 0; j < overlays.length; ++j) {
+      result.push({ id: vn, line: overlays[j] });
+    }
+  }
+  return result;
+}
+
+// Returns true for a voice that is played on the drum kit: one on
+// %%MIDI channel 10, or written with clef=perc.
+function isPercussion(voice, abcfile) {
+  return ('channel' in voice ? voice.channel : abcfile.channel) == 10 ||
+      /^perc/i.test(('clef' in voice ? voice.clef : abcfile.clef) || '');
+}
+
+// Returns the General MIDI drum for a note of a percussion voice: the
+// drum that %%percmap gives for its written pitch, or else the drum
+// numbered by the pitch played, as abcMIDI plays notes on channel 10.
+function percussionDrum(note, pitch) {
+  return 'drum' in note ? note.drum : Math.round(pitchToMidi(pitch));
+}
+
+// Returns the name of the first voice of a parsed file.
+function firstVoice(abcfile) {
+  for (var vn in abcfile.voice) { return vn; }
+}
+
+// Returns the list of stem indexes to play for a voice with the given
+// number of stems.  If the tune has a P: order of parts and the voice
+// marks where its parts begin, the parts are played in that order, and
+// otherwise the voice is played as written.  Repeats are unfolded
+// within each part.
+function playOrder(count, repeats, parts, partorder) {
+  var result, start, end, j, k;
+  if (!partorder || !parts || !parts.length) {
+    return unfoldRepeats(count, repeats);
+  }
+  // Any stems before the first part are played first.
+  result = unfoldPart(0, parts[0].index);
+  for (j = 0; j < partorder.length; ++j) {
+    for (k = 0; k < parts.length; ++k) {
+      if (parts[k].name == partorder[j]) {
+        start = parts[k].index;
+        end = (k + 1 < parts.length) ? parts[k + 1].index : count;
+        result = result.concat(unfoldPart(start, end));
+      }
+    }
+  }
+  return result;
+  // Unfolds the repeats in the stems from start up to end.
+  function unfoldPart(start, end) {
+    var local = [], order, j;
+    for (j = 0; repeats && j < repeats.length; ++j) {
+      if (repeats[j].index >= start && repeats[j].index <= end) {
+        local.push({
+          index: repeats[j].index - start,
+          bar: repeats[j].bar,
+          ending: repeats[j].ending
+        });
+      }
+    }
+    order = unfoldRepeats(end - start, local);
+    for (j = 0; j < order.length; ++j) {
+      order[j] += start;
+    }
+    return order;
+  }
+}
+
+// Unfolds the repeat signs and numbered endings recorded by the parser
+// for a voice with the given number of stems, returning the list of stem
+// indexes in the order that they should be played.
+// A :| repeat goes back to the last |: or ::, or to the last double bar
+// or completed repeat if there is no explicit start.  An ending [n is
+// played only on the passes that it lists.
+function unfoldRepeats(count, repeats) {
+  var result = [], pos = 0, k = 0, pass = 1, playing = true,
+      startpos = 0, startk = 0, explicit = false, closed = false,
+      marker, next, j;
+  while (true) {
+    next = (repeats && k < repeats.length) ? repeats[k].index : count;
+    if (playing) {
+      for (j = pos; j < next; ++j) { result.push(j); }
+    }
+    pos = next;
+    if (!repeats || k >= repeats.length) { break; }
+    marker = repeats[k++];
+    if (/^:/.test(marker.bar)) {
+      if (!playing) {
+        // The end of an ending that was skipped on this pass.
+        playing = true;
+        closed = true;
+      } else if (pass < countPasses(repeats, startk, k - 1)) {
+        // Go back to the start of the section for another pass.
+        pass += 1;
+        pos = startpos;
+        k = startk;
+        closed = false;
+        continue;
+      } else {
+        // The repeat is done: the next section starts here.
+        pass = 1;
+        startpos = pos;
+        startk = k;
+        explicit = false;
+      }
+    }
+    if (/:$/.test(marker.bar)) {
+      // A |: or :: marks the start of a repeated section.
+      pass = 1;
+      playing = true;
+      startpos = pos;
+      startk = k;
+      explicit = true;
+      closed = false;
+    } else if (marker.bar.length > 1 && !/:/.test(marker.bar)) {
+      // A double bar ends any endings, and unless it is inside a
+      // section that starts with |:, it starts the next section.
+      playing = true;
+      if (!explicit || closed) {
+        pass = 1;
+        startpos = pos;
+        startk = k;
+        explicit = false;
+        closed = false;
+      }
+    }
+    if (marker.ending) {
+      playing = marker.ending.indexOf(pass) >= 0;
+    }
+  }
+  return result;
+}
+
+// Returns the written time of each stem in a list, in unit notes from
+// the beginning of the voice.  Grace notes take no written time.
+function writtenTimes(stems) {
+  var result = [], time = 0, j;
+  for (j = 0; j < stems.length; ++j) {
+    result.push(time);
+    if (!stems[j].grace) {
+      time += stems[j].time;
+    }
+  }
+  return result;
+}
+
+// Returns the length of the pickup measure of a voice whose stems are
+// played in the given order at the given times: the time when the first
+// stem that the parser marked in a measure after the pickup is played,
+// or zero if there is no pickup.
+function pickupLength(stems, order, played) {
+  var j;
+  if (!order.length || stems[order[0]].measure !== 0) { return 0; }
+  for (j = 0; j < order.length; ++j) {
+    if (stems[order[j]].measure > 0) { return played[j]; }
+  }
+  return 0;
+}
+
+// Returns the position of a played time within its measure, given the
+// time of a downbeat and the length of a measure, all in unit notes.
+// Without a measure length, times are counted from the downbeat.
+function barPosition(time, downbeat, measure) {
+  if (!measure) { return time - downbeat; }
+  return ((time - downbeat) % measure + measure) % measure;
+}
+
+// Returns the time at which each stem is played, in unit notes from the
+// beginning, when a voice's stems are played in the given order.
+function playedTimes(stems, order) {
+  var ordered = [], j;
+  for (j = 0; j < order.length; ++j) {
+    ordered.push(stems[order[j]]);
+  }
+  return writtenTimes(ordered);
+}
+
+// Makes the tempo map for a parsed ABC file: a list of {time, upm}
+// entries, sorted by time, giving the tempo in unit notes per minute
+// from each played time onward.  The tune begins at the given tempo,
+// and tempo changes from all voices and overlays are scaled by the same
+// factor, so that a tempo chosen in play() options also speeds up tempo
+// changes.  The lines are as listed by voiceLines, each with the order
+// and played times of its stems, and a tempo change takes effect each
+// time the stem before it is played, so it lasts through repeats.  While
+// a stem with a fermata is played in any line, the tempo of every line
+// is slowed by the fermata factor, so that the voices stay together.
+function tempoMap(abcfile, tempo, lines, fermata) {
+  var result = [{ time: 0, upm: tempo }], scale = 1, holds = [],
+      vl, ni, j, changes, c, stem, stems, order, played;
+  if (abcfile.tempo) {
+    scale = tempo / unitsPerMinute(abcfile, abcfile);
+  }
+  for (vl = 0; vl < lines.length; ++vl) {
+    changes = lines[vl].line.tempos || [];
+    stems = lines[vl].line.stems;
+    order = lines[vl].order;
+    played = lines[vl].played;
+    for (j = 0; j < changes.length; ++j) {
+      c = changes[j];
+      for (ni = 0; ni < order.length; ++ni) {
+        stem = stems[order[ni]];
+        if (c.index ? order[ni] == c.index - 1 : order[ni] === 0) {
+          result.push({
+            time: played[ni] + (c.index && !stem.grace ? stem.time : 0),
+            upm: unitsPerMinute(c, abcfile) * scale
+          });
+        }
+      }
+    }
+    for (ni = 0; fermata != 1 && ni < order.length; ++ni) {
+      stem = stems[order[ni]];
+      if (!stem.grace && stem.time > 0 && hasFermata(stem)) {
+        holds.push({ time: played[ni], end: played[ni] + stem.time });
+      }
+    }
+  }
+  // Sort by time, keeping voice order for changes at the same time.
+  for (j = 0; j < result.length; ++j) {
+    result[j].order = j;
+  }
+  result.sort(function(a, b) {
+    return (a.time - b.time) || (a.order - b.order);
+  });
+  return holds.length ? holdTempos(result, holds, fermata) : result;
+}
+
+// Slows a tempo map by a factor during the spans {time, end} of held
+// fermatas, returning a new tempo map.  Fermatas held at the same time
+// in several voices slow the tempo only once.
+function holdTempos(tempos, holds, factor) {
+  var times = [], result = [], j, k, upm;
+  for (j = 0; j < tempos.length; ++j) { times.push(tempos[j].time); }
+  for (j = 0; j < holds.length; ++j) {
+    times.push(holds[j].time, holds[j].end);
+  }
+  times.sort(function(a, b) { return a - b; });
+  for (j = 0; j < times.length; ++j) {
+    if (j && times[j] == times[j - 1]) { continue; }
+    upm = tempoAt(tempos, times[j]);
+    for (k = 0; k < holds.length; ++k) {
+      if (holds[k].time <= times[j] && times[j] < holds[k].end) {
+        upm /= factor;
+        break;
+      }
+    }
+    result.push({ time: times[j], upm: upm });
+  }
+  return result;
+}
+
+// Converts a parsed Q: tempo to unit notes per minute.
+function unitsPerMinute(q, abcfile) {
+  var unitbeat = q.unitbeat || abcfile.unitbeat;
+  return q.tempo * (unitbeat ? unitbeat / (abcfile.unitnote || 1) : 1);
+}
+
+// Returns the tempo in unit notes per minute at a played time.
+function tempoAt(tempos, time) {
+  var j = 0;
+  while (j + 1 < tempos.length && tempos[j + 1].time <= time) { ++j; }
+  return tempos[j].upm;
+}
+
+// Returns the number of seconds taken to play the given number of
+// unit notes starting at a played time, following the tempo map.
+function tempoSecs(tempos, time, units) {
+  var secs = 0, end = time + units, j = 0, next;
+  while (j + 1 < tempos.length && tempos[j + 1].time <= time) { ++j; }
+  while (time < end) {
+    next = (j + 1 < tempos.length) ? Math.min(end, tempos[j + 1].time) : end;
+    secs += (next - time) * 60 / tempos[j].upm;
+    time = next;
+    ++j;
+  }
+  return secs;
+}
+
+// Returns the velocity of each stem within the hairpins of a voice,
+// ramping from the velocity at the start of each hairpin toward the
+// dynamic marking it leads to, or else up or down by the given delta.
+// When a hairpin has no dynamic marking at the end, the level it
+// reaches is held until the next dynamic marking.  Stems outside the
+// hairpins are left undefined, to be played at their own velocity.
+function hairpinVelocities(stems, written, hairpins, delta) {
+  var result = [], j, k, h, end, until, from, to, t0, t1;
+  if (!hairpins) { return result; }
+  for (k = 0; k < hairpins.length; ++k) {
+    h = hairpins[k];
+    end = (h.end == null) ? stems.length : h.end;
+    if (end <= h.start) { continue; }
+    // Start from the level left by an earlier hairpin, if any.
+    from = result[h.start];
+    for (j = h.start; from == null && j < end; ++j) {
+      if (stems[j].notes.length) {
+        from = stems[j].notes[0].velocity || 1;
+      }
+    }
+    if (from == null) { from = 1; }
+    to = (h.to != null) ? h.to :
+        Math.max(0, from + (h.type == 'diminuendo' ? -delta : delta));
+    // A later hairpin takes over from any level held by earlier ones.
+    result.length = h.start;
+    t0 = written[h.start];
+    t1 = (end < stems.length) ? written[end] :
+        written[end - 1] + (stems[end - 1].grace ? 0 : stems[end - 1].time);
+    for (j = h.start; j < end; ++j) {
+      result.push(t1 > t0 ?
+          from + (to - from) * (written[j] - t0) / (t1 - t0) : from);
+    }
+    if (h.to == null) {
+      until = (h.until == null) ? stems.length : h.until;
+      for (j = end; j < until; ++j) {
+        result.push(to);
+      }
+    }
+  }
+  return result;
+}
+
+// Returns true if any note in a stem has a fermata.
+function hasFermata(stem) {
+  var j, k, ornaments;
+  for (j = 0; j < stem.notes.length; ++j) {
+    ornaments = stem.notes[j].ornaments || [];
+    for (k = 0; k < ornaments.length; ++k) {
+      if (ornaments[k].type == 'fermata') { return true; }
+    }
+  }
+  return false;
+}
+
+// Transposes an ABC pitch by some semitones, giving a negative midi
+// number (as accepted by tone) if it is changed.
+function transposePitch(pitch, semitones) {
+  if (!semitones) { return pitch; }
+  return -(pitchToMidi(pitch) + semitones);
+}
+
+// Expands an ornamented note into the list of {pitch, delay, secs}
+// tones that play it for the given number of seconds.  The notes of an
+// ornament are quick, and the principal note is held for the rest of
+// the time.  A note without an ornament is a single tone.
+function ornamentTones(note, secs) {
+  var ornament = null, figure, step, result = [], p, j;
+  for (j = 0; note.ornaments && j < note.ornaments.length; ++j) {
+    if (note.ornaments[j].type != 'fermata') {
+      ornament = note.ornaments[j];
+      break;
+    }
+  }
+  if (!ornament) {
+    return [{ pitch: note.pitch, delay: 0, secs: secs }];
+  }
+  p = note.pitch;
+  step = Math.min(Instrument.ornamentSecs, secs / 4);
+  switch (ornament.type) {
+    case 'trill':
+      // Alternate with the upper neighbour for the length of the note.
+      figure = [];
+      for (j = Math.floor((secs - step) / step / 2); j > 0; --j) {
+        figure.push(p, ornament.upper);
+      }
+      break;
+    case 'mordent':
+      figure = [p, ornament.lower];
+      break;
+    case 'uppermordent':
+      figure = [p, ornament.upper];
+      break;
+    case 'turn':
+      figure = [ornament.upper, p, ornament.lower];
+      break;
+    case 'invertedturn':
+      figure = [ornament.lower, p, ornament.upper];
+      break;
+    case 'roll':
+      figure = [p, ornament.upper, p, ornament.lower];
+      break;
+    default:
+      figure = [];
+  }
+  for (j = 0; j < figure.length; ++j) {
+    result.push({ pitch: figure[j], delay: j * step, secs: step });
+  }
+  result.push({ pitch: p, delay: j * step, secs: secs - j * step });
+  return result;
+}
+
+// Works out how long each stem in the list should be played, letting
+// grace notes steal their time from a neighboring stem.  Grace notes
+// written as {g} are appoggiaturas that take their time from the start of
+// the principal note that follows them; grace notes written as {/g} are
+// acciaccaturas that are played before the beat, taking their time from
+// the end of the preceding note.  The grace option may be 'appoggiatura'
+// or 'acciaccatura' to play all grace notes one way.  Grace notes never
+// take more than half of the time of the note they steal from.
+function realizeGraces(stems, grace) {
+  var times = [], j, k, g, from, scale;
+  for (j = 0; j < stems.length; ++j) {
+    times.push(stems[j].time);
+  }
+  for (j = 0; j < stems.length; j = k) {
+    if (!stems[j].grace) {
+      k = j + 1;
+      continue;
+    }
+    // Add up the time of a group of grace stems.
+    for (g = 0, k = j; k < stems.length && stems[k].grace; ++k) {
+      g += stems[k].time;
+    }
+    if (j > 0 && (grace == 'acciaccatura' ||
+        (grace != 'appoggiatura' && stems[j].acciaccatura))) {
+      from = j - 1;
+    } else if (k < stems.length) {
+      from = k;
+    } else {
+      // Grace notes at the very end just take their own time.
+      continue;
+    }
+    scale = g ? Math.min(1, times[from] / 2 / g) : 1;
+    for (; j < k; ++j) {
+      times[j] *= scale;
+    }
+    times[from] -= g * scale;
+  }
+  return times;
+}
+
+// Counts the passes through the repeated section that starts at
+// repeats[from] and is closed by the :| at repeats[to].  That is two,
+// unless the numbered endings of the section ask for more, as in [1,3.
+function countPasses(repeats, from, to) {
+  var passes = 2, ending = false, j, marker;
+  for (j = from; j < repeats.length; ++j) {
+    marker = repeats[j];
+    if (j > to && (/:$/.test(marker.bar) ||
+        (marker.bar.length > 1 && !/:/.test(marker.bar)) ||
+        (/^:/.test(marker.bar) && !ending && !marker.ending))) {
+      // Stop at the start of the next section.
+      break;
+    }
+    if (marker.ending) {
+      ending = true;
+      passes = Math.max.apply(Math, [passes].concat(marker.ending));
+    }
+  }
+  return passes;
+}
+
+// Accepts either an ABC pitch or a midi number and converts to midi.
+Instrument.pitchToMidi = function(n) {
+  if (typeof(n) == 'string') { return pitchToMidi(n); }
+  return n;
+}
 
 // Accepts either an ABC pitch or a midi number and converts to ABC pitch.
 Instrument.midiToPitch = function(n) {
@@ -737,7 +2450,7 @@ Instrument.midiToPitch = function(n) {
 
 module.exports = Instrument;
 
-},{"./parser-abc":3,"./utils":4}],3:[function(require,module,exports){
+},{"./accompaniment":1,"./book-abc":2,"./drums":3,"./parser-abc":7,"./timbres":8,"./utils":10}],7:[function(require,module,exports){
 // Parses an ABC file to an object with the following structure:
 // {
 //   X: value from the X: lines in header (\n separated for multiple values)
@@ -745,11 +2458,29 @@ module.exports = Instrument;
 //   (etc): for all the one-letter header-names.
 //   K: value from the K: lines in header.
 //   tempo: Q: line parsed as beatsecs
-//   timbre: ... I:timbre line as parsed by makeTimbre
+//   timbre: from the I:timbre line, as parsed by parseTimbre
+//   transpose: semitones to transpose when playing, from K: or %%transpose
+//   clef: clef name from K: clef=, such as "bass" or "treble-8"
+//   octave: octaves to shift the written notes, from K: clef= or octave=
+//   partorder: [...] part names in the order to play them, from P:
+//   program, channel, gchord, drum, drumon: from %%MIDI, see parseMidi
+//   meta: the information fields of the header, as parsed by parseMeta
+//   percmap: {pitch: drum} the General MIDI drums for notes of percussion
+//       voices, from %%percmap; each note written with a mapped pitch has
+//       its drum number as note.drum
 //   voice: {
 //     myname: { // voice with id "myname"
 //       V: value from the V:myname lines (from the body)
+//       transpose, clef, octave: as above, from V: or K: for the voice
+//       timbre: as above, from I:timbre or V: timbre= for the voice
+//       program, channel, gchord, drum, drumon: as above, for the voice
+//       percmap: as above, for the voice
 //       stems: [...] as parsed by parseABCstems
+//       repeats: [...] repeat signs and endings, as parsed by parseBar
+//       tempos: [...] mid-tune tempo changes, as parsed by parseTempoChange
+//       hairpins: [...] crescendo and diminuendo spans, see startHairpin
+//       parts: [...] where each part begins, as parsed by startPart
+//       overlays: [...] notes overlaid with &, as parsed by startOverlay
 //    }
 //  }
 // }
@@ -761,27 +2492,147 @@ module.exports = Instrument;
 
 var utils = require('./utils');
 var pitchToFrequency = utils.pitchToFrequency;
+var drumNumber = require('./drums').drumNumber;
 
 var ABCheader = /^([A-Za-z]):\s*(.*)$/;
-var ABCtoken = /(?:\[[A-Za-z]:[^\]]*\])|\s+|%[^\n]*|![^\s!:|\[\]]*!|\+[^+|!]*\+|[_<>@^]?"[^"]*"|\[|\]|>+|<+|(?:(?:\^+|_+|=|)[A-Ga-g](?:,+|'+|))|\(\d+(?::\d+){0,2}|\d*\/\d+|\d+\/?|\/+|[xzXZ]|\[?\|\]?|:?\|:?|::|./g;
+var ABCtoken = /(?:\[[A-Za-z]:[^\]]*\])|\s+|%[^\n]*|![^\s!:|\[\]]*!|\+[^+|!]*\+|[_<>@^]?"[^"]*"|\{\/?|\[\d+(?:[,\-]\d+)*|:*\[?\|+\]?:*(?:\d+(?:[,\-]\d+)*)?|:{2,}|\[|\]|>+|<+|(?:(?:[\^_]\d*\/\d*|\^+|_+|=|)[A-Ga-g](?:,+|'+|))|\(\d+(?::\d+){0,2}|\d*\/\d+|\d+\/?|\/+|[xzXZ]|./g;
+var ABCbar = /^(?::*\[?\||:{2,}|\[\d)/;
+// Ornaments, named by their decorations and single-letter abbreviations.
+var ABCornament = {
+  'T': 'trill', 'trill': 'trill',
+  'M': 'mordent', 'mordent': 'mordent', 'lowermordent': 'mordent',
+  'P': 'uppermordent', 'uppermordent': 'uppermordent',
+  'pralltriller': 'uppermordent',
+  'turn': 'turn', 'turnx': 'turn',
+  'invertedturn': 'invertedturn', 'invertedturnx': 'invertedturn',
+  '~': 'roll', 'roll': 'roll',
+  'H': 'fermata', 'fermata': 'fermata', 'invertedfermata': 'fermata'
+};
+
+// The information fields that are collected in the meta object.
+var ABCmeta = {
+  T: 'titles', C: 'composer', O: 'origin', R: 'rhythm', N: 'notes',
+  S: 'source', B: 'book', Z: 'transcription', D: 'discography'
+};
+// The modes of K: lines, by their first three letters.
+var ABCmode = {
+  '': 'major', maj: 'major', ion: 'major', m: 'minor', min: 'minor',
+  aeo: 'minor', mix: 'mixolydian', dor: 'dorian', phr: 'phrygian',
+  lyd: 'lydian', loc: 'locrian'
+};
+// The sharps (or if negative, flats) in the signature of each major key,
+// and the fifths that each mode moves the signature from the major key.
+var ABCtonicFifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+var ABCmodeFifths = {
+  major: 0, minor: -3, mixolydian: -1, dorian: -2, phrygian: -4,
+  lydian: 1, locrian: -5
+};
+// The names of clefs, which K: lines may give without clef=.
+var ABCclefName = new RegExp('^(?:treble|bass|baritone|tenor|alto|' +
+    'mezzosoprano|soprano|perc|none)\\d?(?:[+\\-]8)?$', 'i');
+// The octaves to shift the notes written in each clef, by default.
+var ABCclefOctave = { bass: -2, baritone: -2, tenor: -1, alto: -1 };
+
+// The error thrown by parseABCFile in strict mode.  It describes the
+// first error found, and its diagnostics list has all the problems.
+function ABCParseError(diagnostic, diagnostics) {
+  this.name = 'ABCParseError';
+  this.message = diagnostic.message + ' at line ' + diagnostic.line +
+      ', column ' + diagnostic.column;
+  this.severity = diagnostic.severity;
+  this.line = diagnostic.line;
+  this.column = diagnostic.column;
+  this.text = diagnostic.text;
+  this.diagnostics = diagnostics;
+  this.stack = (new Error(this.message)).stack;
+}
+ABCParseError.prototype = Object.create(Error.prototype);
+ABCParseError.prototype.constructor = ABCParseError;
+
+// Splits ABC text into the lines to be parsed, following the rules for
+// continuation: a music line that ends with a backslash (before any
+// comment) goes on with the next music line, skipping comment lines in
+// between, and a +: line continues the field on the line before it,
+// joined with a space.  Each line is returned as {text, segments}, where
+// each segment is a piece of the text as {index, line, column, offset}:
+// the index in the text where the piece starts, and the line (counting
+// from 0), column and offset in str where it is found.
+function continuedLines(str) {
+  var lines = str.split('\n'), result = [], last = null, continued = false,
+      offset = 0, j, text, m;
+  for (j = 0; j < lines.length; offset += lines[j].length + 1, ++j) {
+    text = lines[j];
+    m = /^\+:\s*/.exec(text);
+    if (m && last && last.field) {
+      last.text = last.text.replace(/\s*%.*$/, '') + ' ';
+      addSegment(text.substr(m[0].length), m[0].length);
+      continue;
+    }
+    if (continued) {
+      if (/^%(?!%)/.test(text)) { continue; }
+      continued = !ABCheader.test(text) && !/^\s*(?:%.*)?$/.test(text);
+    }
+    if (!continued) {
+      last = { text: '', segments: [], field: ABCheader.test(text) };
+      result.push(last);
+    }
+    continued = !last.field && !/^%/.test(text) &&
+        /\\\s*(?:%.*)?$/.test(text);
+    if (continued) {
+      text = text.replace(/\\\s*(?:%.*)?$/, '');
+    }
+    addSegment(text, 0);
+  }
+  return result;
+  function addSegment(piece, column) {
+    last.segments.push({
+      index: last.text.length,
+      line: j,
+      column: column,
+      offset: offset + column
+    });
+    last.text += piece;
+  }
+}
 
-module.exports = function parseABCFile(str) {
-  var lines = str.split('\n'),
+// Parses an ABC file.  Problems found while parsing are listed in the
+// result as diagnostics: [{severity, message, line, column, text}],
+// where severity is 'error' or 'warning', line numbers count from 1
+// and columns count from 0.  If options.strict is set, an ABCParseError
+// is thrown instead of returning a result with any errors.
+//
+// Every stem and note has a source range {start, end} locating its
+// text, where each position is {line, column, offset}.  When str is
+// part of a larger text, options.line and options.offset give the line
+// number and offset where str begins, and positions count from there.
+module.exports = function parseABCFile(str, options) {
+  var lines = continuedLines(str),
       result = {},
       context = result, timbre,
-      j, k, header, stems, key = {}, accent = { slurred: 0 }, voiceid, out;
-  // ABC files are parsed one line at a time.
+      j, k, header, stems, key = {}, accent = { slurred: 0 }, voiceid, out,
+      diagnostics = [], segments = null, offsets = null, part = null,
+      partsource = null, overlays, meter = null, text,
+      firstline = (options && options.line) || 1,
+      firstoffset = (options && options.offset) || 0;
+  // ABC files are parsed one line at a time, after joining lines that
+  // are continued.  Columns are counted in the joined text, and are
+  // located in the file by the position function.
   for (j = 0; j < lines.length; ++j) {
+    text = lines[j].text;
+    segments = lines[j].segments;
     // First, check to see if the line is a header line.
-    header = ABCheader.exec(lines[j]);
+    header = ABCheader.exec(text);
     if (header) {
-      handleInformation(header[1], header[2].trim());
-    } else if (/^\s*(?:%.*)?$/.test(lines[j])) {
+      handleInformation(header[1], header[2].trim(),
+          text.length - header[2].length);
+    } else if (/^%%/.test(text)) {
+      parseDirective(text.substr(2));
+    } else if (/^\s*(?:%.*)?$/.test(text)) {
       // Skip blank and comment lines.
       continue;
     } else {
       // Parse the notes.
-      parseABCNotes(lines[j]);
+      parseABCNotes(text);
     }
   }
   var infer = ['unitnote', 'unitbeat', 'tempo'];
@@ -800,6 +2651,27 @@ module.exports = function parseABCFile(str) {
             result[infer[k]] = result.voice[j][infer[k]];
           }
         }
+        // Report any slur that is still open at the end of the voice.
+        if (result.voice[j].accent.slurred) {
+          diagnose('warning', 'Unclosed slur', '(',
+              result.voice[j].accent.slurfrom.column,
+              result.voice[j].accent.slurfrom.line);
+        }
+        markMeasures(result.voice[j]);
+        // Only keep the repeat structure if there are repeats to play.
+        if (result.voice[j].repeats &&
+            !hasRepeats(result.voice[j].repeats)) {
+          delete result.voice[j].repeats;
+        }
+        // Overlays are tidied up the same way.
+        overlays = result.voice[j].overlays || [];
+        for (k = 0; k < overlays.length; ++k) {
+          processTies(overlays[k].stems);
+          if (overlays[k].repeats && !hasRepeats(overlays[k].repeats)) {
+            delete overlays[k].repeats;
+          }
+          delete overlays[k].accent;
+        }
         // Remove this internal state variable;
         delete result.voice[j].accent;
       } else {
@@ -811,6 +2683,31 @@ module.exports = function parseABCFile(str) {
       delete result.voice[out[j]];
     }
   }
+  // Report any part in the P: order that is never marked in the body.
+  if (result.partorder && result.voice) {
+    for (j = 0; j < result.partorder.length; ++j) {
+      if (!hasPart(result.partorder[j]) &&
+          result.partorder.indexOf(result.partorder[j]) == j) {
+        diagnose('warning', 'Unknown part', result.partorder[j],
+            partsource.column, partsource.line);
+      }
+    }
+  }
+  result.meta = parseMeta(result);
+  if (diagnostics.length) {
+    // List problems in the order they appear in the file.
+    diagnostics.sort(function(a, b) {
+      return (a.line - b.line) || (a.column - b.column);
+    });
+    result.diagnostics = diagnostics;
+    if (options && options.strict) {
+      for (j = 0; j < diagnostics.length; ++j) {
+        if (diagnostics[j].severity == 'error') {
+          throw new ABCParseError(diagnostics[j], diagnostics);
+        }
+      }
+    }
+  }
   return result;
 
 
@@ -819,9 +2716,230 @@ module.exports = function parseABCFile(str) {
   ////////////////////////////////////////////////////////////////////////
 
 
+  // Numbers the measures of a voice, following its bar lines and meter
+  // changes, and marks each stem of the voice and of its overlays with
+  // measure: the number of the measure it falls in, counting from 1, or
+  // 0 for a pickup (a first measure shorter than the meter);
+  // beat: its position within the measure in beats, counting from 0;
+  // beatoffset: the number of beats before it from the start of the voice.
+  // A beat is the note of the meter's denominator.  Measures are counted
+  // as written, without unfolding repeats, and a measure split in two by
+  // a repeat sign counts once.
+  function markMeasures(voice) {
+    var stems = voice.stems, bars = (voice.accent.bars || []).concat(
+            [stems.length]),
+        meters = (meter ? [meter] : []).concat(voice.accent.meters || []),
+        unitnote = voice.unitnote || result.unitnote || 1/8,
+        repeats = voice.repeats || [], sections = {}, endings = {},
+        measures = [], number = 1, time = 0, beats = 0, from = 0,
+        current = null, duration, count, measure, last, j, k;
+    for (j = 0; j < repeats.length; ++j) {
+      sections[repeats[j].index] = true;
+      if (repeats[j].ending) { endings[repeats[j].index] = true; }
+    }
+    for (j = 0; j < bars.length; ++j) {
+      duration = writtenTime(stems.slice(from, bars[j]));
+      if (duration <= 0) { continue; }
+      for (k = 0; k < meters.length && meters[k].index <= from; ++k) {
+        current = meters[k];
+      }
+      // A multi-measure rest counts as all of its measures.
+      count = 1;
+      for (k = from; k < bars[j]; ++k) {
+        if (stems[k].measures) { count += stems[k].measures - 1; }
+      }
+      // A measure split in two by a repeat sign or double bar, as in
+      // "GA|1Bc:|", is one measure, following the rule of checkMeasures.
+      // Its head is the written time of the part before the split.
+      last = measures[measures.length - 1];
+      if (last && sections[from] && !last.head && count == 1 &&
+          last.count == 1 &&
+          Math.abs(last.duration + duration - last.length) < 1e-6) {
+        last.head = last.duration;
+        last.duration += duration;
+        last.to = bars[j];
+        time += duration;
+        beats += duration / last.unit;
+        from = bars[j];
+        continue;
+      }
+      measure = {
+        time: time,
+        duration: duration,
+        length: ((current && current.length) || 1) / unitnote,
+        unit: ((current && current.beat) || 1/4) / unitnote,
+        number: number,
+        beatoffset: beats,
+        pad: 0,
+        from: from,
+        to: bars[j],
+        metered: !!(current && current.length)
+      };
+      measure.count = count;
+      // A later ending that completes the same split measure, as the "de"
+      // in "GA|1Bc:|2de|", is another version of the end of that measure.
+      if (last && last.head && endings[from] && count == 1 &&
+          Math.abs(last.head + duration - last.length) < 1e-6) {
+        measure.number = last.number;
+        measure.head = last.head;
+        measure.pad = last.head / measure.unit;
+        count = 0;
+      }
+      measures.push(measure);
+      number += count;
+      time += duration;
+      beats += duration / measure.unit;
+      from = bars[j];
+    }
+    if (measures.length > 1 &&
+        measures[0].duration < measures[0].length - 1e-6) {
+      // The first measure is a pickup: its notes come at the end of the
+      // measure, and it is numbered 0.
+      measure = measures[0];
+      measure.pad = (measure.length - measure.duration) / measure.unit;
+      for (j = 0; j < measures.length; ++j) {
+        measures[j].number -= 1;
+      }
+    }
+    checkMeasures(stems, measures, repeats);
+    markStems(stems, measures);
+    for (j = 0; voice.overlays && j < voice.overlays.length; ++j) {
+      markStems(voice.overlays[j].stems, measures);
+    }
+  }
+  // Warns about bars whose stems do not add up to the meter.  A short
+  // first bar is a pickup, and a short last bar may complete it.  A
+  // measure may also be split in two by a repeat sign or double bar, and
+  // a later ending may complete the first part instead.
+  function checkMeasures(stems, measures, repeats) {
+    var last = measures.length - 1, sections = {}, j, m, expected,
+        start, end, brace;
+    for (j = 0; j < repeats.length; ++j) {
+      sections[repeats[j].index] = true;
+    }
+    // Returns true if two measures together make up one full measure.
+    function complete(a, b) {
+      return Math.abs(a.duration + b.duration - a.length) < 1e-6;
+    }
+    for (j = 0; j <= last; ++j) {
+      m = measures[j];
+      expected = m.length * m.count;
+      if (!m.metered || Math.abs(m.duration - expected) < 1e-6 ||
+          (m.pad &&
+              Math.abs(m.pad * m.unit + m.duration - expected) < 1e-6) ||
+          (j && j == last && measures[0].pad && complete(measures[0], m)) ||
+          (j && sections[m.from] && complete(measures[j - 1], m)) ||
+          (j < last && sections[m.to] && complete(m, measures[j + 1]))) {
+        continue;
+      }
+      start = stems[m.from].source.start;
+      end = stems[m.to - 1].source.end;
+      if (stems[m.from].grace) {
+        // A bar that opens with grace notes starts at their brace.
+        brace = str.lastIndexOf('{', start.offset - firstoffset);
+        start = {
+          line: start.line,
+          column: start.column - (start.offset - firstoffset - brace),
+          offset: brace + firstoffset
+        };
+      }
+      diagnose('warning', m.duration > expected ?
+          'Bar too long' : 'Bar too short',
+          str.substring(start.offset - firstoffset, end.offset - firstoffset),
+          start.column, start.line);
+    }
+  }
+  // Marks stems with the measure, beat and beatoffset where they fall,
+  // given the list of measures with their starting written times.
+  function markStems(stems, measures) {
+    var time = 0, m = 0, j, measure;
+    if (!measures.length) { return; }
+    for (j = 0; j < stems.length; ++j) {
+      while (m + 1 < measures.length && measures[m + 1].time <= time + 1e-6) {
+        m += 1;
+      }
+      measure = measures[m];
+      stems[j].measure = measure.number;
+      stems[j].beat = roundBeats(
+          measure.pad + (time - measure.time) / measure.unit);
+      stems[j].beatoffset = roundBeats(
+          measure.beatoffset + (time - measure.time) / measure.unit);
+      if (!stems[j].grace) {
+        time += stems[j].time;
+      }
+    }
+  }
+
+  // Rounds a number of beats to a millionth of a beat, so that beats
+  // such as the second note of a triplet do not carry rounding errors.
+  function roundBeats(beats) {
+    return Math.round(beats * 1e6) / 1e6;
+  }
+
+  // Returns true if any voice has a part with the given name.
+  function hasPart(name) {
+    var id, j, parts;
+    for (id in result.voice) {
+      parts = result.voice[id].parts || [];
+      for (j = 0; j < parts.length; ++j) {
+        if (parts[j].name == name) { return true; }
+      }
+    }
+    return false;
+  }
+
+  // Records a problem found at the given column of the current line,
+  // or at a column of another line of the file.
+  function diagnose(severity, message, text, column, line) {
+    var here = line ? { line: line, column: column } : position(column);
+    diagnostics.push({
+      severity: severity,
+      message: message,
+      line: here.line,
+      column: here.column,
+      text: text
+    });
+  }
+
+  // Returns the source range of the tokens of the current line from
+  // the start index up to (but not including) the end index.
+  function sourceRange(start, end) {
+    return { start: sourcePosition(start), end: sourcePosition(end, true) };
+  }
+  // Returns the {line, column, offset} position of the token at the
+  // given index of the current line, or of the end of the token before.
+  function sourcePosition(index, end) {
+    return position(offsets[index], end);
+  }
+  // Returns the {line, column, offset} position in the file of a column
+  // of the current line, which may be continued over several lines.  At
+  // the end of a line that is continued, the position is placed at the
+  // end of the piece before rather than the start of the piece after.
+  function position(column, end) {
+    var j = segments.length - 1, segment;
+    while (j > 0 && (segments[j].index > column ||
+        (end && segments[j].index == column))) {
+      --j;
+    }
+    segment = segments[j];
+    return {
+      line: firstline + segment.line,
+      column: segment.column + column - segment.index,
+      offset: firstoffset + segment.offset + column - segment.index
+    };
+  }
+
+  // Records a problem with the token at the given index of the line
+  // of notes being parsed.
+  function diagnoseToken(severity, message, tokens, index) {
+    diagnose(severity, message, tokens[index], offsets[index]);
+  }
+
   // Processes header fields such as V: voice, which may appear at the
   // top of the ABC file, or in the ABC body in a [V:voice] directive.
-  function handleInformation(field, value) {
+  // The column of the value is used to report problems.
+  function handleInformation(field, value, column) {
+    var keyfield;
     // The following headers are recognized and processed.
     switch(field) {
       case 'V':
@@ -829,6 +2947,7 @@ module.exports = function parseABCFile(str) {
         // If in the header, then it is just advisory.
         if (context !== result) {
           startVoiceContext(value.split(' ')[0]);
+          parseModifiers(value, context);
         }
         break;
       case 'M':
@@ -838,9 +2957,44 @@ module.exports = function parseABCFile(str) {
         parseUnitNote(value, context);
         break;
       case 'Q':
-        parseTempo(value, context);
+        if (context !== result && context.stems && context.stems.length) {
+          parseTempoChange(value);
+        } else {
+          parseTempo(value, context);
+        }
+        break;
+      case 'w':
+        parseLyrics(value);
+        break;
+      case 'I':
+        // I:timbre sets the timbre for the tune or the current voice.
+        if (/^timbre\s/.test(value)) {
+          context.timbre = parseTimbre(value.replace(/^timbre\s+/, ''));
+        }
+        break;
+      case 'P':
+        // In the header, P: gives the order of the parts; in the body,
+        // it marks the start of a part.
+        if (context === result) {
+          result.partorder = parsePartOrder(value);
+          partsource = position(column);
+        } else {
+          startPart(value);
+        }
         break;
     }
+    // K:, L: and M: fields after the notes of a voice have begun are
+    // changes, also listed in the voice's fields list as {index, field,
+    // value}, where index is the number of stems before the change.
+    if (/^[KLM]$/.test(field) && context !== result && !accent.voice &&
+        context.stems && context.stems.length) {
+      if (!('fields' in context)) { context.fields = []; }
+      context.fields.push({
+        index: context.stems.length,
+        field: field,
+        value: value
+      });
+    }
     // All headers (including unrecognized ones) are
     // just accumulated as properties. Repeated header
     // lines are accumulated as multiline properties.
@@ -852,7 +3006,13 @@ module.exports = function parseABCFile(str) {
     // The K header is special: it should be the last one
     // before the voices and notes begin.
     if (field == 'K') {
-      key = keysig(value);
+      // A K: line with only a clef or other modifiers, such as K:bass or
+      // K:clef=bass, keeps the key.
+      keyfield = parseKey(value);
+      if (!keyfield || keyfield.tonic || keyfield.none || keyfield.bagpipe) {
+        key = keysig(value, column);
+      }
+      parseModifiers(value, context, keyfield && keyfield.clef);
       if (context === result) {
         startVoiceContext(firstVoiceName());
       }
@@ -879,9 +3039,281 @@ module.exports = function parseABCFile(str) {
       context = { id: id, accent: { slurred: 0 } };
       result.voice[id] = context;
       accent = context.accent;
+      // A V: line in the header may set up the voice.
+      parseModifiers(voiceDefinition(id), context);
+    }
+    // A voice joins the part that was started most recently.
+    if (part !== null) {
+      markPart(part, false);
+    }
+  }
+
+  // Starts a part, named by a P: field in the body, in the current voice.
+  // Parts are recorded on the voice as {name, index}, where index is the
+  // index of the first stem in the part.  Other voices join the part
+  // when they are next resumed, unless they name their own parts.
+  function startPart(value) {
+    var m = /^\s*([A-Za-z])/.exec(value);
+    if (!m) { return; }
+    part = m[1].toUpperCase();
+    markPart(part, true);
+  }
+  // Records the start of a part in the current voice and its overlays.
+  function markPart(name, explicit) {
+    addPart(context, name, explicit);
+    alignOverlays(function(overlay) {
+      addPart(overlay, name, explicit);
+    });
+  }
+  // Records the start of a part in a voice.  A part that starts where
+  // another one did replaces it, and unless named explicitly, a part
+  // already under way is not restarted.
+  function addPart(voice, name, explicit) {
+    var index = voice.stems ? voice.stems.length : 0, parts, last;
+    if (!('parts' in voice)) { voice.parts = []; }
+    parts = voice.parts;
+    last = parts.length ? parts[parts.length - 1] : null;
+    if (last && last.index == index) {
+      last.name = name;
+    } else if (explicit || !last || last.name != name) {
+      parts.push({ name: name, index: index });
     }
   }
 
+  // Switches to the next overlay of the current voice, at an & in the
+  // notes.  Each overlay is a sub-voice {stems, repeats, parts, hairpins}
+  // in the voice's overlays list, whose notes sound together with the
+  // voice's notes from the start of the bar.  Overlays are padded with
+  // rests to stay in step with the voice, and they follow its repeats
+  // and parts.
+  function startOverlay(source) {
+    var voice = accent.voice || context,
+        number = accent.voice ? accent.number + 1 : 0,
+        bars = voice.accent.bars || [],
+        stems = voice.stems || [],
+        overlay, marks, j;
+    if (!voice.overlays) { voice.overlays = []; }
+    overlay = voice.overlays[number];
+    if (!overlay) {
+      overlay = {
+        stems: [],
+        accent: { slurred: 0, voice: voice, number: number }
+      };
+      voice.overlays.push(overlay);
+      // It starts at the voice's current dynamics.
+      if ('dynamics' in voice.accent) {
+        overlay.accent.dynamics = voice.accent.dynamics;
+      }
+      // A new overlay follows the repeats and parts of the voice so far.
+      marks = (voice.repeats || []).concat(voice.parts || []);
+      marks.sort(function(a, b) { return a.index - b.index; });
+      for (j = 0; j < marks.length; ++j) {
+        padOverlay(overlay, writtenTime(stems.slice(0, marks[j].index)),
+            source);
+        if ('bar' in marks[j]) {
+          if (!overlay.repeats) { overlay.repeats = []; }
+          overlay.repeats.push(copyMarker(marks[j], overlay.stems.length));
+        } else {
+          addPart(overlay, marks[j].name, true);
+        }
+      }
+    }
+    // The overlay starts at the beginning of the bar.
+    padOverlay(overlay, writtenTime(
+        stems.slice(0, bars.length ? bars[bars.length - 1] : 0)), source);
+    context = overlay;
+    accent = overlay.accent;
+  }
+  // Returns from an overlay to its voice, forgetting the overlay's
+  // accidentals at the end of the bar.
+  function endOverlay() {
+    for (var t in accent) {
+      if (t.length == 1) {
+        delete accent[t];
+      }
+    }
+    context = accent.voice;
+    accent = context.accent;
+  }
+  // Pads each overlay of the current voice with a rest up to the voice's
+  // written time, then calls mark(overlay) to give it the voice's marker.
+  function alignOverlays(mark) {
+    var time, j;
+    if (!context.overlays) { return; }
+    time = writtenTime(context.stems || []);
+    for (j = 0; j < context.overlays.length; ++j) {
+      padOverlay(context.overlays[j], time);
+      mark(context.overlays[j]);
+    }
+  }
+  // Adds a rest to an overlay to bring it up to the given written time.
+  // The rest's source is the & that needed it, or else the current line.
+  function padOverlay(overlay, time, source) {
+    var gap = time - writtenTime(overlay.stems),
+        here = position(0);
+    if (gap > 1e-6) {
+      overlay.stems.push({
+        notes: [],
+        duration: '',
+        staccato: false,
+        time: gap,
+        source: source || { start: here, end: here }
+      });
+    }
+  }
+
+  // Returns the V: line from the header that defines the given voice.
+  function voiceDefinition(id) {
+    var defs = result.V ? result.V.split('\n') : [], j;
+    for (j = 0; j < defs.length; ++j) {
+      if (defs[j].split(/\s+/)[0] == id) {
+        return defs[j];
+      }
+    }
+    return '';
+  }
+
+  // Parses the modifiers of a K: or V: line: transpose= gives semitones
+  // to transpose when playing, timbre= gives the timbre to play with (see
+  // parseTimbre), and clef= and octave= give the octaves to shift the
+  // written notes.  As in abc2ps, the bass clef implies that notes are
+  // written two octaves up (and the alto and tenor clefs one octave up),
+  // unless octave= says otherwise, and a clef such as treble-8 or bass+8
+  // shifts a further octave.  A clef named without clef=, as K: lines
+  // may do, can be passed in.
+  function parseModifiers(value, target, clef) {
+    var m = /(?:^|\s)transpose=([+\-]?\d+)/.exec(value), octave;
+    if (m) {
+      target.transpose = parseInt(m[1], 10);
+    }
+    m = /(?:^|\s)timbre=(\{[^}]*\}|\S+)/.exec(value);
+    if (m) {
+      target.timbre = parseTimbre(m[1]);
+    }
+    m = /(?:^|\s)clef=(\S+)/.exec(value);
+    if (m || clef) {
+      target.clef = clef || m[1];
+    }
+    octave = /(?:^|\s)octave=([+\-]?\d+)/.exec(value);
+    if (m || clef || octave) {
+      target.octave = clefOctave(target.clef || '',
+          octave ? parseInt(octave[1], 10) : null);
+    }
+  }
+
+  // Processes a %% directive.  Most directives are for typesetting and
+  // are ignored.  %%transpose n transposes the current voice (or the
+  // whole tune, if in the header) by n semitones when playing, and
+  // %%percmap chooses the drums for the notes of percussion voices.
+  function parseDirective(str) {
+    var m = /^\s*(\S+)\s*(.*)$/.exec(str);
+    if (!m) { return; }
+    switch (m[1]) {
+      case 'transpose':
+        if (/^[+\-]?\d+$/.test(m[2].trim())) {
+          context.transpose = parseInt(m[2], 10);
+        }
+        break;
+      case 'MIDI':
+        parseMidi(m[2].replace(/\s*%.*$/, ''));
+        break;
+      case 'percmap':
+        parsePercmap(m[2].replace(/\s*%.*$/, ''));
+        break;
+    }
+  }
+  // Processes a %%percmap directive, as written for abcm2ps, such as
+  // "%%percmap D acoustic-snare x": the note is played by a percussion
+  // voice as the General MIDI drum given by name or number, and the note
+  // head (x) is for typesetting.  Maps are kept as {pitch: drum number}.
+  function parsePercmap(str) {
+    var args = str.trim().split(/\s+/),
+        number = args.length > 1 ? drumNumber(args[1]) : null;
+    if (number === null ||
+        !/^(?:[\^_]\d*\/\d*|\^+|_+|=|)[A-Ga-g](?:,+|'+|)$/.test(args[0])) {
+      return;
+    }
+    if (!context.percmap) { context.percmap = {}; }
+    context.percmap[stripNatural(args[0])] = number;
+  }
+
+  // Processes a %%MIDI directive, as written by abcMIDI and EasyABC, for
+  // the current voice (or the whole tune, if in the header):
+  //   program [channel] n: the General MIDI program (0-127) to play with
+  //   channel n: the MIDI channel, where channel 10 is for percussion
+  //   transpose n: semitones to transpose, as for %%transpose
+  //   gchord fzcz: the pattern to accompany chord symbols with, and
+  //     gchordon and gchordoff to turn the accompaniment on and off
+  //   drum d2zd 35 38 38 100 50 50: a drum pattern to play each measure,
+  //     with a drum and then a velocity for each d, and drumon and
+  //     drumoff to turn it on and off.
+  function parseMidi(str) {
+    var args = str.trim().split(/\s+/),
+        n = parseInt(args[args.length - 1], 10);
+    switch (args[0]) {
+      case 'program':
+      case 'channel':
+      case 'transpose':
+        if (args.length > 1 && !isNaN(n)) {
+          context[args[0]] = n;
+        }
+        break;
+      case 'gchord':
+        if (args.length > 1) {
+          context.gchord = args[1];
+        }
+        break;
+      case 'gchordon':
+        if (typeof(context.gchord) != 'string') {
+          context.gchord = true;
+        }
+        break;
+      case 'gchordoff':
+        context.gchord = false;
+        break;
+      case 'drum':
+        if (args.length > 1) {
+          context.drum = parseDrum(args.slice(1));
+        }
+        break;
+      case 'drumon':
+        context.drumon = true;
+        break;
+      case 'drumoff':
+        context.drumon = false;
+        break;
+    }
+  }
+  // Parses the arguments of a %%MIDI drum directive into {pattern,
+  // drums, velocities}: the pattern of d (strike) and z (rest), with
+  // the MIDI drum number and velocity (0-127) of each strike.
+  function parseDrum(args) {
+    var strikes = (args[0].match(/d/g) || []).length,
+        numbers = args.slice(1).map(Number);
+    return {
+      pattern: args[0],
+      drums: numbers.slice(0, strikes),
+      velocities: numbers.slice(strikes, 2 * strikes)
+    };
+  }
+
+  // Returns the octave= shift that applies to the current voice (or the
+  // voice of the current overlay).
+  function voiceOctave() {
+    var voice = accent.voice || context;
+    return ('octave' in voice ? voice.octave : result.octave) || 0;
+  }
+  // Returns the length of a measure in the current voice, in unit notes,
+  // following any meter change in the voice.  Without a meter (or with
+  // M:none), a measure is taken to be a whole note.
+  function measureTime() {
+    var voice = accent.voice || context,
+        meters = (voice !== result && voice.accent.meters) || [],
+        current = meters.length ? meters[meters.length - 1] : meter;
+    return ((current && current.length) || 1) /
+        (voice.unitnote || result.unitnote || 1/8);
+  }
+
   // For picking a default voice, looks for the first voice name.
   function firstVoiceName() {
     if (result.V) {
@@ -914,10 +3346,22 @@ module.exports = function parseABCFile(str) {
   // decorations such as dynamics markings and measure delimiters.
   function parseABCNotes(str) {
     var tokens = str.match(ABCtoken), parsed = null,
-        index = 0, dotted = 0, beatlet = null, t;
+        index = 0, dotted = 0, beatlet = null, graces = null, chord = null,
+        ornaments = [], t;
     if (!tokens) {
       return null;
     }
+    // Note the column of each token, for reporting problems.
+    offsets = [0];
+    for (t = 0; t < tokens.length; ++t) {
+      offsets.push(offsets[t] + tokens[t].length);
+    }
+    // Lyrics after this line will be aligned with the notes from here on.
+    if (accent.lyricverse) {
+      accent.lyricstart = context.stems ? context.stems.length : 0;
+      accent.lyricverse = 0;
+      delete accent.lyricnext;
+    }
     while (index < tokens.length) {
       // Ignore %comments and !markings!
       if (/^[\s%]/.test(tokens[index])) { index++; continue; }
@@ -925,17 +3369,18 @@ module.exports = function parseABCFile(str) {
       if (/^\[[A-Za-z]:[^\]]*\]$/.test(tokens[index])) {
         handleInformation(
           tokens[index].substring(1, 2),
-          tokens[index].substring(3, tokens[index].length - 1).trim()
+          tokens[index].substring(3, tokens[index].length - 1).trim(),
+          offsets[index] + 3
         );
         index++;
         continue;
       }
       // Handled dotted notation abbreviations.
-      if (/</.test(tokens[index])) {
+      if (/^</.test(tokens[index])) {
         dotted = -tokens[index++].length;
         continue;
       }
-      if (/>/.test(tokens[index])) {
+      if (/^>/.test(tokens[index])) {
         dotted = tokens[index++].length;
         continue;
       }
@@ -943,18 +3388,42 @@ module.exports = function parseABCFile(str) {
         beatlet = parseBeatlet(tokens[index++]);
         continue;
       }
+      // Grace notes are saved to be added just before the next stem.
+      if (/^\{/.test(tokens[index])) {
+        parsed = parseGraces(tokens, index);
+        graces = parsed.stems;
+        index = parsed.index;
+        continue;
+      }
       if (/^[!+].*[!+]$/.test(tokens[index])) {
-        parseDecoration(tokens[index++], accent);
+        // Decorations such as dynamics belong to a voice.
+        if (context === result) {
+          startVoiceContext(firstVoiceName());
+        }
+        t = parseDecoration(tokens[index++], accent);
+        // Ornaments are saved to be attached to the next stem.
+        if (t) { ornaments.push(t); }
+        continue;
+      }
+      if (/^[TMPH~]$/.test(tokens[index])) {
+        ornaments.push(ABCornament[tokens[index++]]);
         continue;
       }
       if (/^.?".*"$/.test(tokens[index])) {
-        // Ignore double-quoted tokens (chords and general text annotations).
-        index++;
+        // Chord symbols are saved to be attached to the next stem, and
+        // other double-quoted tokens (text annotations) are ignored.
+        chord = parseChordSymbol(tokens[index++]) || chord;
         continue;
       }
       if (/^[()]$/.test(tokens[index])) {
-        if (tokens[index++] == '(') {
+        if (tokens[index] == '(') {
+          if (!accent.slurred) {
+            // Remember where a slur starts, in case it is never closed.
+            accent.slurfrom = position(offsets[index]);
+          }
           accent.slurred += 1;
+        } else if (!accent.slurred) {
+          diagnoseToken('warning', 'Unmatched slur', tokens, index);
         } else {
           accent.slurred -= 1;
           if (accent.slurred <= 0) {
@@ -965,23 +3434,40 @@ module.exports = function parseABCFile(str) {
             }
           }
         }
+        index++;
+        continue;
+      }
+      // An & overlays more notes on the bar, from its start.
+      if (tokens[index] == '&') {
+        if (context === result) {
+          startVoiceContext(firstVoiceName());
+        }
+        startOverlay(sourceRange(index, index + 1));
+        index++;
         continue;
       }
       // Handle measure markings by clearing accidentals.
-      if (/\|/.test(tokens[index])) {
+      if (ABCbar.test(tokens[index])) {
+        // A bar line ends any overlay, and belongs to the voice.
+        if (accent.voice) {
+          endOverlay();
+        }
         for (t in accent) {
           if (t.length == 1) {
             // Single-letter accent properties are note accidentals.
             delete accent[t];
           }
         }
-        index++;
+        // Remember where bars are, for aligning lyrics.
+        if (!accent.bars) { accent.bars = []; }
+        accent.bars.push(context.stems ? context.stems.length : 0);
+        parseBar(tokens[index++]);
         continue;
       }
       parsed = parseStem(tokens, index, key, accent);
       // Skip unparsable bits
       if (parsed === null) {
-        index++;
+        index = skipToken(tokens, index);
         continue;
       }
       // Process a parsed stem.
@@ -1014,18 +3500,159 @@ module.exports = function parseABCFile(str) {
         startVoiceContext(firstVoiceName());
       }
       if (!('stems' in context)) { context.stems = []; }
-      // Add the stem to the sequence of stems for this voice.
+      // Add any grace notes and then the stem to the sequence of
+      // stems for this voice.
+      if (graces) {
+        for (t = 0; t < graces.length; ++t) {
+          if (accent.slurred) {
+            slurStem(graces[t], true);
+          }
+          context.stems.push(graces[t]);
+        }
+        graces = null;
+      }
+      if (chord) {
+        parsed.stem.chord = chord;
+        chord = null;
+      }
+      if (ornaments.length) {
+        addOrnaments(parsed.stem, ornaments);
+        ornaments = [];
+      }
       context.stems.push(parsed.stem);
       // Advance the parsing index since a stem is multiple tokens.
       index = parsed.index;
     }
   }
 
+  // Parses a bar line token such as "|", ":|", "::", "|]", "|1" or "[2,3".
+  // Repeat signs, double bars and numbered endings are recorded in the
+  // voice's repeats list as {index, bar, ending}, where index is the
+  // number of stems that precede the marker, bar is the bar line without
+  // its ending numbers, and ending is a list of the passes that play the
+  // ending.  Plain single bars are not needed to unfold repeats.
+  function parseBar(token) {
+    var m = /^(.*?)\[?(\d+(?:[,\-]\d+)*)?$/.exec(token), marker;
+    if (!m[2] && m[1] == '|') {
+      return;
+    }
+    // Start a default voice if we're not in a voice yet.
+    if (context === result) {
+      startVoiceContext(firstVoiceName());
+    }
+    if (!('repeats' in context)) { context.repeats = []; }
+    marker = {
+      index: context.stems ? context.stems.length : 0,
+      bar: m[1]
+    };
+    if (m[2]) {
+      marker.ending = parseEnding(m[2]);
+    }
+    context.repeats.push(marker);
+    alignOverlays(function(overlay) {
+      if (!overlay.repeats) { overlay.repeats = []; }
+      overlay.repeats.push(copyMarker(marker, overlay.stems.length));
+    });
+  }
+  // Copies a repeat marker or part for an overlay, at the given index.
+  function copyMarker(marker, index) {
+    var copy = {}, k;
+    for (k in marker) {
+      copy[k] = marker[k];
+    }
+    copy.index = index;
+    return copy;
+  }
+  // Parses the numbers of an ending such as "1,3" or "1-3" into a list
+  // of the passes through the repeat that should play the ending.
+  function parseEnding(str) {
+    var parts = str.split(','), passes = [], j, k, range;
+    for (j = 0; j < parts.length; ++j) {
+      range = parts[j].split('-');
+      for (k = Number(range[0]); k <= Number(range[range.length - 1]); ++k) {
+        passes.push(k);
+      }
+    }
+    return passes;
+  }
+  // Returns true if the repeats list has any repeat signs or endings,
+  // as opposed to only double bars.
+  function hasRepeats(repeats) {
+    for (var j = 0; j < repeats.length; ++j) {
+      if (repeats[j].ending || /:/.test(repeats[j].bar)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  // Parses a w: line of lyrics, and aligns its syllables with the notes
+  // of the music lines before it, setting the lyric property of the first
+  // note of each stem that gets a syllable.  Following the ABC standard,
+  // words are separated by spaces, syllables within a word by "-", "_"
+  // holds the previous syllable for another note, "*" skips a note, "~"
+  // joins words under one note, "\-" is a literal hyphen, and "|" skips
+  // to the next bar.  A syllable followed by "-" keeps the hyphen in its
+  // text.  Rests and grace notes get no syllables.  Only the first verse
+  // (the first w: line after the music) is aligned, and a w: line that
+  // ends with "\" is continued by the w: line after it.
+  function parseLyrics(line) {
+    var stems = context.stems || [], bars = accent.bars || [],
+        re = /(?:\\-|[^\s\-_*|~]|~)+-?|-|[_*|]/g,
+        pos = accent.lyricstart || 0, continued = /\\\s*$/.test(line),
+        m, word, j;
+    if (accent.hasOwnProperty('lyricnext')) {
+      pos = accent.lyricnext;
+      delete accent.lyricnext;
+    } else if (accent.lyricverse) {
+      accent.lyricverse += 1;
+      return;
+    }
+    accent.lyricverse = 1;
+    line = line.replace(/\\\s*$/, '');
+    while ((m = re.exec(line))) {
+      word = m[0];
+      if (word == '|') {
+        // Skip ahead to the start of the next bar.
+        for (j = 0; j < bars.length && bars[j] < pos; ++j) { }
+        if (j < bars.length) { pos = bars[j]; }
+        continue;
+      }
+      // Find the next stem that can be sung.
+      while (pos < stems.length &&
+          (stems[pos].grace || !stems[pos].notes.length)) {
+        pos++;
+      }
+      if (pos >= stems.length) { break; }
+      if (!/^[-_*]$/.test(word)) {
+        stems[pos].notes[0].lyric =
+            word.replace(/~/g, ' ').replace(/\\-/g, '-');
+      }
+      pos++;
+    }
+    if (continued) {
+      accent.lyricnext = pos;
+    }
+  }
   // Parse M: lines.  "3/4" is 3/4 time and "C" is 4/4 (common) time.
   function parseMeter(mline, beatinfo) {
-    var d = /^C/.test(mline) ? 4/4 : durationToTime(mline);
+    var d = /^C/.test(mline) ? 4/4 : durationToTime(mline),
+        voice = accent.voice || context, change;
+    // Remember the meter and where it starts, for multi-measure rests
+    // and for numbering measures.
+    change = {
+      index: voice.stems ? voice.stems.length : 0,
+      length: meterLength(mline),
+      beat: meterBeat(mline)
+    };
+    if (beatinfo === result) {
+      meter = change;
+    } else {
+      if (!voice.accent.meters) { voice.accent.meters = []; }
+      voice.accent.meters.push(change);
+    }
     if (!d) { return; }
-    if (!beatinfo.unitnote) {
+    // A meter change in the body keeps the unit note of the header.
+    if (!beatinfo.unitnote && !result.unitnote) {
       if (d < 0.75) {
         beatinfo.unitnote = 1/16;
       } else {
@@ -1060,11 +3687,39 @@ module.exports = function parseABCFile(str) {
       beatinfo.tempo = tempo;
     }
   }
+  // Parses a Q: field that appears after the notes of a voice have
+  // begun, adding a tempo change {index, time, tempo, unitbeat} to the
+  // tempos list of the voice or overlay.  The index is the number of
+  // stems before the change, and time is the total written time of those
+  // stems, in unit notes; tempo and unitbeat are as parsed by parseTempo.
+  function parseTempoChange(qline) {
+    var change = {
+      index: context.stems.length,
+      time: writtenTime(context.stems)
+    };
+    parseTempo(qline, change);
+    if (!change.tempo) { return; }
+    if (!('tempos' in context)) { context.tempos = []; }
+    context.tempos.push(change);
+  }
+  // Adds up the written time of a list of stems, in unit notes.
+  // Grace notes take no written time.
+  function writtenTime(stems) {
+    var time = 0, j;
+    for (j = 0; j < stems.length; ++j) {
+      if (!stems[j].grace) {
+        time += stems[j].time;
+      }
+    }
+    return time;
+  }
   // Run through all the notes, adding up time for tied notes,
   // and marking notes that were held over with holdover = true.
   function processTies(stems) {
     var tied = {}, nextTied, j, k, note, firstNote;
     for (j = 0; j < stems.length; ++j) {
+      // Grace notes do not interrupt ties.
+      if (stems[j].grace) { continue; }
       nextTied = {};
       for (k = 0; k < stems[j].notes.length; ++k) {
         firstNote = note = stems[j].notes[k];
@@ -1080,83 +3735,12 @@ module.exports = function parseABCFile(str) {
       tied = nextTied;
     }
   }
-  // Returns a map of A-G -> accidentals, according to the key signature.
-  // When n is zero, there are no accidentals (e.g., C major or A minor).
-  // When n is positive, there are n sharps (e.g., for G major, n = 1).
-  // When n is negative, there are -n flats (e.g., for F major, n = -1).
-  function accidentals(n) {
-    var sharps = 'FCGDAEB',
-        result = {}, j;
-    if (!n) {
-      return result;
-    }
-    if (n > 0) {  // Handle sharps.
-      for (j = 0; j < n && j < 7; ++j) {
-        result[sharps.charAt(j)] = '^';
-      }
-    } else {  // Flats are in the opposite order.
-      for (j = 0; j > n && j > -7; --j) {
-        result[sharps.charAt(6 + j)] = '_';
-      }
-    }
-    return result;
-  }
-  // Decodes the key signature line (e.g., K: C#m) at the front of an ABC tune.
-  // Supports the whole range of scale systems listed in the ABC spec.
-  function keysig(keyname) {
-    if (!keyname) { return {}; }
-    var kkey, sigcodes = {
-      // Major
-      'c#':7, 'f#':6, 'b':5, 'e':4, 'a':3, 'd':2, 'g':1, 'c':0,
-      'f':-1, 'bb':-2, 'eb':-3, 'ab':-4, 'db':-5, 'gb':-6, 'cb':-7,
-      // Minor
-      'a#m':7, 'd#m':6, 'g#m':5, 'c#m':4, 'f#m':3, 'bm':2, 'em':1, 'am':0,
-      'dm':-1, 'gm':-2, 'cm':-3, 'fm':-4, 'bbm':-5, 'ebm':-6, 'abm':-7,
-      // Mixolydian
-      'g#mix':7, 'c#mix':6, 'f#mix':5, 'bmix':4, 'emix':3,
-      'amix':2, 'dmix':1, 'gmix':0, 'cmix':-1, 'fmix':-2,
-      'bbmix':-3, 'ebmix':-4, 'abmix':-5, 'dbmix':-6, 'gbmix':-7,
-      // Dorian
-      'd#dor':7, 'g#dor':6, 'c#dor':5, 'f#dor':4, 'bdor':3,
-      'edor':2, 'ador':1, 'ddor':0, 'gdor':-1, 'cdor':-2,
-      'fdor':-3, 'bbdor':-4, 'ebdor':-5, 'abdor':-6, 'dbdor':-7,
-      // Phrygian
-      'e#phr':7, 'a#phr':6, 'd#phr':5, 'g#phr':4, 'c#phr':3,
-      'f#phr':2, 'bphr':1, 'ephr':0, 'aphr':-1, 'dphr':-2,
-      'gphr':-3, 'cphr':-4, 'fphr':-5, 'bbphr':-6, 'ebphr':-7,
-      // Lydian
-      'f#lyd':7, 'blyd':6, 'elyd':5, 'alyd':4, 'dlyd':3,
-      'glyd':2, 'clyd':1, 'flyd':0, 'bblyd':-1, 'eblyd':-2,
-      'ablyd':-3, 'dblyd':-4, 'gblyd':-5, 'cblyd':-6, 'fblyd':-7,
-      // Locrian
-      'b#loc':7, 'e#loc':6, 'a#loc':5, 'd#loc':4, 'g#loc':3,
-      'c#loc':2, 'f#loc':1, 'bloc':0, 'eloc':-1, 'aloc':-2,
-      'dloc':-3, 'gloc':-4, 'cloc':-5, 'floc':-6, 'bbloc':-7
-    };
-    var k = keyname.replace(/\s+/g, '').toLowerCase().substr(0, 5);
-    var scale = k.match(/maj|min|mix|dor|phr|lyd|loc|m/);
-    if (scale) {
-      if (scale == 'maj') {
-        kkey = k.substr(0, scale.index);
-      } else if (scale == 'min') {
-        kkey = k.substr(0, scale.index + 1);
-      } else {
-        kkey = k.substr(0, scale.index + scale[0].length);
-      }
-    } else {
-      kkey = /^[a-g][#b]?/.exec(k) || '';
-    }
-    var result = accidentals(sigcodes[kkey]);
-    var extras = keyname.substr(kkey.length).match(/(_+|=|\^+)[a-g]/ig);
-    if (extras) {
-      for (var j = 0; j < extras.length; ++j) {
-        var note = extras[j].charAt(extras[j].length - 1).toUpperCase();
-        if (extras[j].charAt(0) == '=') {
-          delete result[note];
-        } else {
-          result[note] = extras[j].substr(0, extras[j].length - 1);
-        }
-      }
+  // Decodes the key signature line (e.g., K: C#m), reporting unknown keys.
+  function keysig(keyname, column) {
+    var result = keySignature(keyname);
+    if (!result) {
+      diagnose('warning', 'Unknown key', keyname, column);
+      result = {};
     }
     return result;
   }
@@ -1191,6 +3775,100 @@ module.exports = function parseABCFile(str) {
       stem.notes[j].time *= s;;
     }
   }
+  // Reports a token that is not understood, and returns the index
+  // after it.  Some symbols that only affect the printed score, such
+  // as the y spacer and the u and v bowing marks, are quietly skipped.
+  function skipToken(tokens, index) {
+    var token = tokens[index];
+    if (token == '[') {
+      diagnoseToken('error', 'Unterminated chord', tokens, index);
+    } else if (/^[\d\/]/.test(token)) {
+      diagnoseToken('error', 'Misplaced duration', tokens, index);
+    } else if (!/^(?:\s|[y`$\\JLORSuv]$)/.test(token)) {
+      diagnoseToken('error', 'Unknown symbol', tokens, index);
+    }
+    return index + 1;
+  }
+  // Parses a group of grace notes such as {g} or {/gag}, starting at
+  // the opening brace, and returns the grace stems and the index after
+  // the closing brace.  Grace stems are marked with grace: true, and a
+  // slashed group is also marked with acciaccatura: true.  Grace notes
+  // sound for a quarter of their written length, and that time is
+  // stolen from a neighboring note when the song is played.
+  function parseGraces(tokens, index) {
+    var acciaccatura = (tokens[index] == '{/'), stems = [], parsed;
+    if (tokens.indexOf('}', index) < 0) {
+      diagnoseToken('error', 'Unterminated grace notes', tokens, index);
+    }
+    index++;
+    while (index < tokens.length && tokens[index] != '}') {
+      parsed = parseStem(tokens, index, key, accent);
+      // Skip unparsable bits
+      if (parsed === null) {
+        index = skipToken(tokens, index);
+        continue;
+      }
+      parsed.stem.grace = true;
+      if (acciaccatura) {
+        parsed.stem.acciaccatura = true;
+      }
+      scaleStem(parsed.stem, 1/4);
+      stems.push(parsed.stem);
+      index = parsed.index;
+    }
+    return {
+      index: index + 1,
+      stems: stems
+    };
+  }
+  // Parses a chord symbol such as "G", "D7", "Em", "Am7/E" or "F#m7b5"
+  // into {name, root, quality, extensions, bass}.  The quality is one of
+  // maj, min, dim, aug, sus2 or sus4; extensions lists additions such as
+  // 6, 7, maj7, 9, add9, b5 or 6/9; and bass is only present for slash
+  // chords, where a note follows the slash.  A number after a slash, as in
+  // "C7/11", adds that note.
+  // "N.C." (no chord) parses as just {name}.  Returns null for text
+  // annotations that are not chord symbols, such as "^Fine".
+  function parseChordSymbol(token) {
+    var m = /^"([A-G][#b]?)([^"]*?)(?:\/([A-G][#b]?))?"$/.exec(token),
+        chord, rest, ext;
+    if (!m) {
+      return /^"N\.?C\.?"$/i.test(token) ? { name: 'N.C.' } : null;
+    }
+    chord = {
+      name: token.substring(1, token.length - 1),
+      root: m[1],
+      quality: 'maj',
+      extensions: []
+    };
+    rest = m[2];
+    if ((ext = /^(?:min|m(?!aj)|-)/.exec(rest))) {
+      chord.quality = 'min';
+    } else if ((ext = /^(?:dim|o)/.exec(rest))) {
+      chord.quality = 'dim';
+    } else if ((ext = /^(?:aug|\+)(?![\d])/.exec(rest))) {
+      chord.quality = 'aug';
+    }
+    if (ext) { rest = rest.substr(ext[0].length); }
+    while (rest.length) {
+      ext = /^(?:(?:maj|M)\d+|sus[24]?|add\d+|6\/9|\/\d+|[#b+\-]?\d+|[(),])/
+          .exec(rest);
+      if (!ext) { return null; }
+      rest = rest.substr(ext[0].length);
+      if (/^\/\d/.test(ext[0])) {
+        chord.extensions.push('add' + ext[0].substr(1));
+      } else if (/^sus/.test(ext[0])) {
+        chord.quality = (ext[0] == 'sus2') ? 'sus2' : 'sus4';
+      } else if (!/^[(),]$/.test(ext[0])) {
+        chord.extensions.push(ext[0].replace(/^M/, 'maj')
+            .replace(/^\+/, '#').replace(/^-/, 'b'));
+      }
+    }
+    if (m[3]) {
+      chord.bass = m[3];
+    }
+    return chord;
+  }
   // Parses notation of the form (3 or (5:2:10, which means to do
   // the following 3 notes in the space of 2 notes, or to do the following
   // 10 notes at the rate of 5 notes per 2 beats.
@@ -1205,27 +3883,119 @@ module.exports = function parseABCFile(str) {
       count: duration
     };
   }
-  // Parse !ppp! markings.
+  // Parse !ppp! markings and !<(! !<)! hairpins.  Returns the name of
+  // an ornament such as !trill!, or undefined for other decorations.
   function parseDecoration(token, accent) {
+    var dynamics = null;
     if (token.length < 2) { return; }
     token = token.substring(1, token.length - 1);
     switch (token) {
       case 'pppp': case 'ppp':
-        accent.dynamics = 0.2; break;
+        dynamics = 0.2; break;
       case 'pp':
-        accent.dynamics = 0.4; break;
+        dynamics = 0.4; break;
       case 'p':
-        accent.dynamics = 0.6; break;
+        dynamics = 0.6; break;
       case 'mp':
-        accent.dynamics = 0.8; break;
+        dynamics = 0.8; break;
       case 'mf':
-        accent.dynamics = 1.0; break;
+        dynamics = 1.0; break;
       case 'f':
-        accent.dynamics = 1.2; break;
+        dynamics = 1.2; break;
       case 'ff':
-        accent.dynamics = 1.4; break;
+        dynamics = 1.4; break;
       case 'fff': case 'ffff':
-        accent.dynamics = 1.5; break;
+        dynamics = 1.5; break;
+      case 'crescendo(': case '<(':
+        startHairpin('crescendo', accent); break;
+      case 'diminuendo(': case '>(':
+        startHairpin('diminuendo', accent); break;
+      case 'crescendo)': case '<)': case 'diminuendo)': case '>)':
+        endHairpin(accent); break;
+    }
+    if (dynamics) {
+      accent.dynamics = dynamics;
+      reachDynamics(dynamics, accent);
+    }
+    if (ABCornament.hasOwnProperty(token) && token.length > 1) {
+      return ABCornament[token];
+    }
+  }
+  // Attaches ornaments to every note of a stem as a list of {type},
+  // where type is trill, mordent, uppermordent, turn, invertedturn, roll
+  // or fermata.  Ornaments played with neighbouring notes also have the
+  // upper and lower neighbour pitches in the current key and measure.
+  function addOrnaments(stem, ornaments) {
+    var j, k, note, ornament;
+    for (j = 0; j < stem.notes.length; ++j) {
+      note = stem.notes[j];
+      note.ornaments = [];
+      for (k = 0; k < ornaments.length; ++k) {
+        ornament = { type: ornaments[k] };
+        if (ornament.type != 'fermata') {
+          ornament.upper = neighborPitch(note.pitch, 1);
+          ornament.lower = neighborPitch(note.pitch, -1);
+        }
+        note.ornaments.push(ornament);
+      }
+    }
+  }
+  // Returns the pitch a diatonic step above (step = 1) or below (step = -1)
+  // the given pitch, spelled with the key signature and any accidentals
+  // from the current measure.
+  function neighborPitch(pitch, step) {
+    var m = /^(?:[\^_]\d*\/\d*|\^+|_+|=)?([A-Ga-g])([,']*)$/.exec(pitch),
+        letters = 'CDEFGAB', n, octave, letter;
+    if (!m) { return pitch; }
+    octave = (m[1] >= 'a' ? 1 : 0) +
+        m[2].replace(/,/g, '').length - m[2].replace(/'/g, '').length;
+    n = letters.indexOf(m[1].toUpperCase()) + 7 * octave + step;
+    octave = Math.floor(n / 7);
+    letter = letters.charAt(n - 7 * octave);
+    if (octave > 0) {
+      letter = letter.toLowerCase();
+      octave -= 1;
+    }
+    for (; octave > 0; --octave) { letter += "'"; }
+    for (; octave < 0; ++octave) { letter += ','; }
+    return applyAccent(letter, key, accent);
+  }
+  // Starts a crescendo or diminuendo hairpin at the next stem.  Hairpins
+  // are recorded on the voice as {type, start, end, to, until}: start
+  // and end are the stem indexes where the hairpin begins and ends, to
+  // is the velocity of a dynamic marking right at the end, and until is
+  // the stem index of the next dynamic marking if the hairpin has none.
+  function startHairpin(type, accent) {
+    endHairpin(accent);
+    if (!('hairpins' in context)) { context.hairpins = []; }
+    accent.hairpin = {
+      type: type,
+      start: context.stems ? context.stems.length : 0
+    };
+    context.hairpins.push(accent.hairpin);
+    // The new hairpin carries on from where any earlier one left off.
+    delete accent.reached;
+  }
+  // Ends the current hairpin, if any, just before the next stem.
+  function endHairpin(accent) {
+    if (!accent.hairpin) { return; }
+    accent.hairpin.end = context.stems ? context.stems.length : 0;
+    accent.reached = accent.hairpin;
+    delete accent.hairpin;
+  }
+  // A dynamic marking ends a hairpin.  If it comes right at the end of
+  // the hairpin, it is the level that the hairpin leads to; otherwise
+  // it marks the end of the level that the hairpin reached.
+  function reachDynamics(velocity, accent) {
+    var count = context.stems ? context.stems.length : 0;
+    endHairpin(accent);
+    if (accent.reached) {
+      if (accent.reached.end == count) {
+        accent.reached.to = velocity;
+      } else {
+        accent.reached.until = count;
+      }
+      delete accent.reached;
     }
   }
   // Parses a stem, which may be a single note, or which may be
@@ -1233,8 +4003,8 @@ module.exports = function parseABCFile(str) {
   function parseStem(tokens, index, key, accent) {
     var notes = [],
         duration = '', staccato = false,
-        noteDuration, noteTime, velocity,
-        lastNote = null, minStemTime = Infinity, j;
+        noteDuration, noteTime, velocity, start = index, noteStart = null,
+        lastNote = null, minStemTime = Infinity, measures = false, stem, j;
     // A single staccato marking applies to the entire stem.
     if (index < tokens.length && '.' == tokens[index]) {
       staccato = true;
@@ -1252,11 +4022,14 @@ module.exports = function parseABCFile(str) {
         }
         if (/[A-Ga-g]/.test(tokens[index])) {
           // Grab a pitch.
+          noteStart = index;
           lastNote = {
-            pitch: applyAccent(tokens[index++], key, accent),
+            pitch: shiftOctave(
+                applyAccent(tokens[index++], key, accent), voiceOctave()),
             tie: false
           }
           lastNote.frequency = pitchToFrequency(lastNote.pitch);
+          mapDrum(lastNote, tokens[noteStart]);
           notes.push(lastNote);
         } else if (/[xzXZ]/.test(tokens[index])) {
           // Grab a rest.
@@ -1273,9 +4046,12 @@ module.exports = function parseABCFile(str) {
         }
         // After a pitch or rest, look for a duration.
         if (index < tokens.length &&
-            /^(?![\s%!]).*[\d\/]/.test(tokens[index])) {
+            /^\d*\/*\d*$/.test(tokens[index])) {
           noteDuration = tokens[index++];
           noteTime = durationToTime(noteDuration);
+          if (!(noteTime > 0)) {
+            diagnoseToken('error', 'Bad duration', tokens, index - 1);
+          }
         } else {
           noteDuration = '';
           noteTime = 1;
@@ -1302,6 +4078,10 @@ module.exports = function parseABCFile(str) {
           }
           index++;
         }
+        // A note within a chord spans its pitch, duration and tie.
+        if (lastNote) {
+          lastNote.source = sourceRange(noteStart, index);
+        }
       }
       // The last thing in a chord should be a ].  If it isn't, then
       // this doesn't look like a stem after all, and return null.
@@ -1309,27 +4089,36 @@ module.exports = function parseABCFile(str) {
         return null;
       }
       index++;
+      noteStart = null;
     } else if (index < tokens.length && /[A-Ga-g]/.test(tokens[index])) {
       // Grab a single note.
+      noteStart = index;
       lastNote = {
-        pitch: applyAccent(tokens[index++], key, accent),
+        pitch: shiftOctave(
+            applyAccent(tokens[index++], key, accent), voiceOctave()),
         tie: false,
         duration: '',
         time: 1
       }
       lastNote.frequency = pitchToFrequency(lastNote.pitch);
+      mapDrum(lastNote, tokens[noteStart]);
       notes.push(lastNote);
     } else if (index < tokens.length && /^[xzXZ]$/.test(tokens[index])) {
-      // Grab a rest - no pitch.
+      // Grab a rest - no pitch.  Z and X rest for whole measures.
+      measures = /^[XZ]$/.test(tokens[index]);
       index++;
     } else {
       // Something we don't recognize - not a stem.
       return null;
     }
     // Right after a [chord], note, or rest, look for a duration marking.
-    if (index < tokens.length && /^(?![\s%!]).*[\d\/]/.test(tokens[index])) {
+    if (index < tokens.length &&
+        /^\d*\/*\d*$/.test(tokens[index])) {
       duration = tokens[index++];
       noteTime = durationToTime(duration);
+      if (!(noteTime > 0)) {
+        diagnoseToken('error', 'Bad duration', tokens, index - 1);
+      }
       // Apply the duration to all the ntoes in the stem.
       // NOTE: spec suggests multiplying this duration, but that
       // idiom is not seen (so far) in practice.
@@ -1351,15 +4140,36 @@ module.exports = function parseABCFile(str) {
         notes[j].velocity = velocity;
       }
     }
-    return {
-      index: index,
-      stem: {
-        notes: notes,
-        duration: duration,
-        staccato: staccato,
-        time: durationToTime(duration)
-      }
+    // A single note spans its pitch, duration and tie.
+    if (noteStart !== null) {
+      lastNote.source = sourceRange(noteStart, index);
+    }
+    stem = {
+      notes: notes,
+      duration: duration,
+      staccato: staccato,
+      time: durationToTime(duration),
+      source: sourceRange(start, index)
     };
+    if (measures && stem.time > 0) {
+      // The duration of Z4 counts measures of the current meter.
+      stem.measures = stem.time;
+      stem.time *= measureTime();
+    }
+    return { index: index, stem: stem };
+  }
+  // Sets the drum of a note whose written pitch is mapped by a %%percmap
+  // for its voice or the file.  The map is for the note as written, so
+  // it is not changed by the key signature or by accidentals in the bar.
+  function mapDrum(note, written) {
+    var maps = [(accent.voice || context).percmap, result.percmap], j;
+    written = stripNatural(written);
+    for (j = 0; j < maps.length; ++j) {
+      if (maps[j] && maps[j].hasOwnProperty(written)) {
+        note.drum = maps[j][written];
+        return;
+      }
+    }
   }
   // Normalizes pitch markings by stripping leading = if present.
   function stripNatural(pitch) {
@@ -1372,7 +4182,7 @@ module.exports = function parseABCFile(str) {
   // that have accumulated within the measure, and also saving
   // explicit accidentals to continue to apply in the measure.
   function applyAccent(pitch, key, accent) {
-    var m = /^(\^+|_+|=|)([A-Ga-g])(.*)$/.exec(pitch), letter;
+    var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])(.*)$/.exec(pitch), letter;
     if (!m) { return pitch; }
     // Note that an accidental in one octave applies in other octaves.
     letter = m[2].toUpperCase();
@@ -1392,28 +4202,604 @@ module.exports = function parseABCFile(str) {
     }
     return stripNatural(pitch);
   }
-  // Converts an ABC duration to a number (e.g., "/3"->0.333 or "11/2"->1.5).
-  function durationToTime(duration) {
-    var m = /^(\d*)(?:\/(\d*))?$|^(\/+)$/.exec(duration), n, d, i = 0, ilen;
-    if (!m) return;
-    if (m[3]) return Math.pow(0.5, m[3].length);
-    d = (m[2] ? parseFloat(m[2]) : /\//.test(duration) ? 2 : 1);
-    // Handle mixed frations:
-    ilen = 0;
-    n = (m[1] ? parseFloat(m[1]) : 1);
-    if (m[2]) {
-      while (ilen + 1 < m[1].length && n > d) {
-        ilen += 1
-        i = parseFloat(m[1].substring(0, ilen))
-        n = parseFloat(m[1].substring(ilen))
+}
+
+// Helper functions below are shared with the ABC formatter.
+
+// Returns a map of A-G -> accidentals, according to the key signature.
+// When n is zero, there are no accidentals (e.g., C major or A minor).
+// When n is positive, there are n sharps (e.g., for G major, n = 1).
+// When n is negative, there are -n flats (e.g., for F major, n = -1).
+function accidentals(n) {
+  var sharps = 'FCGDAEB',
+      result = {}, j;
+  if (!n) {
+    return result;
+  }
+  if (n > 0) {  // Handle sharps.
+    for (j = 0; j < n && j < 7; ++j) {
+      result[sharps.charAt(j)] = '^';
+    }
+  } else {  // Flats are in the opposite order.
+    for (j = 0; j > n && j > -7; --j) {
+      result[sharps.charAt(6 + j)] = '_';
+    }
+  }
+  return result;
+}
+// Decodes the key signature line (e.g., K: C#m) at the front of an ABC tune
+// into a map of A-G -> accidentals, using parseKey.  K:none and keys
+// marked "exp" have only the accidentals written after them, and the
+// Highland bagpipe keys HP and Hp are played with F# and C#.  Returns
+// null for an unknown key.
+function keySignature(keyname) {
+  var key = parseKey(keyname), result, extras, note, j;
+  if (!key) { return null; }
+  if (key.bagpipe) {
+    result = { F: '^', C: '^' };
+  } else if (key.tonic && !key.explicit) {
+    result = accidentals(keyFifths(key));
+  } else {
+    result = {};
+  }
+  extras = key.accidentals || [];
+  for (j = 0; j < extras.length; ++j) {
+    note = extras[j].charAt(extras[j].length - 1).toUpperCase();
+    if (extras[j].charAt(0) == '=') {
+      delete result[note];
+    } else {
+      result[note] = extras[j].substr(0, extras[j].length - 1);
+    }
+  }
+  return result;
+}
+// Returns the number of sharps (or if negative, flats) in the signature
+// of a key parsed by parseKey.
+function keyFifths(key) {
+  var alter = key.tonic.charAt(1);
+  return ABCtonicFifths[key.tonic.charAt(0)] +
+      (alter == '#' ? 7 : alter == 'b' ? -7 : 0) + ABCmodeFifths[key.mode];
+}
+// Collects the information fields of a parsed file's header into an
+// object with the fields that are present of
+// {
+//   titles: [...] the T: titles
+//   composer, origin, rhythm, notes, source, book, transcription,
+//       discography: the C:, O:, R:, N:, S:, B:, Z: and D: fields, with
+//       repeated fields newline-separated
+//   key: the K: key, as parsed by parseKey
+//   voices: [...] the voices defined by V: lines in the header or the
+//       body, in order, as parsed by parseVoiceDefinition
+// }
+function parseMeta(result) {
+  var meta = {}, voices = [], byid = {}, defs, field, key, def, id, j;
+  for (field in ABCmeta) {
+    if (result.hasOwnProperty(field)) {
+      meta[ABCmeta[field]] = (field == 'T') ?
+          result.T.split('\n') : result[field];
+    }
+  }
+  key = parseKey(String(result.K || '').split('\n')[0]);
+  if (key) {
+    meta.key = key;
+  }
+  defs = result.V ? result.V.split('\n') : [];
+  for (id in result.voice) {
+    if (result.voice[id].V) {
+      defs = defs.concat(result.voice[id].V.split('\n'));
+    }
+  }
+  for (j = 0; j < defs.length; ++j) {
+    def = parseVoiceDefinition(defs[j]);
+    if (!def.id) { continue; }
+    if (!byid.hasOwnProperty(def.id)) {
+      byid[def.id] = { id: def.id };
+      voices.push(byid[def.id]);
+    }
+    // Later definitions of a voice add to the earlier ones.
+    for (field in def) {
+      byid[def.id][field] = def[field];
+    }
+  }
+  if (voices.length) {
+    meta.voices = voices;
+  }
+  return meta;
+}
+// Parses a V: definition such as 'T1 clef=treble-8 name="Tenor I"
+// snm="T.I"' into an object with the voice's id and any of name,
+// subname (from subname=, sname= or snm=), clef, transpose and octave.
+function parseVoiceDefinition(value) {
+  var result = { id: value.trim().split(/\s+/)[0] }, m;
+  m = /(?:^|\s)(?:name|nm)=("[^"]*"|\S+)/i.exec(value);
+  if (m) {
+    result.name = m[1].replace(/^"(.*)"$/, '$1');
+  }
+  m = /(?:^|\s)(?:subname|sname|snm)=("[^"]*"|\S+)/i.exec(value);
+  if (m) {
+    result.subname = m[1].replace(/^"(.*)"$/, '$1');
+  }
+  m = /(?:^|\s)clef=(\S+)/.exec(value);
+  if (m) {
+    result.clef = m[1];
+  }
+  m = /(?:^|\s)transpose=([+\-]?\d+)/.exec(value);
+  if (m) {
+    result.transpose = parseInt(m[1], 10);
+  }
+  m = /(?:^|\s)octave=([+\-]?\d+)/.exec(value);
+  if (m) {
+    result.octave = parseInt(m[1], 10);
+  }
+  return result;
+}
+// Parses a K: field such as "F#m", "D mix ^g", "Bb major clef=bass",
+// "G bass", "none" or "HP", following ABC 2.1, into an object with the
+// parts that are present of
+// {
+//   tonic: the tonic, a capital letter with any # or b, such as "F#"
+//   mode: the name of the mode, such as "major", "minor" or "dorian"
+//   none: true for K:none, which has no key signature
+//   bagpipe: "HP" or "Hp", for Highland bagpipe music
+//   explicit: true if "exp" says the accidentals are the whole signature
+//   accidentals: the accidentals written after the key, such as "^g"
+//   clef: the clef, given by clef= or by name, such as "bass" or "alto1"
+//   middle: the pitch on the middle line of the staff, from middle=
+//   transpose, octave: the numbers given by transpose= and octave=
+// }
+// A field with only a clef or other modifiers has no tonic, and keeps
+// the key that is in effect.  Returns null for a key that is not
+// understood, or that has more than seven sharps or flats.
+function parseKey(value) {
+  var tokens = (value || '').trim().split(/\s+/), result = {}, index = 0,
+      token, m, j;
+  token = tokens[0];
+  if (/^none$/i.test(token)) {
+    result.none = true;
+    index = 1;
+  } else if (/^hp$/i.test(token)) {
+    result.bagpipe = token;
+    index = 1;
+  } else if ((m = /^([A-G])([#b]?)([A-Za-z]*)$/i.exec(token)) &&
+      (m[3] ? keyMode(m[3]) : true)) {
+    // The mode may follow the tonic directly, as in "F#m", or after a
+    // space, as in "A minor".
+    result.tonic = m[1].toUpperCase() + m[2];
+    result.mode = keyMode(m[3]) || keyMode(tokens[1] || '') || 'major';
+    index = (!m[3] && keyMode(tokens[1] || '')) ? 2 : 1;
+  }
+  for (j = index; j < tokens.length; ++j) {
+    token = tokens[j];
+    if (!token) {
+      continue;
+    } else if (token == 'exp') {
+      result.explicit = true;
+    } else if (/^(?:(?:[\^_]\d*\/\d*|\^+|_+|=)[A-Ga-g])+$/.test(token)) {
+      result.accidentals = (result.accidentals || []).concat(
+          token.match(/(?:[\^_]\d*\/\d*|\^+|_+|=)[A-Ga-g]/g));
+    } else if ((m = /^(clef|middle|transpose|octave)=(\S+)$/.exec(token))) {
+      result[m[1]] = /^(?:transpose|octave)$/.test(m[1]) ?
+          parseInt(m[2], 10) : m[2];
+    } else if (ABCclefName.test(token)) {
+      result.clef = token;
+    } else if (!/^[a-z\-]+=/i.test(token) && !index) {
+      // Other modifiers are for typesetting, but a key that is not
+      // understood is unknown.
+      return null;
+    }
+  }
+  if (result.tonic && Math.abs(keyFifths(result)) > 7) {
+    return null;
+  }
+  return result;
+}
+// Returns the name of the mode for a word such as "m", "Min" or
+// "dorian", which may be abbreviated to its first three letters, or
+// null if the word does not name a mode.
+function keyMode(word) {
+  word = word.toLowerCase();
+  if (word.length > 1 && word.length < 3) { return null; }
+  return (word.length && ABCmode[word.substr(0, 3)]) || null;
+}
+// Expands the order of parts given by a P: header field, such as
+// "AABB", "(AB)3C" or "A2.B", into a list of part names.  A number
+// repeats the part or parenthesized group before it, and dots and
+// spaces are ignored.
+function parsePartOrder(value) {
+  var index = 0, result = [];
+  function sequence() {
+    var parts = [], group, count, m, c, j;
+    while (index < value.length && value.charAt(index) != ')') {
+      c = value.charAt(index++);
+      if (c == '(') {
+        group = sequence();
+        index += 1;
+      } else if (/[A-Za-z]/.test(c)) {
+        group = [c.toUpperCase()];
+      } else {
+        continue;
+      }
+      m = /^\d+/.exec(value.substr(index));
+      count = m ? parseInt(m[0], 10) : 1;
+      index += m ? m[0].length : 0;
+      for (j = 0; j < count; ++j) {
+        parts = parts.concat(group);
+      }
+    }
+    return parts;
+  }
+  while (index < value.length) {
+    result = result.concat(sequence());
+    // Skip any unmatched close parenthesis.
+    index += 1;
+  }
+  return result;
+}
+// Returns the octaves to shift the notes written for a clef such as
+// "bass" or "treble-8", given the octave= modifier if there is one.
+function clefOctave(clef, octave) {
+  var m = /^([a-z]*)\d?([+\-]8)?$/i.exec(clef), shift = 0;
+  if (m) {
+    if (octave == null) {
+      octave = ABCclefOctave[m[1].toLowerCase()] || 0;
+    }
+    shift = m[2] ? parseInt(m[2], 10) / 8 : 0;
+  }
+  return (octave || 0) + shift;
+}
+// Moves a pitch such as "^G," up (octaves > 0) or down by some octaves.
+function shiftOctave(pitch, octaves) {
+  var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch),
+      octave, letter;
+  if (!m || !octaves) { return pitch; }
+  octave = (m[2] >= 'a' ? 1 : 0) + octaves +
+      m[3].replace(/,/g, '').length - m[3].replace(/'/g, '').length;
+  letter = m[2].toUpperCase();
+  if (octave > 0) {
+    letter = letter.toLowerCase();
+    octave -= 1;
+  }
+  for (; octave > 0; --octave) { letter += "'"; }
+  for (; octave < 0; ++octave) { letter += ','; }
+  return m[1] + letter;
+}
+// Parses a timbre written in ABC: either a name such as "piano" (a wave
+// or a built-in timbre preset), or properties in braces such as
+// "{wave:sawtooth, cutoff:800}", which become an object of the kind
+// accepted by makeTimbre, with numbers for numeric values.
+function parseTimbre(str) {
+  var m = /^\{(.*)\}$/.exec(str.trim()), result = {}, pairs, j;
+  if (!m) {
+    return str.trim().replace(/^(["'])(.*)\1$/, '$2') || null;
+  }
+  pairs = m[1].split(/[,;]/);
+  for (j = 0; j < pairs.length; ++j) {
+    m = /^\s*(["']?)(\w+)\1\s*[:=]\s*(["']?)([^"']*)\3\s*$/.exec(pairs[j]);
+    if (m) {
+      result[m[2]] = (m[4] === '' || isNaN(m[4])) ? m[4] : Number(m[4]);
+    }
+  }
+  return result;
+}
+
+// Returns the length of a measure for an M: meter such as "3/4", "C"
+// or "C|", as a fraction of a whole note, or 0 for "none".
+function meterLength(meter) {
+  var m = /^\s*(\d+(?:\+\d+)*)\s*\/\s*(\d+)/.exec(meter), n = 0, parts, j;
+  if (/^\s*C/.test(meter)) { return 1; }
+  if (!m) { return 0; }
+  parts = m[1].split('+');
+  for (j = 0; j < parts.length; ++j) {
+    n += Number(parts[j]);
+  }
+  return n / Number(m[2]);
+}
+
+// Returns the length of a beat for an M: meter, as a fraction of a whole
+// note.  The beat is the note of the meter's denominator, so 6/8 has
+// eighth-note beats; "C" has quarter-note beats and "C|" half-note beats.
+function meterBeat(meter) {
+  var m = /^\s*\d+(?:\+\d+)*\s*\/\s*(\d+)/.exec(meter);
+  if (/^\s*C\|/.test(meter)) { return 1/2; }
+  if (/^\s*C/.test(meter)) { return 1/4; }
+  return m ? 1 / Number(m[1]) : 0;
+}
+
+// Converts an ABC duration to a number (e.g., "/3"->0.333 or "11/2"->1.5).
+function durationToTime(duration) {
+  var m = /^(\d*)(?:\/(\d*))?$|^(\/+)$/.exec(duration), n, d, i = 0, ilen;
+  if (!m) return;
+  if (m[3]) return Math.pow(0.5, m[3].length);
+  d = (m[2] ? parseFloat(m[2]) : /\//.test(duration) ? 2 : 1);
+  // Handle mixed frations:
+  ilen = 0;
+  n = (m[1] ? parseFloat(m[1]) : 1);
+  if (m[2]) {
+    while (ilen + 1 < m[1].length && n > d) {
+      ilen += 1
+      i = parseFloat(m[1].substring(0, ilen))
+      n = parseFloat(m[1].substring(ilen))
+    }
+  }
+  return i + (n / d);
+}
+
+module.exports.ABCParseError = ABCParseError;
+module.exports.keySignature = keySignature;
+module.exports.parseKey = parseKey;
+module.exports.durationToTime = durationToTime;
+module.exports.shiftOctave = shiftOctave;
+module.exports.meterLength = meterLength;
+
+},{"./drums":3,"./utils":10}],8:[function(require,module,exports){
+// Built-in timbre presets, and the preset used for each General MIDI
+// program, so that tunes that choose an instrument with %%MIDI program
+// sound something like it.  Each preset is a timbre as accepted by
+// makeTimbre; fields that are not given take their defaults.
+
+var presets = module.exports.presets = {
+  piano: { wave: 'piano' },
+  chromatic: { wave: 'sine', gain: 0.2, attack: 0.001, decay: 0.5 },
+  organ: { wave: 'square', gain: 0.06, attack: 0.01, decay: 0.1,
+      sustain: 0.8, release: 0.05, cutoff: 3000 },
+  guitar: { wave: 'triangle', gain: 0.25, attack: 0.002, decay: 0.6,
+      decayfollow: 0.5, cutfollow: 6 },
+  bass: { wave: 'triangle', gain: 0.3, attack: 0.005, decay: 0.8,
+      sustain: 0.2 },
+  strings: { wave: 'sawtooth', gain: 0.06, attack: 0.08, decay: 0.5,
+      sustain: 0.7, release: 0.2, cutoff: 0, cutfollow: 8, detune: 1.003 },
+  brass: { wave: 'sawtooth', gain: 0.08, attack: 0.03, decay: 0.3,
+      sustain: 0.6, release: 0.1, cutfollow: 5, resonance: 2 },
+  reed: { wave: 'square', gain: 0.07, attack: 0.02, decay: 0.3,
+      sustain: 0.6, release: 0.08, cutfollow: 4 },
+  pipe: { wave: 'sine', gain: 0.25, attack: 0.04, decay: 0.3,
+      sustain: 0.7, release: 0.1 },
+  lead: { wave: 'square', gain: 0.08, attack: 0.005, decay: 0.2,
+      sustain: 0.7, release: 0.05 },
+  pad: { wave: 'sawtooth', gain: 0.05, attack: 0.3, decay: 1,
+      sustain: 0.8, release: 0.5, cutfollow: 3, detune: 1.006 },
+  percussion: { wave: 'noise', gain: 0.3, attack: 0.001, decay: 0.1,
+      release: 0.05, cutfollow: 6 },
+  // The synthesized drum kit of drums.js, played by midi drum number.
+  kit: { wave: 'kit', gain: 0.5 }
+};
+
+// The preset for each family of eight General MIDI programs.
+var families = [
+  'piano', 'chromatic', 'organ', 'guitar', 'bass', 'strings', 'strings',
+  'brass', 'reed', 'pipe', 'lead', 'pad', 'pad', 'guitar', 'chromatic',
+  'percussion'
+];
+
+// Returns the preset for a General MIDI program number from 0 to 127.
+module.exports.programTimbre = function(program) {
+  return presets[families[Math.floor(program / 8)]] || null;
+};
+
+},{}],9:[function(require,module,exports){
+// Transposes a parsed ABC file (the structure returned by parseABCFile)
+// by a number of semitones.  The key signature moves to the new key,
+// and each note is respelled to keep its place in the scale: in a tune
+// moved from G to A, an F# becomes a G#, and a C natural becomes a D.
+// Where that would need a double sharp or flat that was not written in
+// the original, the note is spelled with a neighboring letter instead,
+// preferring sharps in sharp keys and flats in flat keys.  Chord symbols
+// and ornament neighbors are transposed the same way.
+
+var utils = require('./utils');
+var pitchToMidi = utils.pitchToMidi;
+var pitchToFrequency = utils.pitchToFrequency;
+var accidentalSemitones = utils.accidentalSemitones;
+var parseKeyField = require('./parser-abc').parseKey;
+
+// Tonics in the order of the circle of fifths; C is at index 8.
+var fifths = ['Fb', 'Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D',
+    'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#', 'E#', 'B#'];
+// How many fifths above the major key each mode's tonic is.
+var modeFifths = {
+  major: 0, mixolydian: 1, dorian: 2, minor: 3, phrygian: 4, locrian: 5,
+  lydian: -1
+};
+var letters = 'CDEFGAB';
+var naturalSemitone = [0, 2, 4, 5, 7, 9, 11];
+
+module.exports = function transposeABC(parsed, semitones) {
+  var result = JSON.parse(JSON.stringify(parsed)),
+      key = parseKey(firstLine(parsed.K)) || parseKey('C'),
+      count = key.count, steps, sharps, id, voice, stems, j, k, note;
+  semitones = Math.round(semitones) || 0;
+  if (!semitones) { return result; }
+  count = moveKey(count, semitones);
+  // The number of letter names to move each note, in the direction of
+  // the transposition.
+  steps = (letters.indexOf(fifths[count + 8 + key.mode].charAt(0)) -
+      letters.indexOf(key.tonic.charAt(0)) + 7) % 7;
+  steps += 7 * Math.round((semitones * 7 / 12 - steps) / 7);
+  sharps = count > 0 || (count == 0 && semitones > 0);
+  if (result.K) {
+    result.K = transposeKey(result.K, semitones, transposePitch);
+    if (result.meta && result.meta.key) {
+      result.meta.key = parseKeyField(firstLine(result.K));
+    }
+  }
+  for (id in result.voice) {
+    voice = result.voice[id];
+    // The notes of percussion voices choose drums, not pitches.
+    if (('channel' in voice ? voice.channel : parsed.channel) == 10 ||
+        /^perc/i.test(('clef' in voice ? voice.clef : parsed.clef) || '')) {
+      continue;
+    }
+    if (voice.K) {
+      voice.K = transposeKey(voice.K, semitones, transposePitch);
+    }
+    // So do the key changes after the notes begin.
+    for (j = 0; voice.fields && j < voice.fields.length; ++j) {
+      if (voice.fields[j].field == 'K') {
+        voice.fields[j].value = transposeKey(voice.fields[j].value,
+            semitones, transposePitch);
+      }
+    }
+    // The notes of the voice and of its overlays.
+    stems = [].concat.apply(voice.stems || [],
+        (voice.overlays || []).map(function(o) { return o.stems; }));
+    for (j = 0; j < stems.length; ++j) {
+      for (k = 0; k < stems[j].notes.length; ++k) {
+        note = stems[j].notes[k];
+        note.pitch = transposePitch(note.pitch);
+        note.frequency = pitchToFrequency(note.pitch);
+        transposeOrnaments(note.ornaments);
+      }
+      if (stems[j].chord) {
+        transposeChord(stems[j].chord);
+      }
+    }
+  }
+  return result;
+
+  // Moves a pitch such as "^F," by the transposition, respelled so that
+  // it needs no more than a single sharp or flat (or as many as the
+  // original had).  Microtonal accidentals keep their fraction.
+  function transposePitch(pitch) {
+    var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch),
+        index;
+    if (!m) { return pitch; }
+    index = letters.indexOf(m[2].toUpperCase()) + steps + 7 * (
+        (m[2] >= 'a' ? 1 : 0) +
+        m[3].replace(/,/g, '').length - m[3].replace(/'/g, '').length);
+    return spell(index, pitchToMidi(pitch) + semitones,
+        Math.max(1, Math.ceil(Math.abs(accidentalSemitones(m[1])))), sharps);
+  }
+  function transposeOrnaments(ornaments) {
+    for (var j = 0; ornaments && j < ornaments.length; ++j) {
+      if (ornaments[j].upper) {
+        ornaments[j].upper = transposePitch(ornaments[j].upper);
+      }
+      if (ornaments[j].lower) {
+        ornaments[j].lower = transposePitch(ornaments[j].lower);
       }
     }
-    return i + (n / d);
   }
+  // Moves the root and bass of a chord symbol such as "F#m7/C#".
+  function transposeChord(chord) {
+    if (!chord.root) { return; }
+    chord.root = chordRoot(transposePitch(abcRoot(chord.root)));
+    chord.name = chord.name.replace(/^[A-G][#b]?/, chord.root);
+    if (chord.bass) {
+      chord.bass = chordRoot(transposePitch(abcRoot(chord.bass)));
+      chord.name = chord.name.replace(/\/[A-G][#b]?$/, '/' + chord.bass);
+    }
+  }
+};
+
+// Renames the tonic of each K: line, keeping its mode and modifiers, and
+// moves any explicit accidentals such as "^/f" with transposePitch.
+function transposeKey(value, semitones, transposePitch) {
+  var lines = value.split('\n'), j, key;
+  function transposeAccidental(text, space, pitch) {
+    pitch = transposePitch(pitch).replace(/[,']/g, '').toLowerCase();
+    return space + (/^[a-g]/.test(pitch) ? '=' : '') + pitch;
+  }
+  for (j = 0; j < lines.length; ++j) {
+    key = parseKey(lines[j]);
+    if (key) {
+      lines[j] = lines[j].replace(/^(\s*)[A-G][#b]?/i,
+          '$1' + fifths[moveKey(key.count, semitones) + 8 + key.mode]);
+    }
+    lines[j] = lines[j].replace(
+        /(\s)((?:[\^_]\d*\/\d*|\^+|_+|=)[A-Ga-g])(?=\s|$)/g,
+        transposeAccidental);
+  }
+  return lines.join('\n');
+}
+
+// Returns the number of sharps (or if negative, flats) in a key signature
+// after transposing it.  Each semitone moves the key seven fifths around
+// the circle of fifths, and keys with more than six sharps or flats are
+// avoided.
+function moveKey(count, semitones) {
+  if (semitones % 12 === 0) { return count; }
+  count = ((count + 7 * semitones) % 12 + 12) % 12;
+  if (count > 6 || (count == 6 && semitones < 0)) { count -= 12; }
+  return count;
+}
+
+// Returns the first of the newline-separated values of a field.
+function firstLine(value) {
+  return String(value || '').split('\n')[0];
+}
+
+// Parses the tonic and mode of a key such as "F#m" or "D dorian" into
+// {tonic, mode, count}, where mode is the number of fifths between the
+// tonic and the major key with the same signature, and count is the
+// number of sharps (or, if negative, flats).  Returns null for keys
+// without a tonic, such as "none" or "HP".
+function parseKey(keyname) {
+  var key = parseKeyField(keyname), mode;
+  if (!key || !key.tonic) { return null; }
+  mode = modeFifths[key.mode];
+  return {
+    tonic: key.tonic,
+    mode: mode,
+    count: fifths.indexOf(key.tonic) - 8 - mode
+  };
+}
+
+// Spells a midi number using the letter at the given index (counting
+// letter names up from middle C), unless that needs more than the limit
+// of sharps or flats, in which case a neighboring letter is used.
+function spell(index, midi, limit, sharps) {
+  var best = null, candidates = [index, index + 1, index - 1],
+      j, octave, alter, result;
+  for (j = 0; j < candidates.length; ++j) {
+    octave = Math.floor(candidates[j] / 7);
+    alter = midi - 60 - 12 * octave -
+        naturalSemitone[candidates[j] - 7 * octave];
+    if (!best || Math.abs(alter) < Math.abs(best.alter) ||
+        (Math.abs(alter) == Math.abs(best.alter) && (alter > 0) == sharps)) {
+      best = { index: candidates[j], alter: alter };
+    }
+    if (!j && Math.abs(alter) <= limit) {
+      // The letter that keeps the note's place in the scale will do.
+      break;
+    }
+  }
+  octave = Math.floor(best.index / 7);
+  result = letters.charAt(best.index - 7 * octave);
+  if (octave > 0) {
+    result = result.toLowerCase();
+    octave -= 1;
+  }
+  for (; octave > 0; --octave) { result += "'"; }
+  for (; octave < 0; ++octave) { result += ','; }
+  if (best.alter % 1) {
+    return microtonal(best.alter) + result;
+  }
+  for (alter = best.alter; alter > 0; --alter) { result = '^' + result; }
+  for (; alter < 0; ++alter) { result = '_' + result; }
+  return result;
+}
+
+// Writes a microtonal accidental for a fraction of semitones, such as
+// "^/" for a half semitone sharp or "_3/4" for three quarters flat.
+function microtonal(alter) {
+  var sign = alter > 0 ? '^' : '_', size = Math.abs(alter), d = 2;
+  while (d < 64 && (size * d) % 1) { d *= 2; }
+  if (size * d == 1 && d == 2) { return sign + '/'; }
+  return sign + Math.round(size * d) + '/' + d;
+}
+
+// Converts between chord roots such as "Bb" and ABC pitches such as "_B".
+function abcRoot(root) {
+  return root.charAt(1) == '#' ? '^' + root.charAt(0) :
+      root.charAt(1) == 'b' ? '_' + root.charAt(0) : root;
+}
+function chordRoot(pitch) {
+  return pitch.replace(/[,']/g, '').replace(/^\^(.)$/, '$1#')
+      .replace(/^_(.)$/, '$1b');
 }
 
-},{"./utils":4}],4:[function(require,module,exports){
-(function (global){
+},{"./parser-abc":7,"./utils":10}],10:[function(require,module,exports){
+(function (global){(function (){
 var makeWavetable = require('./wavetable-builder');
 
 // Tests for the presence of HTML5 Web Audio (or webkit's version).
@@ -1487,18 +4873,30 @@ var noteName =
     ['C', '^C', 'D', '_E', 'E', 'F', '^F', 'G', '_A', 'A', '_B', 'B',
      'c', '^c', 'd', '_e', 'e', 'f', '^f', 'g', '_a', 'a', '_b', 'b'];
 // Converts a frequency in Hz to the closest midi number.
-function frequencyToMidi(freq) {
+module.exports.frequencyToMidi = frequencyToMidi = function(freq) {
   return Math.round(69 + Math.log(freq / 440) * 12 / Math.LN2);
-}
-// Converts an ABC pitch (such as "^G,,") to a midi note number.
+};
+// Converts an ABC pitch (such as "^G,,") to a midi note number.  Pitches
+// with microtonal accidentals (such as "^/G") have fractional numbers.
 module.exports.pitchToMidi = pitchToMidi = function(pitch) {
-  var m = /^(\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch);
+  var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch);
   if (!m) { return null; }
   var octave = m[3].replace(/,/g, '').length - m[3].replace(/'/g, '').length;
-  var semitone =
-      noteNum[m[2]] + accSym[m[1].charAt(0)] * m[1].length + 12 * octave;
+  var semitone = noteNum[m[2]] + accidentalSemitones(m[1]) + 12 * octave;
   return semitone + 60; // 60 = midi code middle "C".
 }
+// Converts an ABC accidental (such as "^", "__" or "=") to semitones.
+// As in ABC 2.1, microtonal accidentals give a fraction of a semitone:
+// "^/" is a quarter tone sharp, and "_3/4" is three quarters of a
+// semitone flat.
+module.exports.accidentalSemitones = accidentalSemitones = function(acc) {
+  var m = /^([\^_])(\d*)\/(\d*)$/.exec(acc);
+  if (m) {
+    return accSym[m[1]] * (m[2] ? Number(m[2]) : 1) /
+        (m[3] ? Number(m[3]) : 2);
+  }
+  return accSym[acc.charAt(0)] * acc.length;
+};
 // Converts a midi number to an ABC notation pitch.
 module.exports.midiToPitch = function(midi) {
   var index = ((midi - 72) % 12);
@@ -1561,9 +4959,9 @@ var whiteNoiseBuf = null; // cache
 function getWhiteNoiseBuf() {
   if (whiteNoiseBuf == null) {
     var ac = getAudioTop().ac,
-        bufferSize = 2 * ac.sampleRate,
-        whiteNoiseBuf = ac.createBuffer(1, bufferSize, ac.sampleRate),
-        output = whiteNoiseBuf.getChannelData(0);
+        bufferSize = 2 * ac.sampleRate, output;
+    whiteNoiseBuf = ac.createBuffer(1, bufferSize, ac.sampleRate);
+    output = whiteNoiseBuf.getChannelData(0);
     for (var i = 0; i < bufferSize; i++) {
       output[i] = Math.random() * 2 - 1;
     }
@@ -1618,8 +5016,8 @@ module.exports.makeOscillator = makeOscillator = function(atop, wavename, freq)
   return o;
 }
 
-}).call(this,typeof global !== "undefined" ? global : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : {})
-},{"./wavetable-builder":5}],5:[function(require,module,exports){
+}).call(this)}).call(this,typeof global !== "undefined" ? global : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : {})
+},{"./wavetable-builder":11}],11:[function(require,module,exports){
 // wavetable is a table of names for nonstandard waveforms.
 // The table maps names to objects that have wave: and freq:
 // properties. The wave: property is a PeriodicWave to use
@@ -1719,5 +5117,5 @@ module.exports = function(ac) {
   });
 }
 
-},{}]},{},[1])(1)
-});
\ No newline at end of file
+},{}]},{},[5])(5)
+});
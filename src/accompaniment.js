@@ -0,0 +1,192 @@
+// Accompaniment for the chord symbols (such as "G", "D7" or "Am7/E") that
+// are written above the melody in many ABC tunes.  The parser turns each
+// chord symbol into a {root, quality, extensions, bass} object attached
+// to a stem, and Instrument.play uses the functions here to voice each
+// chord and to render it in one of several accompaniment patterns.
+
+// Semitones above the root for each chord quality.
+var qualityIntervals = {
+  maj: [0, 4, 7],
+  min: [0, 3, 7],
+  dim: [0, 3, 6],
+  aug: [0, 4, 8],
+  sus2: [0, 2, 7],
+  sus4: [0, 5, 7]
+};
+// Semitones above the root added by each chord extension.
+var extensionIntervals = {
+  '6': [9], '6/9': [9, 14], '7': [10], '9': [10, 14], '11': [10, 14, 17],
+  '13': [10, 14, 21],
+  'maj7': [11], 'maj9': [11, 14], 'maj11': [11, 14, 17],
+  'maj13': [11, 14, 21], 'add2': [2], 'add4': [5], 'add9': [14],
+  'add11': [17], 'add13': [21], 'b9': [13], '#9': [15], '#11': [18],
+  'b13': [20]
+};
+var rootSemitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Converts a chord root such as "F#" or "Bb" to a semitone from 0 to 11.
+function rootToSemitone(root) {
+  var s = rootSemitone[root.charAt(0)];
+  if (root.charAt(1) == '#') { s += 1; }
+  if (root.charAt(1) == 'b') { s -= 1; }
+  return (s + 12) % 12;
+}
+
+// Voices a parsed chord symbol as midi numbers: the chord tones are
+// returned in close position starting from the root in the octave
+// below middle C, and the bass is the root (or the slash bass note)
+// an octave lower.  Returns null for "N.C." (no chord).
+var voiceChord = module.exports.voiceChord = function(chord) {
+  if (!chord || !chord.root) { return null; }
+  var root = 48 + rootToSemitone(chord.root),
+      intervals = qualityIntervals[chord.quality] || qualityIntervals.maj,
+      notes = intervals.slice(), seen = {}, tones = [], j, k, ext, add;
+  for (j = 0; j < chord.extensions.length; ++j) {
+    ext = chord.extensions[j];
+    if (ext == 'b5' || ext == '#5') {
+      // Altered fifths replace the fifth.
+      notes[2] = (ext == 'b5') ? 6 : 8;
+      continue;
+    }
+    add = extensionIntervals[ext] || [];
+    for (k = 0; k < add.length; ++k) {
+      // A diminished seventh chord has a doubly-flatted seventh.
+      notes.push(add[k] == 10 && chord.quality == 'dim' ? 9 : add[k]);
+    }
+  }
+  for (j = 0; j < notes.length; ++j) {
+    if (!seen[notes[j]]) {
+      seen[notes[j]] = true;
+      tones.push(root + notes[j]);
+    }
+  }
+  tones.sort(function(a, b) { return a - b; });
+  return {
+    bass: 36 + (chord.bass ? rootToSemitone(chord.bass) :
+        rootToSemitone(chord.root)),
+    tones: tones
+  };
+};
+
+// The accompaniment patterns.  Each one is a function of the voiced
+// chord and the number of the beat within the measure, returning the
+// events for that beat as a list of {time, duration, midi} with times in
+// beats relative to the start of the beat.
+var patterns = {
+  // A block chord struck on each beat.
+  block: function(v, beat) {
+    return strike(v.tones.concat([v.bass]), 0, 1);
+  },
+  // Bass on the strong beats, chord on the weak beats.
+  oompah: function(v, beat) {
+    return beat % 2 ? strike(v.tones, 0, 1) : strike([v.bass], 0, 1);
+  },
+  // Broken chord in half beats: bottom, top, middle, top.
+  alberti: function(v, beat) {
+    var top = v.tones[v.tones.length - 1],
+        middle = v.tones[Math.floor((v.tones.length - 1) / 2)];
+    return [
+      { time: 0, duration: 0.5, midi: beat % 2 ? middle : v.tones[0] },
+      { time: 0.5, duration: 0.5, midi: top }
+    ];
+  },
+  // Bass on the first beat of three, strummed chords on the others.
+  waltz: function(v, beat) {
+    if (beat % 3 == 0) { return strike([v.bass], 0, 1); }
+    return strike(v.tones, 1 / 32, 1);
+  }
+};
+
+// Makes a pattern from an abcMIDI gchord string such as "fzczfzcz",
+// which divides a measure of the given number of beats evenly among its
+// characters: f plays the bass, c the chord, b both, and z rests; g, h,
+// i and j play the first to fourth chord tones, and G, H, I and J play
+// them an octave lower.  A number after a character lengthens it.
+function gchordPattern(str, measure) {
+  var items = [], total = 0, m, re = /([a-zA-Z])(\d*)/g, j;
+  while ((m = re.exec(str))) {
+    items.push({ code: m[1], start: total, units: Number(m[2] || 1) });
+    total += Number(m[2] || 1);
+  }
+  return function(v, beat) {
+    var result = [], unit = measure / total, time, notes, k;
+    beat = beat % measure;
+    for (j = 0; j < items.length; ++j) {
+      time = items[j].start * unit - beat;
+      if (time < 0 || time >= 1) { continue; }
+      notes = gchordNotes(v, items[j].code);
+      for (k = 0; k < notes.length; ++k) {
+        result.push({
+          time: time,
+          duration: items[j].units * unit,
+          midi: notes[k]
+        });
+      }
+    }
+    return result;
+  };
+}
+// The notes played for one character of a gchord string.
+function gchordNotes(v, code) {
+  var index = 'ghij'.indexOf(code.toLowerCase());
+  if (index >= 0) {
+    if (index >= v.tones.length) { return []; }
+    return [v.tones[index] - (code == code.toUpperCase() ? 12 : 0)];
+  }
+  switch (code) {
+    case 'f': return [v.bass];
+    case 'c': return v.tones;
+    case 'b': return v.tones.concat([v.bass]);
+  }
+  return [];
+}
+
+// Makes events that strike a set of notes together, or strummed with
+// each note delayed by the given number of beats after the last.
+function strike(notes, strum, duration) {
+  var result = [], j;
+  for (j = 0; j < notes.length; ++j) {
+    result.push({
+      time: j * strum,
+      duration: duration - j * strum,
+      midi: notes[j]
+    });
+  }
+  return result;
+}
+
+// Returns the events to accompany a chord that lasts for the given
+// number of beats, as a list of {time, duration, midi} with times in
+// beats from the start of the chord.  The pattern may be 'block',
+// 'oompah', 'alberti' or 'waltz', or an abcMIDI gchord string, which
+// is spread over a measure of the given number of beats.  The pattern
+// follows the measure: start is the beat within the measure where the
+// chord begins, and a chord that begins between beats joins the pattern
+// partway through the beat.
+module.exports.accompany = function(chord, pattern, beats, measure, start) {
+  var voiced = voiceChord(chord),
+      render = patterns[pattern] || (/^[a-zA-Z\d]+$/.test(pattern) ?
+          gchordPattern(pattern, measure || 4) : patterns.block),
+      result = [], events, beat, j, e, time, duration;
+  if (!voiced) { return result; }
+  start = start || 0;
+  for (beat = Math.floor(start + 1e-6); beat < start + beats; ++beat) {
+    events = render(voiced, measure ? beat % measure : beat);
+    for (j = 0; j < events.length; ++j) {
+      e = events[j];
+      time = beat - start + e.time;
+      duration = e.duration;
+      if (time < 0) {
+        duration += time;
+        time = 0;
+      }
+      if (duration <= 1e-6 || time >= beats) { continue; }
+      result.push({
+        time: time,
+        duration: Math.min(duration, beats - time),
+        midi: e.midi
+      });
+    }
+  }
+  return result;
+};
@@ -0,0 +1,81 @@
+// Indexes a tunebook: a string of ABC with any number of tunes, each
+// starting with an X: line, as pasted from a tune collection.  Returns
+// the list of tunes in the order they appear, each as
+// {
+//   X, T, C, R, K: the values of these fields from the tune's header,
+//       with repeated fields (such as alternate titles) newline-separated
+//   title: the first T: title, or '' if there is none
+//   start, end: the range of the tune's text in the string, each as a
+//       {line, column, offset} position, with lines counting from 1
+//   abc: the text of the tune
+// }
+// Line endings are read as "\n", so positions in a book with "\r\n"
+// line endings are offsets into the text with the "\r"s removed.
+// Text before the first X: line only counts as a tune if it has lines
+// of notes, so that a tune without an X: line is a book of one tune,
+// but the prose introduction to a collection is not.
+
+var ABCheader = /^([A-Za-z]):\s*(.*)$/;
+var ABCbookFields = { X: true, T: true, C: true, R: true, K: true };
+// A line of notes is made only of pitches, rests, durations, bar lines,
+// chord symbols, decorations (including the shorthands such as H and
+// T), inline fields and similar marks.
+var ABCnotes = new RegExp('^(?:"[^"]*"|![^!]*!|\\[[A-Za-z]:[^\\]]*\\]|' +
+    '[A-Ga-gxzXZ^=_,\'\\d\\/|:\\[\\]{}()<>\\-.~HLMOPSTuv&\\\\\\s])+' +
+    '(?:%.*)?$');
+
+module.exports = function parseABCBook(str) {
+  str = String(str || '').replace(/\r\n?/g, '\n');
+  var lines = str.split('\n'), result = [], tune = null,
+      header = false, music = false, end = null, offset = 0, j, m;
+  for (j = 0; j < lines.length; ++j) {
+    if (!j || /^X:/.test(lines[j])) {
+      finishTune();
+      tune = {
+        title: '',
+        start: { line: j + 1, column: 0, offset: offset }
+      };
+      header = true;
+      music = /^X:/.test(lines[j]);
+      end = null;
+    }
+    m = ABCheader.exec(lines[j]);
+    if (header && m) {
+      // Fields are collected from the header, which ends at K:.
+      if (ABCbookFields.hasOwnProperty(m[1])) {
+        addField(m[1], m[2].trim());
+      }
+      if (m[1] == 'K') { header = false; }
+    } else if (!/^\s*(?:%.*)?$/.test(lines[j])) {
+      // Anything else that is not blank or a comment ends the header,
+      // and is music if it is a line of notes.
+      header = false;
+      if (ABCnotes.test(lines[j]) && /[A-Ga-gxzXZ]/.test(lines[j])) {
+        music = true;
+      }
+    }
+    if (/\S/.test(lines[j])) {
+      // The tune ends after its last line that is not blank.
+      end = { line: j + 1, column: lines[j].length,
+          offset: offset + lines[j].length };
+    }
+    offset += lines[j].length + 1;
+  }
+  finishTune();
+  return result;
+
+  function addField(field, value) {
+    if (tune.hasOwnProperty(field)) {
+      tune[field] += '\n' + value;
+    } else {
+      tune[field] = value;
+      if (field == 'T') { tune.title = value; }
+    }
+  }
+  function finishTune() {
+    if (!tune || !music || !end) { return; }
+    tune.end = end;
+    tune.abc = str.substring(tune.start.offset, end.offset);
+    result.push(tune);
+  }
+};
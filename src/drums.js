@@ -0,0 +1,107 @@
+// The General MIDI drums, by the names that %%percmap uses, and the
+// built-in kit that Instrument synthesizes them with.  Each drum of the
+// kit is a list of layers that sound together: a tone layer is an
+// oscillator whose pitch falls from one frequency to another over a
+// sweep of some seconds, and a noise layer is white noise through a
+// filter.  Every layer starts at its gain and dies away exponentially
+// with its decay time constant in seconds.
+
+// A tone layer: a wave whose frequency falls from `from` to `to` Hz.
+function tone(wave, from, to, sweep, decay, gain) {
+  return { wave: wave, from: from, to: to, sweep: sweep,
+      decay: decay, gain: gain };
+}
+// A noise layer: white noise through a filter of the given type.
+function noise(filter, frequency, decay, gain) {
+  return { noise: filter, frequency: frequency, decay: decay, gain: gain };
+}
+// A drum with a pitch, such as a tom or a conga.
+function drum(frequency, decay) {
+  return [tone('sine', frequency * 1.5, frequency, 0.06, decay, 0.9)];
+}
+
+var kick = [tone('sine', 150, 45, 0.08, 0.2, 1)],
+    snare = [tone('triangle', 220, 160, 0.03, 0.06, 0.5),
+        noise('highpass', 1500, 0.08, 0.7)],
+    hihat = [noise('highpass', 7000, 0.03, 0.5)],
+    cymbal = [noise('highpass', 4000, 0.8, 0.4)],
+    ride = [noise('highpass', 5000, 0.5, 0.3),
+        tone('square', 3100, 3100, 0, 0.3, 0.03)];
+
+// The drums numbered from 35 (acoustic-bass-drum) to 81 (open-triangle).
+var kit = [
+  ['acoustic-bass-drum', [tone('sine', 130, 40, 0.1, 0.25, 1)]],
+  ['bass-drum-1', kick],
+  ['side-stick', [tone('triangle', 900, 700, 0.01, 0.02, 0.5),
+      noise('bandpass', 2000, 0.02, 0.4)]],
+  ['acoustic-snare', snare],
+  ['hand-clap', [noise('bandpass', 1100, 0.12, 0.9)]],
+  ['electric-snare', [tone('triangle', 260, 180, 0.02, 0.05, 0.5),
+      noise('highpass', 2500, 0.1, 0.8)]],
+  ['low-floor-tom', drum(80, 0.3)],
+  ['closed-hi-hat', hihat],
+  ['high-floor-tom', drum(95, 0.28)],
+  ['pedal-hi-hat', [noise('highpass', 6000, 0.05, 0.4)]],
+  ['low-tom', drum(110, 0.25)],
+  ['open-hi-hat', [noise('highpass', 7000, 0.3, 0.5)]],
+  ['low-mid-tom', drum(130, 0.22)],
+  ['hi-mid-tom', drum(150, 0.2)],
+  ['crash-cymbal-1', cymbal],
+  ['high-tom', drum(175, 0.18)],
+  ['ride-cymbal-1', ride],
+  ['chinese-cymbal', [noise('bandpass', 3000, 0.6, 0.5)]],
+  ['ride-bell', [tone('square', 2100, 2100, 0, 0.4, 0.1),
+      noise('highpass', 6000, 0.2, 0.2)]],
+  ['tambourine', [noise('highpass', 8000, 0.08, 0.5)]],
+  ['splash-cymbal', [noise('highpass', 5000, 0.4, 0.4)]],
+  ['cowbell', [tone('square', 560, 560, 0, 0.15, 0.15),
+      tone('square', 845, 845, 0, 0.15, 0.15)]],
+  ['crash-cymbal-2', [noise('highpass', 3500, 1, 0.4)]],
+  ['vibraslap', [noise('bandpass', 2500, 0.5, 0.4)]],
+  ['ride-cymbal-2', ride],
+  ['hi-bongo', drum(400, 0.08)],
+  ['low-bongo', drum(300, 0.1)],
+  ['mute-hi-conga', drum(330, 0.05)],
+  ['open-hi-conga', drum(320, 0.15)],
+  ['low-conga', drum(220, 0.18)],
+  ['high-timbale', [tone('triangle', 600, 500, 0.02, 0.15, 0.7)]],
+  ['low-timbale', [tone('triangle', 450, 380, 0.02, 0.18, 0.7)]],
+  ['high-agogo', [tone('triangle', 900, 900, 0, 0.2, 0.5)]],
+  ['low-agogo', [tone('triangle', 700, 700, 0, 0.2, 0.5)]],
+  ['cabasa', [noise('highpass', 6000, 0.08, 0.4)]],
+  ['maracas', [noise('highpass', 8000, 0.04, 0.4)]],
+  ['short-whistle', [tone('sine', 2500, 2500, 0, 0.1, 0.3)]],
+  ['long-whistle', [tone('sine', 2500, 2500, 0, 0.4, 0.3)]],
+  ['short-guiro', [noise('bandpass', 3000, 0.1, 0.5)]],
+  ['long-guiro', [noise('bandpass', 3000, 0.3, 0.5)]],
+  ['claves', [tone('sine', 2500, 2500, 0, 0.03, 0.7)]],
+  ['hi-wood-block', [tone('sine', 1200, 1100, 0.01, 0.04, 0.7)]],
+  ['low-wood-block', [tone('sine', 900, 800, 0.01, 0.05, 0.7)]],
+  ['mute-cuica', [tone('sine', 650, 450, 0.05, 0.06, 0.6)]],
+  ['open-cuica', [tone('sine', 400, 700, 0.1, 0.15, 0.6)]],
+  ['mute-triangle', [tone('sine', 4500, 4500, 0, 0.08, 0.3)]],
+  ['open-triangle', [tone('sine', 4500, 4500, 0, 0.8, 0.3)]]
+];
+var firstDrum = 35;
+
+// Returns the General MIDI drum number for a drum given by number or by
+// name, such as "38" or "acoustic-snare", or null if it is unknown.
+module.exports.drumNumber = function(name) {
+  var key = String(name).trim().toLowerCase().replace(/[\s_]+/g, '-'), j;
+  if (/^\d+$/.test(key)) {
+    return Number(key);
+  }
+  for (j = 0; j < kit.length; ++j) {
+    if (kit[j][0] == key) {
+      return firstDrum + j;
+    }
+  }
+  return null;
+};
+
+// Returns the layers of the kit's sound for a General MIDI drum number.
+// Numbers outside the General MIDI drums sound as a short click.
+module.exports.kitSound = function(number) {
+  var entry = kit[Math.round(number) - firstDrum];
+  return entry ? entry[1] : [noise('bandpass', 2000, 0.03, 0.5)];
+};
@@ -0,0 +1,579 @@
+// Formats a parsed ABC file (the structure returned by parseABCFile) back
+// into ABC notation.  This is the inverse of parseABCFile: it writes the
+// header fields, then the notes of each voice, with durations relative
+// to the unit note length, accidentals relative to the key signature
+// and the accidentals already written in the measure, and ties, slurs,
+// staccato, dynamics, hairpins, ornaments, grace notes, chord symbols,
+// repeats, tempo changes, changes of key, meter and unit note,
+// tuplets (where they can be detected) and lyrics.  Bar lines are
+// written where they were in the parsed music.
+//
+// The output is canonical rather than a copy of the original text:
+// parsing it gives the same music, but spacing, beaming and line breaks
+// are chosen by the formatter.
+
+var parser = require('./parser-abc');
+var keySignature = parser.keySignature;
+var parseKey = parser.parseKey;
+var durationToTime = parser.durationToTime;
+var shiftOctave = parser.shiftOctave;
+var meterLength = parser.meterLength;
+
+// Dynamics markings for each velocity set by the parser.
+var ABCdynamics = {
+  '0.2': 'ppp', '0.4': 'pp', '0.6': 'p', '0.8': 'mp',
+  '1': 'mf', '1.2': 'f', '1.4': 'ff', '1.5': 'fff'
+};
+// Symbols for each ornament type set by the parser.
+var ABCornament = {
+  trill: 'T', mordent: 'M', uppermordent: 'P', roll: '~', fermata: 'H',
+  turn: '!turn!', invertedturn: '!invertedturn!'
+};
+// Fields that are written specially instead of copied.
+var ABCspecial = { X: true, K: true, V: true };
+// Bars per line of notes.
+var barsPerLine = 4;
+// Tolerance for comparing times.
+var epsilon = 1e-6;
+
+module.exports = function formatABC(parsed) {
+  var lines = [], ids = [], id, field, key, multi;
+  if (!parsed) { return ''; }
+  lines.push('X:' + (parsed.X ? firstLine(parsed.X) : '1'));
+  for (field in parsed) {
+    if (/^[A-Z]$/.test(field) && !ABCspecial[field]) {
+      pushField(lines, field, parsed[field]);
+    }
+  }
+  if (parsed.V) {
+    pushField(lines, 'V', parsed.V);
+  }
+  pushTranspose(lines, parsed, parsed.K);
+  pushMidi(lines, parsed);
+  pushPercmap(lines, parsed);
+  lines.push('K:' + (parsed.K ? firstLine(parsed.K) : 'C'));
+  for (id in parsed.voice) {
+    ids.push(id);
+  }
+  // Only name the voices if there is more than the default voice.
+  multi = ids.length > 1 || (ids.length == 1 && ids[0] !== '');
+  for (id = 0; id < ids.length; ++id) {
+    formatVoice(lines, parsed, parsed.voice[ids[id]], multi);
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Writes a field as one line for each of its (newline-separated) values.
+function pushField(lines, field, value) {
+  var values = String(value).split('\n'), j;
+  for (j = 0; j < values.length; ++j) {
+    lines.push(field + ':' + values[j]);
+  }
+}
+
+// Writes a %%transpose directive for a transposition that is not the
+// transpose= given on the K: or V: line that will be written.
+function pushTranspose(lines, target, value) {
+  var m = /(?:^|\s)transpose=([+\-]?\d+)/.exec(value || '');
+  if ('transpose' in target && !(m && +m[1] == target.transpose)) {
+    lines.push('%%transpose ' + target.transpose);
+  }
+}
+
+// Writes the %%MIDI directives that set up a file or voice.
+function pushMidi(lines, target) {
+  var drum = target.drum;
+  if ('program' in target) {
+    lines.push('%%MIDI program ' + target.program);
+  }
+  if ('channel' in target) {
+    lines.push('%%MIDI channel ' + target.channel);
+  }
+  if (typeof(target.gchord) == 'string') {
+    lines.push('%%MIDI gchord ' + target.gchord);
+  } else if ('gchord' in target) {
+    lines.push('%%MIDI ' + (target.gchord ? 'gchordon' : 'gchordoff'));
+  }
+  if (drum) {
+    lines.push('%%MIDI drum ' + [drum.pattern].concat(
+        drum.drums, drum.velocities).join(' '));
+  }
+  if ('drumon' in target) {
+    lines.push('%%MIDI ' + (target.drumon ? 'drumon' : 'drumoff'));
+  }
+}
+
+// Writes the %%percmap directives that choose the drums for notes.
+function pushPercmap(lines, target) {
+  for (var pitch in target.percmap) {
+    lines.push('%%percmap ' + pitch + ' ' + target.percmap[pitch]);
+  }
+}
+
+// Returns the first of the newline-separated values of a field.
+function firstLine(value) {
+  return String(value).split('\n')[0];
+}
+
+// Writes the fields and notes of a voice.
+function formatVoice(lines, parsed, voice, multi) {
+  var field, stems = voice.stems || [],
+      keyfield = headerField(voice, 'K'), unitfield = headerField(voice, 'L'),
+      key = keySignature(firstLine(
+          (hasKey(keyfield) ? keyfield : parsed.K) || '')) || {},
+      unitnote = unitfield ? durationToTime(unitfield) : parsed.L ?
+          durationToTime(firstLine(parsed.L)) : parsed.unitnote,
+      meter = meterLength(firstLine(
+          headerField(voice, 'M') || parsed.M || '')),
+      measure = (meter && unitnote) ? meter / unitnote : 0,
+      changes = voice.fields || [], c = 0,
+      tuplets = findTuplets(stems),
+      repeats = voice.repeats || [], tempos = voice.tempos || [],
+      parts = voice.parts || [], p = 0,
+      hairpins = voice.hairpins || [],
+      octave = ('octave' in voice ? voice.octave : parsed.octave) || 0,
+      line = [], lyrics = [], sung = hasLyrics(stems),
+      accent = {}, elapsed = 0, bars = 0, time = 0, bartime = 0,
+      overlays = voice.overlays || [], layers = [],
+      velocity = null, slurred = false, r = 0, t = 0, j, k, stem, text;
+  if (multi) {
+    lines.push('V:' + (voice.V ? firstLine(voice.V) : voice.id));
+  }
+  // Fields that belong to the voice, such as its own L: unit note.
+  for (field in voice) {
+    if (!/^[A-Z]$/.test(field) || field == 'V' || field == 'P') {
+      // Parts are written where they begin.
+      continue;
+    }
+    if (field == 'Q' && !('tempo' in voice) && !('unitbeat' in voice)) {
+      // Q: lines that came after the notes began are tempo changes.
+      continue;
+    }
+    if (/^[KLM]$/.test(field)) {
+      // Changes after the notes begin are written where they happen.
+      if (headerField(voice, field)) {
+        lines.push(field + ':' + headerField(voice, field));
+      }
+    } else if (field == 'Q') {
+      lines.push(field + ':' + firstLine(voice[field]));
+    } else {
+      pushField(lines, field, voice[field]);
+    }
+  }
+  pushTranspose(lines, voice, firstLine(voice.V || '') + ' ' +
+      (keyfield || ''));
+  pushMidi(lines, voice);
+  pushPercmap(lines, voice);
+  // Writes out the current line of notes, and any lyrics for it.
+  function flush() {
+    while (lyrics.length && lyrics[lyrics.length - 1] == '*') {
+      lyrics.pop();
+    }
+    if (line.length) {
+      lines.push(line.join(' '));
+      // Once a voice has lyrics, every line has a w: line, because each
+      // w: line is aligned from the start of the line of notes before it.
+      if (sung) {
+        lines.push('w:' + lyrics.join(' ').replace(/- /g, '-'));
+      }
+    }
+    line = [];
+    lyrics = [];
+  }
+  // Writes the notes of each overlay in the measure so far, after an &.
+  function overlay(end) {
+    var k, text;
+    for (k = 0; k < overlays.length; ++k) {
+      if (!layers[k]) {
+        layers[k] = { index: 0, time: 0, tuplets: findTuplets(
+            overlays[k].stems) };
+      }
+      text = formatOverlay(overlays[k].stems, layers[k], bartime, end,
+          key, octave);
+      if (text) {
+        line.push('&', text);
+      }
+    }
+  }
+  // Ends a measure with the given bar line.
+  function bar(text) {
+    overlay(time);
+    line.push(text);
+    bartime = time;
+    accent = {};
+    elapsed = 0;
+    bars += 1;
+    if (bars % barsPerLine == 0) {
+      flush();
+    }
+  }
+  // Writes the key, meter and unit note changes before the stem with
+  // the given index, and follows them for the stems after.
+  function change(index) {
+    var text = '', field;
+    for (; c < changes.length && changes[c].index <= index; ++c) {
+      field = changes[c];
+      text += '[' + field.field + ':' + field.value + ']';
+      if (field.field == 'K' && hasKey(field.value)) {
+        key = keySignature(field.value) || {};
+      } else if (field.field == 'L') {
+        unitnote = durationToTime(field.value) || unitnote;
+      } else if (field.field == 'M') {
+        meter = meterLength(field.value);
+      }
+      measure = (meter && unitnote) ? meter / unitnote : 0;
+    }
+    return text;
+  }
+  for (j = 0; j <= stems.length; ++j) {
+    // Bar lines and repeats come before the stem with their index, and
+    // plain bar lines are written between measures, and at the end if
+    // the music has a meter or other bar lines.
+    if (r < repeats.length && repeats[r].index == j) {
+      for (; r < repeats.length && repeats[r].index == j; ++r) {
+        bar(formatBar(repeats[r]));
+      }
+    } else if (elapsed > epsilon && (j == stems.length ? measure || bars :
+        stems[j].measure !== stems[j - 1].measure)) {
+      bar('|');
+    }
+    // Each part begins on a new line.
+    for (; p < parts.length && parts[p].index <= j; ++p) {
+      flush();
+      lines.push('P:' + parts[p].name);
+    }
+    if (j == stems.length) {
+      // Overlay notes after the last bar line are written at the end,
+      // and so are any changes after the last note.
+      overlay(Infinity);
+      text = change(j);
+      if (text) { line.push(text); }
+      break;
+    }
+    stem = stems[j];
+    text = '';
+    if (!stem.grace || !j || !stems[j - 1].grace) {
+      // Changes of key, meter, unit note and tempo, and hairpins,
+      // dynamics and slurs that begin here.
+      text += change(j);
+      for (; t < tempos.length && tempos[t].index <= j; ++t) {
+        text += '[Q:' + (tempos[t].unitbeat ?
+            fraction(tempos[t].unitbeat) + '=' : '') + tempos[t].tempo + ']';
+      }
+      for (k = 0; k < hairpins.length; ++k) {
+        if (hairpins[k].end == j) {
+          text += hairpins[k].type == 'crescendo' ? '!<)!' : '!>)!';
+        }
+      }
+      if ((stem.notes.length &&
+          (stem.notes[0].velocity || null) !== velocity) ||
+          reachesDynamics(hairpins, j)) {
+        velocity = stem.notes.length && stem.notes[0].velocity || velocity;
+        if (ABCdynamics[velocity]) {
+          text += '!' + ABCdynamics[velocity] + '!';
+        }
+      }
+      for (k = 0; k < hairpins.length; ++k) {
+        if (hairpins[k].start == j) {
+          text += hairpins[k].type == 'crescendo' ? '!<(!' : '!>(!';
+        }
+      }
+      if (!slurred && stem.notes.length && stem.notes[0].slurred) {
+        text += '(';
+        slurred = true;
+      }
+    }
+    if (stem.grace) {
+      if (!j || !stems[j - 1].grace) {
+        text += stem.acciaccatura ? '{/' : '{';
+      }
+    } else {
+      if (tuplets[j] && tuplets[j].mark) {
+        text += tuplets[j].mark;
+      }
+      if (stem.chord) {
+        text += '"' + stem.chord.name + '"';
+      }
+    }
+    text += formatStem(stem, tuplets[j] ? tuplets[j].ratio : 1,
+        key, accent, octave, measure);
+    if (stem.grace) {
+      if (j + 1 >= stems.length || !stems[j + 1].grace) {
+        text += '}';
+      }
+    } else {
+      elapsed += stem.time;
+      time += stem.time;
+      if (stem.notes.length) {
+        lyrics.push(formatLyric(stem.notes[0].lyric));
+        if (slurred && !stem.notes[0].slurred) {
+          // The last note of a slur is the first one not slurred.
+          text += ')';
+          slurred = false;
+        }
+      }
+    }
+    // Grace notes are written right up against their principal note.
+    if (j && stems[j - 1].grace && line.length) {
+      line[line.length - 1] += text;
+    } else {
+      line.push(text);
+    }
+  }
+  flush();
+}
+
+// Writes the stems of an overlay that sound in a measure from the time
+// "from" to the time "to", in unit notes from the start of the voice.
+// The layer {index, time, tuplets} keeps track of the next stem to
+// write and when it starts.  Stems that end before the measure are
+// skipped, and a measure of nothing but rests is not written.
+function formatOverlay(stems, layer, from, to, key, octave) {
+  var text = [], accent = {}, notes = false, item, stem, j;
+  while (layer.index < stems.length && layer.time < to - epsilon) {
+    j = layer.index++;
+    stem = stems[j];
+    if (!stem.grace) {
+      layer.time += stem.time;
+      if (layer.time < from + epsilon) { continue; }
+    }
+    item = '';
+    if (stem.grace) {
+      if (!j || !stems[j - 1].grace) {
+        item += stem.acciaccatura ? '{/' : '{';
+      }
+    } else {
+      if (layer.tuplets[j] && layer.tuplets[j].mark) {
+        item += layer.tuplets[j].mark;
+      }
+      if (stem.chord) {
+        item += '"' + stem.chord.name + '"';
+      }
+    }
+    item += formatStem(stem, layer.tuplets[j] ? layer.tuplets[j].ratio : 1,
+        key, accent, octave);
+    if (stem.grace && (j + 1 >= stems.length || !stems[j + 1].grace)) {
+      item += '}';
+    }
+    if (j && stems[j - 1].grace && text.length) {
+      text[text.length - 1] += item;
+    } else {
+      text.push(item);
+    }
+    if (stem.notes.length) { notes = true; }
+  }
+  return notes ? text.join(' ') : '';
+}
+
+// Returns the value of a K:, L: or M: field given in a voice's header,
+// leaving out the values that are changes after its notes begin.
+function headerField(voice, field) {
+  var values = voice[field] != null ? String(voice[field]).split('\n') : [],
+      changes = voice.fields || [], count = 0, j;
+  for (j = 0; j < changes.length; ++j) {
+    if (changes[j].field == field) { count += 1; }
+  }
+  return values.length > count ? values[0] : null;
+}
+
+// Returns true if a K: field names a key, rather than only giving a clef
+// or modifiers such as clef=bass.
+function hasKey(value) {
+  if (!value) { return false; }
+  var key = parseKey(firstLine(value));
+  return !key || !!(key.tonic || key.none || key.bagpipe);
+}
+
+// Returns true if any note in a list of stems has lyrics.
+function hasLyrics(stems) {
+  for (var j = 0; j < stems.length; ++j) {
+    if (stems[j].notes.length && stems[j].notes[0].lyric != null) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Writes a bar line recorded in a voice's repeats list.
+function formatBar(marker) {
+  if (!marker.ending) { return marker.bar; }
+  return (marker.bar || '[') + marker.ending.join(',');
+}
+
+// Returns true if a dynamic marking at this stem index ends a hairpin,
+// so that it must be written even if it does not change the velocity.
+function reachesDynamics(hairpins, index) {
+  for (var j = 0; j < hairpins.length; ++j) {
+    if ((hairpins[j].to != null && hairpins[j].end == index) ||
+        hairpins[j].until == index) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Writes a stem: a note, chord or rest with its decorations.  The ratio
+// is the tuplet ratio, which is removed from the written duration, and
+// octave is the octave= shift of the voice, which is removed from the
+// written pitches.  A multi-measure rest is written as Z if it spans
+// whole measures of the given length in unit notes.
+function formatStem(stem, ratio, key, accent, octave, measure) {
+  var text = '', time = stem.time / ratio, notes = stem.notes, same = true,
+      shortest = false, scale, j, note;
+  if (stem.grace) {
+    // Grace notes sound for a quarter of their written length.
+    time *= 4;
+  }
+  if (notes.length) {
+    text += formatOrnaments(notes[0].ornaments);
+  }
+  if (stem.staccato) {
+    text += '.';
+  }
+  if (!notes.length && stem.measures &&
+      Math.abs(stem.time - stem.measures * measure) < epsilon) {
+    return text + 'Z' + formatDuration(stem.measures);
+  }
+  if (!notes.length) {
+    return text + 'z' + formatDuration(time);
+  }
+  if (notes.length == 1 && notes[0].duration == stem.duration) {
+    return text + formatPitch(notes[0].pitch, key, accent, octave) +
+        formatDuration(time) + (notes[0].tie ? '-' : '');
+  }
+  for (j = 0; j < notes.length; ++j) {
+    if (notes[j].duration != stem.duration) { same = false; }
+    else { shortest = true; }
+  }
+  // Chords with notes of different lengths give each note its duration,
+  // and a rest if the stem is shorter than all of its notes.
+  scale = time / (durationToTime(stem.duration) || 1);
+  text += '[';
+  for (j = 0; j < notes.length; ++j) {
+    note = notes[j];
+    text += formatPitch(note.pitch, key, accent, octave);
+    if (!same) {
+      text += formatDuration(durationToTime(note.duration) * scale);
+    }
+    if (note.tie) {
+      text += '-';
+    }
+  }
+  if (!shortest) {
+    text += 'z' + formatDuration(time);
+  }
+  return text + ']' + (same ? formatDuration(time) : '');
+}
+
+// Writes the ornament decorations of a note.
+function formatOrnaments(ornaments) {
+  var text = '', j;
+  for (j = 0; ornaments && j < ornaments.length; ++j) {
+    text += ABCornament[ornaments[j].type] || '';
+  }
+  return text;
+}
+
+// Writes a pitch such as "^f" with only the accidentals that are needed
+// given the key signature and the accidentals earlier in the measure,
+// and remembers any accidental written, as the parser does.
+function formatPitch(pitch, key, accent, octave) {
+  var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(
+      shiftOctave(pitch, -(octave || 0))), letter, expected;
+  if (!m) { return pitch; }
+  letter = m[2].toUpperCase();
+  expected = accent.hasOwnProperty(letter) ? accent[letter] :
+      (key[letter] || '');
+  if (expected == '=') { expected = ''; }
+  if (m[1] == expected) {
+    return m[2] + m[3];
+  }
+  accent[letter] = m[1] || '=';
+  return (m[1] || '=') + m[2] + m[3];
+}
+
+// Writes a syllable of lyrics, or "*" for a note without one.
+function formatLyric(lyric) {
+  if (lyric == null) { return '*'; }
+  return lyric.replace(/-(?!$)/g, '\\-').replace(/ /g, '~');
+}
+
+// Writes a time in unit notes as an ABC duration, such as "3/2" or "/4".
+// Mixed numbers are written the way the parser reads them, e.g., "11/2"
+// for one and a half.
+function formatDuration(time) {
+  var f = toFraction(time), whole;
+  if (f.d == 1) {
+    return f.n == 1 ? '' : String(f.n);
+  }
+  if (f.n == 1) {
+    return '/' + f.d;
+  }
+  if (f.n > f.d && f.n >= 10) {
+    whole = Math.floor(f.n / f.d);
+    return whole + String(f.n - whole * f.d) + '/' + f.d;
+  }
+  return f.n + '/' + f.d;
+}
+
+// Writes a number as a fraction such as "1/4".
+function fraction(x) {
+  var f = toFraction(x);
+  return f.n + '/' + f.d;
+}
+
+// Finds the simplest fraction {n, d} equal to x.
+function toFraction(x) {
+  for (var d = 1; d < 10000; ++d) {
+    if (Math.abs(x * d - Math.round(x * d)) < epsilon) {
+      return { n: Math.round(x * d), d: d };
+    }
+  }
+  return { n: x, d: 1 };
+}
+
+// Finds groups of stems that were played as tuplets, such as (3 triplets,
+// returning a sparse list with {ratio, mark} for each stem in a tuplet,
+// where ratio is the factor applied to the written durations, and the
+// first stem of each group has the mark that begins the tuplet.  Only
+// complete groups of p notes in the time of q are detected.
+function findTuplets(stems) {
+  var result = [], j = 0, k, ratio, p, q, group;
+  while (j < stems.length) {
+    ratio = stemRatio(stems[j]);
+    p = q = 0;
+    if (!stems[j].grace && Math.abs(ratio - 1) > epsilon) {
+      for (p = 3; p <= 9; ++p) {
+        q = Math.round(ratio * p);
+        if (q >= 1 && q < p && Math.abs(ratio * p - q) < epsilon) { break; }
+      }
+    }
+    if (!p || p > 9) {
+      j += 1;
+      continue;
+    }
+    group = [];
+    for (k = j; k < stems.length && group.length < p; ++k) {
+      if (stems[k].grace) { continue; }
+      if (Math.abs(stemRatio(stems[k]) - ratio) > epsilon) { break; }
+      group.push(k);
+    }
+    if (group.length < p) {
+      j += 1;
+      continue;
+    }
+    for (k = 0; k < group.length; ++k) {
+      result[group[k]] = { ratio: ratio };
+    }
+    result[j].mark = '(' + p + (q != 2 ? ':' + q : '');
+    j = group[group.length - 1] + 1;
+  }
+  return result;
+}
+
+// Returns how much a stem's time differs from its written duration.
+function stemRatio(stem) {
+  // The duration of a multi-measure rest counts measures, not unit notes.
+  if (stem.measures) { return 1; }
+  return stem.time / (durationToTime(stem.duration) || 1);
+}
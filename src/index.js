@@ -1,12 +1,22 @@
 var Instrument = require('./instrument');
 var parseABCFile = require('./parser-abc');
+var formatABC = require('./formatter-abc');
+var transposeABC = require('./transpose-abc');
+var parseABCBook = require('./book-abc');
 
 // backward compability
 window.Instrument = Instrument;
 window.parseABCFile = parseABCFile;
+window.formatABC = formatABC;
+window.transposeABC = transposeABC;
+window.parseABCBook = parseABCBook;
 
 // The package implementation. Right now, just one class.
 module.exports = {
 	Instrument: Instrument,
-	parseABCFile: parseABCFile
+	parseABCFile: parseABCFile,
+	formatABC: formatABC,
+	transposeABC: transposeABC,
+	parseABCBook: parseABCBook,
+	ABCParseError: parseABCFile.ABCParseError
 }
@@ -27,10 +27,16 @@ var isAudioPresent = utils.isAudioPresent;
 var defaultTimbre = utils.defaultTimbre;
 var pitchToMidi = utils.pitchToMidi;
 var midiToFrequency = utils.midiToFrequency;
+var frequencyToMidi = utils.frequencyToMidi;
 var audioCurrentStartTime = utils.audioCurrentStartTime;
 var makeOscillator = utils.makeOscillator;
 var midiToPitch = utils.midiToPitch;
 var parseABCFile = require('./parser-abc');
+var parseABCBook = require('./book-abc');
+var meterLength = parseABCFile.meterLength;
+var accompany = require('./accompaniment').accompany;
+var timbres = require('./timbres');
+var drums = require('./drums');
 
 function Instrument(options) {
   this._atop = getAudioTop();    // Audio context.
@@ -43,7 +49,7 @@ function Instrument(options) {
   this._finishSet = {};          // Started tones playing in WebAudio.
   this._cleanupSet = [];         // Tones waiting for cleanup.
   this._callbackSet = [];        // A set of scheduled callbacks.
-  this._handlers = {};           // 'noteon' and 'noteoff' handlers.
+  this._handlers = {};           // Event handlers, e.g., 'noteon'.
   this._now = null;              // A cached current-time value.
   if (isAudioPresent()) {
     this.silence();              // Initializes top-level audio node.
@@ -55,6 +61,10 @@ Instrument.dequeueTime = 0.5;  // Seconds before an event to reexamine queue.
 Instrument.bufferSecs = 2;     // Seconds ahead to put notes in WebAudio.
 Instrument.toneLength = 1;     // Default duration of a tone.
 Instrument.cleanupDelay = 0.1; // Silent time before disconnecting nodes.
+Instrument.accompanimentTimbre = 'piano'; // Default chord accompaniment.
+Instrument.hairpinDelta = 0.4; // Velocity change for an open hairpin.
+Instrument.fermataLength = 2;  // Fermatas multiply the length of a stem.
+Instrument.ornamentSecs = 1/16;// Length of each note of an ornament.
 
 // Sets the default timbre for the instrument.  See defaultTimbre.
 Instrument.prototype.setTimbre = function(t) {
@@ -199,7 +209,10 @@ Instrument.prototype._makeSound = function(record) {
       ac = this._atop.ac,
       g, f, o, o2, pwave, k, wf, bwf;
   // Only hook up tone generators if it is an audible sound.
-  if (record.duration > 0 && record.velocity > 0) {
+  if (timbre.wave == 'kit' && record.duration > 0 && record.velocity > 0) {
+    // Drums of the kit are synthesized by their own recipes.
+    this._makeDrum(record, timbre.gain * record.velocity);
+  } else if (record.duration > 0 && record.velocity > 0) {
     g = ac.createGain();
     g.gain.setValueAtTime(0, starttime);
     g.gain.linearRampToValueAtTime(amp, attacktime);
@@ -261,6 +274,54 @@ Instrument.prototype._makeSound = function(record) {
   }
   this._startSet.push(record);
 };
+// Sets up the node graph for a drum of the built-in kit (see drums.js),
+// chosen by the record's midi number.  Each layer of the drum is an
+// oscillator with a falling pitch, or white noise through a filter,
+// with its own decaying gain, and all of them play through one gain
+// node at the given amplitude.  A drum rings for as long as its layers
+// decay, however short the note is.
+Instrument.prototype._makeDrum = function(record, amp) {
+  var layers = drums.kitSound(record.midi),
+      starttime = record.time + Instrument.timeOffset,
+      stoptime = starttime,
+      ac = this._atop.ac,
+      out = ac.createGain(),
+      j, layer, g, f, o, end;
+  out.gain.setValueAtTime(amp, starttime);
+  out.connect(this._out);
+  record.oscillators = [];
+  for (j = 0; j < layers.length; ++j) {
+    layer = layers[j];
+    // After six time constants, a layer is too quiet to hear.
+    end = starttime + 6 * layer.decay;
+    g = ac.createGain();
+    g.gain.setValueAtTime(layer.gain, starttime);
+    g.gain.setTargetAtTime(0, starttime, layer.decay);
+    g.connect(out);
+    if (layer.noise) {
+      f = ac.createBiquadFilter();
+      f.type = layer.noise;
+      f.frequency.value = layer.frequency;
+      f.connect(g);
+      o = makeOscillator(this._atop, 'noise', layer.frequency);
+      o.connect(f);
+    } else {
+      o = makeOscillator(this._atop, layer.wave, layer.from);
+      if (layer.sweep) {
+        o.frequency.setValueAtTime(layer.from, starttime);
+        o.frequency.exponentialRampToValueAtTime(
+            layer.to, starttime + layer.sweep);
+      }
+      o.connect(g);
+    }
+    o.start(starttime);
+    o.stop(end);
+    record.oscillators.push(o);
+    stoptime = Math.max(stoptime, end);
+  }
+  record.gainNode = out;
+  record.cleanuptime = stoptime;
+};
 // Truncates a sound previously scheduled by _makeSound by using
 // cancelScheduledValues and directly ramping down to zero.
 // Can only be used to shorten a sound.
@@ -444,6 +505,11 @@ Instrument.prototype._doPoll = function() {
         callbacks.push({
           order: [record.time, 2],
           f: this._trigger, t: this, a: ['noteon', record]});
+        if (record.lyric != null) {
+          callbacks.push({
+            order: [record.time, 3],
+            f: this._trigger, t: this, a: ['lyric', record]});
+        }
       }
     }
   }
@@ -454,7 +520,7 @@ Instrument.prototype._doPoll = function() {
   // are notified first.
   callbacks.sort(function(a, b) {
     if (a.order[0] != b.order[0]) { return a.order[0] - b.order[0]; }
-    // tiebreak by notifying 'noteoff' first and 'noteon' last.
+    // tiebreak by notifying 'noteoff' first and 'noteon' and 'lyric' last.
     return a.order[1] - b.order[1];
   });
   // At the end, call all the callbacks without depending on "this" state.
@@ -571,7 +637,11 @@ Instrument.prototype.tone = function(pitch, duration, velocity, delay, timbre, o
         time: time,
         on: false,
         frequency: frequency,
-        midi: midi,
+        midi: midi,                // fractional for microtonal pitches
+        // How far the tone is from the nearest midi note, in cents.
+        cents: Math.round(1200 *
+            Math.log(frequency / midiToFrequency(Math.round(midi))) /
+            Math.LN2),
         velocity: (velocity == null ? 1 : velocity),
         duration: (duration == null ? Instrument.toneLength : duration),
         timbre: timbre,
@@ -581,6 +651,10 @@ Instrument.prototype.tone = function(pitch, duration, velocity, delay, timbre, o
         cleanuptime: Infinity,
         origin: origin             // save the origin of the tone for visible feedback
       };
+  // A note with a lyric syllable carries the syllable along with the tone.
+  if (origin && origin.lyric != null) {
+    record.lyric = origin.lyric;
+  }
 
   if (time < now + Instrument.bufferSecs) {
     // The tone starts soon!  Give it directly to WebAudio.
@@ -603,9 +677,13 @@ Instrument.prototype.schedule = function(delay, callback) {
 Instrument.prototype.play = function(abcstring) {
   var args = Array.prototype.slice.call(arguments),
       done = null,
-      opts = {}, subfile,
+      opts = {}, book,
       abcfile, argindex, tempo, timbre, k, delay, maxdelay = 0, attenuate,
-      voicename, stems, ni, vn, j, stem, note, beatsecs, secs, v, files = [];
+      voicename, stems, times, ni, vn, j, stem, note, beatsecs, secs, v,
+      files = [], accompaniment, chordtimbre, chords, beatunits,
+      tempos, order, at, swell, hairpin, fermata,
+      tones, t, transpose, voice, percussion, measure, drum, bars, nextbar,
+      lines, line, vl, downbeat;
   // Look for continuation as last argument.
   if (args.length && 'function' == typeof(args[args.length - 1])) {
     done = args.pop();
@@ -630,9 +708,15 @@ Instrument.prototype.play = function(abcstring) {
   // Parse any number of ABC files as input.
   for (; argindex < args.length; ++argindex) {
     // Handle splitting of ABC subfiles at X: lines.
-    subfile = args[argindex].split(/\n(?=X:)/);
-    for (k = 0; k < subfile.length; ++k) {
-      abcfile = parseABCFile(subfile[k]);
+    book = parseABCBook(args[argindex]);
+    for (k = 0; k < book.length; ++k) {
+      // The tune option picks one tune by its X: number or title.
+      if (opts.tune != null && !isChosenTune(book[k], opts.tune)) continue;
+      // Source positions in each subfile count from the whole string.
+      abcfile = parseABCFile(book[k].abc, {
+        line: book[k].start.line,
+        offset: book[k].start.offset
+      });
       if (!abcfile) continue;
       // Take tempo markings from the first file, and share them.
       if (!opts.tempo && abcfile.tempo) {
@@ -650,22 +734,104 @@ Instrument.prototype.play = function(abcstring) {
   if (!opts.tempo) { opts.tempo = 120; }
   // Default volume to 1 if nothing is specified.
   if (opts.volume == null) { opts.volume = 1; }
-  beatsecs = 60.0 / opts.tempo;
+  // Chord symbols are only played if an accompaniment pattern is chosen,
+  // either as an option or by a %%MIDI gchord directive.
+  chordtimbre = makeTimbre(opts.accompanimentTimbre ||
+      Instrument.accompanimentTimbre, this._atop);
+  // Hairpins that do not lead to a dynamic marking change the velocity
+  // by this much.
+  hairpin = (opts.hairpin == null) ? Instrument.hairpinDelta : opts.hairpin;
+  // Stems with a fermata are held longer by this factor, and so is the
+  // music of the other voices at the same time.
+  fermata = (opts.fermata == null) ? Instrument.fermataLength : opts.fermata;
   // Schedule all notes from all the files.
   for (k = 0; k < files.length; ++k) {
     abcfile = files[k];
-    // Each file can have multiple voices (e.g., left and right hands)
-    for (vn in abcfile.voice) {
-      // Each voice could have a separate timbre.
-      timbre = makeTimbre(opts.timbre || abcfile.voice[vn].timbre ||
-         abcfile.timbre || this._timbre, this._atop);
+    // Each file can have multiple voices (e.g., left and right hands),
+    // and each voice can have overlays of notes that play along with it.
+    // Each of these lines is played in the order given by any repeat
+    // signs and parts.
+    lines = voiceLines(abcfile);
+    for (vl = 0; vl < lines.length; ++vl) {
+      line = lines[vl].line;
+      lines[vl].order = playOrder((line.stems || []).length, line.repeats,
+          line.parts, abcfile.partorder);
+      lines[vl].played = playedTimes(line.stems, lines[vl].order);
+    }
+    // Tempo changes and fermatas in any voice apply to all the voices,
+    // from the time they are played.
+    tempos = tempoMap(abcfile, opts.tempo, lines, fermata);
+    // Accompaniment patterns count beats of the Q: tempo unit, or
+    // quarter notes if there is no tempo unit.
+    beatunits = abcfile.unitnote ?
+        (abcfile.unitbeat || 1/4) / abcfile.unitnote : 1;
+    // The length of a measure in unit notes, for gchord and drum patterns.
+    measure = meterLength(String(abcfile.M || '').split('\n')[0]) /
+        (abcfile.unitnote || 1/8);
+    for (vl = 0; vl < lines.length; ++vl) {
+      vn = lines[vl].id;
+      voice = abcfile.voice[vn];
+      line = lines[vl].line;
+      // Percussion voices are played on the drum kit, even when a
+      // timbre is given for the pitched voices.
+      percussion = isPercussion(voice, abcfile);
+      // Each voice could have a separate timbre, or a %%MIDI program.
+      timbre = makeTimbre((percussion ? timbres.presets.kit : null) ||
+          opts.timbre ||
+          presetTimbre(voice.timbre) || programTimbre(voice.program) ||
+          presetTimbre(abcfile.timbre) || programTimbre(abcfile.program) ||
+          this._timbre, this._atop);
       // Each voice has a series of stems (notes or chords).
-      stems = abcfile.voice[vn].stems;
+      stems = line.stems;
       if (!stems) continue;
+      // Each voice could be transposed, as could the whole song.
+      transpose = percussion ? 0 : ('transpose' in voice ?
+          voice.transpose : abcfile.transpose || 0) +
+          (opts.transpose || 0);
+      accompaniment = accompanimentPattern(opts.accompaniment, voice,
+          abcfile);
+      // A %%MIDI drum pattern is played in each measure while drumon is
+      // set, by the voice that sets it, or by the first voice.
+      drum = line === voice &&
+          ('drum' in voice || vn == firstVoice(abcfile)) &&
+          ('drumon' in voice ? voice.drumon : abcfile.drumon) &&
+          (voice.drum || abcfile.drum);
+      bars = [];
+      order = lines[vl].order;
+      // Measures are counted from the end of any pickup measure, which
+      // has no drum pattern.
+      downbeat = pickupLength(stems, order, lines[vl].played);
+      nextbar = downbeat;
+      // Crescendos and diminuendos ramp the velocity of written stems.
+      swell = hairpinVelocities(stems, writtenTimes(stems), line.hairpins,
+          hairpin);
+      stems = [];
+      for (ni = 0; ni < order.length; ++ni) {
+        stems.push(line.stems[order[ni]]);
+      }
+      // Grace notes steal time from their neighbors.
+      times = realizeGraces(stems, opts.grace);
       // Starting at delay zero (now), schedule all tones.
       delay = 0;
+      chords = [];
       for (ni = 0; ni < stems.length; ++ni) {
         stem = stems[ni];
+        at = lines[vl].played[ni];
+        // The length of a unit note in seconds at this point in the tune.
+        beatsecs = 60.0 / tempoAt(tempos, at);
+        // Note the timing of chord symbols for the accompaniment.
+        if (accompaniment && stem.chord) {
+          chords.push({
+            chord: stem.chord,
+            delay: delay,
+            beatsecs: beatunits * beatsecs,
+            beat: barPosition(at, downbeat, measure) / beatunits
+          });
+        }
+        // Note the timing of each measure for the drum pattern.
+        for (; drum && measure && nextbar <= at + 1e-6; nextbar += measure) {
+          bars.push({ delay: delay, secs: tempoSecs(tempos, at, measure) });
+        }
         // Attenuate chords to reduce clipping.
         attenuate = 1 / Math.sqrt(stem.notes.length);
         // Schedule every note inside a stem.
@@ -675,7 +841,8 @@ Instrument.prototype.play = function(abcstring) {
             // Skip holdover notes from ties.
             continue;
           }
-          secs = (note.time || stem.time) * beatsecs;
+          secs = tempoSecs(tempos, at,
+              (note.time || stem.time) - stem.time + times[ni]);
           if (stem.staccato) {
             // Shorten staccato notes.
             secs = Math.min(Math.min(secs, beatsecs / 16),
@@ -684,18 +851,33 @@ Instrument.prototype.play = function(abcstring) {
             // Separate unslurred notes by about a 30th of a second.
             secs -= 1/32;
           }
-          v = (note.velocity || 1) * attenuate * opts.volume;
-          // This is innsermost part of the inner loop!
-          this.tone(                     // Play the tone:
-            note.pitch,                  // at the given pitch
-            secs,                        // for the given duration
-            v,                           // with the given volume
-            delay,                       // starting at the proper time
-            timbre,                      // with the selected timbre
-            note                         // the origin object for visual feedback
-            );
+          v = (swell[order[ni]] || note.velocity || 1) *
+              attenuate * opts.volume;
+          // Ornaments such as trills are played as several tones.
+          tones = ornamentTones(note, secs);
+          for (t = 0; t < tones.length; ++t) {
+            // This is innsermost part of the inner loop!
+            this.tone(                   // Play the tone:
+              percussion ?               // at the given drum or pitch
+                  -percussionDrum(note, tones[t].pitch) :
+                  transposePitch(tones[t].pitch, transpose),
+              tones[t].secs,             // for the given duration
+              v,                         // with the given volume
+              delay + tones[t].delay,    // starting at the proper time
+              timbre,                    // with the selected timbre
+              t ? null : note            // the origin, for visual feedback
+              );
+          }
         }
-        delay += stem.time * beatsecs;   // Advance the sequenced time.
+        // Advance the sequenced time.
+        delay += tempoSecs(tempos, at, times[ni]);
+      }
+      if (chords.length) {
+        this._accompany(chords, delay, accompaniment, opts.volume,
+            chordtimbre, transpose, measure / beatunits);
+      }
+      if (bars.length) {
+        this._drum(bars, delay, drum, opts.volume);
       }
       maxdelay = Math.max(delay, maxdelay);
     }
@@ -708,6 +890,560 @@ Instrument.prototype.play = function(abcstring) {
   }
 };
 
+// Plays an accompaniment for a list of chord symbols {chord, delay,
+// beatsecs, beat}, where beatsecs is the length of a beat in seconds and
+// beat is where the chord starts within its measure, in beats.
+// Each chord lasts until the next one starts, and the last one lasts
+// until the end.  The pattern names an accompaniment pattern (see
+// accompaniment.js), and the chords are transposed by some semitones.
+Instrument.prototype._accompany = function(
+    chords, end, pattern, volume, timbre, transpose, measure) {
+  var j, k, until, events, e, count, secs, beatsecs;
+  for (j = 0; j < chords.length; ++j) {
+    until = (j + 1 < chords.length) ? chords[j + 1].delay : end;
+    beatsecs = chords[j].beatsecs;
+    events = accompany(chords[j].chord, pattern,
+        (until - chords[j].delay) / beatsecs, measure, chords[j].beat);
+    // Count the notes in each beat, to attenuate chords.
+    count = {};
+    for (k = 0; k < events.length; ++k) {
+      e = Math.floor(events[k].time);
+      count[e] = (count[e] || 0) + 1;
+    }
+    for (k = 0; k < events.length; ++k) {
+      e = events[k];
+      secs = e.duration * beatsecs;
+      if (secs >= 1/8) {
+        // Separate repeated chords by about a 30th of a second.
+        secs -= 1/32;
+      }
+      // The accompaniment is played softly behind the melody.
+      this.tone(-(e.midi + (transpose || 0)), secs,
+          volume / 2 / Math.sqrt(count[Math.floor(e.time)]),
+          chords[j].delay + e.time * beatsecs, timbre, chords[j].chord);
+    }
+  }
+};
+
+// Plays a %%MIDI drum pattern {pattern, drums, velocities} in each of
+// a list of measures {delay, secs}, stopping at the end.  The pattern's
+// characters divide the measure evenly: each d strikes the next drum,
+// z rests, and a number after a character lengthens it.
+Instrument.prototype._drum = function(bars, end, drum, volume) {
+  var items = [], total = 0, re = /([dz])(\d*)/g, m, strikes = 0,
+      timbre = makeTimbre(timbres.presets.kit, this._atop),
+      j, k, time, unit;
+  while ((m = re.exec(drum.pattern))) {
+    if (m[1] == 'd') {
+      items.push({ start: total, units: Number(m[2] || 1), strike: strikes });
+      strikes += 1;
+    }
+    total += Number(m[2] || 1);
+  }
+  for (j = 0; total && j < bars.length; ++j) {
+    unit = bars[j].secs / total;
+    for (k = 0; k < items.length; ++k) {
+      time = bars[j].delay + items[k].start * unit;
+      if (time >= end - 1e-6) { break; }
+      this.tone(-(drum.drums[items[k].strike] || 35),
+          Math.min(items[k].units * unit, end - time),
+          volume * (drum.velocities[items[k].strike] || 64) / 127,
+          time, timbre, null);
+    }
+  }
+};
+
+// Returns true for a tune from parseABCBook that is chosen by the tune
+// option: either its X: reference number, or one of its T: titles,
+// ignoring case.
+function isChosenTune(tune, choice) {
+  if (typeof(choice) == 'number' || /^\s*\d+\s*$/.test(choice)) {
+    return tune.X != null && Number(tune.X) == Number(choice);
+  }
+  return (tune.T || '').toLowerCase().split('\n').indexOf(
+      String(choice).trim().toLowerCase()) >= 0;
+}
+
+// Looks up a timbre given by name, such as "strings", in the presets.
+// Other names are wave names, and objects are used as they are.
+function presetTimbre(timbre) {
+  return (typeof(timbre) == 'string' &&
+      timbres.presets.hasOwnProperty(timbre)) ?
+      timbres.presets[timbre] : timbre;
+}
+
+// Returns the timbre preset for a %%MIDI program, if there is one.
+function programTimbre(program) {
+  return program == null ? null : timbres.programTimbre(program);
+}
+
+// Chooses the accompaniment pattern for a voice: the accompaniment
+// option if one is given, and otherwise any %%MIDI gchord setting for
+// the voice or the file.  Returns null for no accompaniment.
+function accompanimentPattern(option, voice, abcfile) {
+  var gchord = option != null ? option :
+      'gchord' in voice ? voice.gchord : abcfile.gchord;
+  return gchord === true ? 'block' : gchord || null;
+}
+
+// Lists the lines of notes to play in a parsed file, as {id, line},
+// where id names a voice, and line is either the voice itself or one
+// of its overlays.
+function voiceLines(abcfile) {
+  var result = [], overlays, vn, j;
+  for (vn in abcfile.voice) {
+    result.push({ id: vn, line: abcfile.voice[vn] });
+    overlays = abcfile.voice[vn].overlays || [];
+    for (j = 0; j < overlays.length; ++j) {
+      result.push({ id: vn, line: overlays[j] });
+    }
+  }
+  return result;
+}
+
+// Returns true for a voice that is played on the drum kit: one on
+// %%MIDI channel 10, or written with clef=perc.
+function isPercussion(voice, abcfile) {
+  return ('channel' in voice ? voice.channel : abcfile.channel) == 10 ||
+      /^perc/i.test(('clef' in voice ? voice.clef : abcfile.clef) || '');
+}
+
+// Returns the General MIDI drum for a note of a percussion voice: the
+// drum that %%percmap gives for its written pitch, or else the drum
+// numbered by the pitch played, as abcMIDI plays notes on channel 10.
+function percussionDrum(note, pitch) {
+  return 'drum' in note ? note.drum : Math.round(pitchToMidi(pitch));
+}
+
+// Returns the name of the first voice of a parsed file.
+function firstVoice(abcfile) {
+  for (var vn in abcfile.voice) { return vn; }
+}
+
+// Returns the list of stem indexes to play for a voice with the given
+// number of stems.  If the tune has a P: order of parts and the voice
+// marks where its parts begin, the parts are played in that order, and
+// otherwise the voice is played as written.  Repeats are unfolded
+// within each part.
+function playOrder(count, repeats, parts, partorder) {
+  var result, start, end, j, k;
+  if (!partorder || !parts || !parts.length) {
+    return unfoldRepeats(count, repeats);
+  }
+  // Any stems before the first part are played first.
+  result = unfoldPart(0, parts[0].index);
+  for (j = 0; j < partorder.length; ++j) {
+    for (k = 0; k < parts.length; ++k) {
+      if (parts[k].name == partorder[j]) {
+        start = parts[k].index;
+        end = (k + 1 < parts.length) ? parts[k + 1].index : count;
+        result = result.concat(unfoldPart(start, end));
+      }
+    }
+  }
+  return result;
+  // Unfolds the repeats in the stems from start up to end.
+  function unfoldPart(start, end) {
+    var local = [], order, j;
+    for (j = 0; repeats && j < repeats.length; ++j) {
+      if (repeats[j].index >= start && repeats[j].index <= end) {
+        local.push({
+          index: repeats[j].index - start,
+          bar: repeats[j].bar,
+          ending: repeats[j].ending
+        });
+      }
+    }
+    order = unfoldRepeats(end - start, local);
+    for (j = 0; j < order.length; ++j) {
+      order[j] += start;
+    }
+    return order;
+  }
+}
+
+// Unfolds the repeat signs and numbered endings recorded by the parser
+// for a voice with the given number of stems, returning the list of stem
+// indexes in the order that they should be played.
+// A :| repeat goes back to the last |: or ::, or to the last double bar
+// or completed repeat if there is no explicit start.  An ending [n is
+// played only on the passes that it lists.
+function unfoldRepeats(count, repeats) {
+  var result = [], pos = 0, k = 0, pass = 1, playing = true,
+      startpos = 0, startk = 0, explicit = false, closed = false,
+      marker, next, j;
+  while (true) {
+    next = (repeats && k < repeats.length) ? repeats[k].index : count;
+    if (playing) {
+      for (j = pos; j < next; ++j) { result.push(j); }
+    }
+    pos = next;
+    if (!repeats || k >= repeats.length) { break; }
+    marker = repeats[k++];
+    if (/^:/.test(marker.bar)) {
+      if (!playing) {
+        // The end of an ending that was skipped on this pass.
+        playing = true;
+        closed = true;
+      } else if (pass < countPasses(repeats, startk, k - 1)) {
+        // Go back to the start of the section for another pass.
+        pass += 1;
+        pos = startpos;
+        k = startk;
+        closed = false;
+        continue;
+      } else {
+        // The repeat is done: the next section starts here.
+        pass = 1;
+        startpos = pos;
+        startk = k;
+        explicit = false;
+      }
+    }
+    if (/:$/.test(marker.bar)) {
+      // A |: or :: marks the start of a repeated section.
+      pass = 1;
+      playing = true;
+      startpos = pos;
+      startk = k;
+      explicit = true;
+      closed = false;
+    } else if (marker.bar.length > 1 && !/:/.test(marker.bar)) {
+      // A double bar ends any endings, and unless it is inside a
+      // section that starts with |:, it starts the next section.
+      playing = true;
+      if (!explicit || closed) {
+        pass = 1;
+        startpos = pos;
+        startk = k;
+        explicit = false;
+        closed = false;
+      }
+    }
+    if (marker.ending) {
+      playing = marker.ending.indexOf(pass) >= 0;
+    }
+  }
+  return result;
+}
+
+// Returns the written time of each stem in a list, in unit notes from
+// the beginning of the voice.  Grace notes take no written time.
+function writtenTimes(stems) {
+  var result = [], time = 0, j;
+  for (j = 0; j < stems.length; ++j) {
+    result.push(time);
+    if (!stems[j].grace) {
+      time += stems[j].time;
+    }
+  }
+  return result;
+}
+
+// Returns the length of the pickup measure of a voice whose stems are
+// played in the given order at the given times: the time when the first
+// stem that the parser marked in a measure after the pickup is played,
+// or zero if there is no pickup.
+function pickupLength(stems, order, played) {
+  var j;
+  if (!order.length || stems[order[0]].measure !== 0) { return 0; }
+  for (j = 0; j < order.length; ++j) {
+    if (stems[order[j]].measure > 0) { return played[j]; }
+  }
+  return 0;
+}
+
+// Returns the position of a played time within its measure, given the
+// time of a downbeat and the length of a measure, all in unit notes.
+// Without a measure length, times are counted from the downbeat.
+function barPosition(time, downbeat, measure) {
+  if (!measure) { return time - downbeat; }
+  return ((time - downbeat) % measure + measure) % measure;
+}
+
+// Returns the time at which each stem is played, in unit notes from the
+// beginning, when a voice's stems are played in the given order.
+function playedTimes(stems, order) {
+  var ordered = [], j;
+  for (j = 0; j < order.length; ++j) {
+    ordered.push(stems[order[j]]);
+  }
+  return writtenTimes(ordered);
+}
+
+// Makes the tempo map for a parsed ABC file: a list of {time, upm}
+// entries, sorted by time, giving the tempo in unit notes per minute
+// from each played time onward.  The tune begins at the given tempo,
+// and tempo changes from all voices and overlays are scaled by the same
+// factor, so that a tempo chosen in play() options also speeds up tempo
+// changes.  The lines are as listed by voiceLines, each with the order
+// and played times of its stems, and a tempo change takes effect each
+// time the stem before it is played, so it lasts through repeats.  While
+// a stem with a fermata is played in any line, the tempo of every line
+// is slowed by the fermata factor, so that the voices stay together.
+function tempoMap(abcfile, tempo, lines, fermata) {
+  var result = [{ time: 0, upm: tempo }], scale = 1, holds = [],
+      vl, ni, j, changes, c, stem, stems, order, played;
+  if (abcfile.tempo) {
+    scale = tempo / unitsPerMinute(abcfile, abcfile);
+  }
+  for (vl = 0; vl < lines.length; ++vl) {
+    changes = lines[vl].line.tempos || [];
+    stems = lines[vl].line.stems;
+    order = lines[vl].order;
+    played = lines[vl].played;
+    for (j = 0; j < changes.length; ++j) {
+      c = changes[j];
+      for (ni = 0; ni < order.length; ++ni) {
+        stem = stems[order[ni]];
+        if (c.index ? order[ni] == c.index - 1 : order[ni] === 0) {
+          result.push({
+            time: played[ni] + (c.index && !stem.grace ? stem.time : 0),
+            upm: unitsPerMinute(c, abcfile) * scale
+          });
+        }
+      }
+    }
+    for (ni = 0; fermata != 1 && ni < order.length; ++ni) {
+      stem = stems[order[ni]];
+      if (!stem.grace && stem.time > 0 && hasFermata(stem)) {
+        holds.push({ time: played[ni], end: played[ni] + stem.time });
+      }
+    }
+  }
+  // Sort by time, keeping voice order for changes at the same time.
+  for (j = 0; j < result.length; ++j) {
+    result[j].order = j;
+  }
+  result.sort(function(a, b) {
+    return (a.time - b.time) || (a.order - b.order);
+  });
+  return holds.length ? holdTempos(result, holds, fermata) : result;
+}
+
+// Slows a tempo map by a factor during the spans {time, end} of held
+// fermatas, returning a new tempo map.  Fermatas held at the same time
+// in several voices slow the tempo only once.
+function holdTempos(tempos, holds, factor) {
+  var times = [], result = [], j, k, upm;
+  for (j = 0; j < tempos.length; ++j) { times.push(tempos[j].time); }
+  for (j = 0; j < holds.length; ++j) {
+    times.push(holds[j].time, holds[j].end);
+  }
+  times.sort(function(a, b) { return a - b; });
+  for (j = 0; j < times.length; ++j) {
+    if (j && times[j] == times[j - 1]) { continue; }
+    upm = tempoAt(tempos, times[j]);
+    for (k = 0; k < holds.length; ++k) {
+      if (holds[k].time <= times[j] && times[j] < holds[k].end) {
+        upm /= factor;
+        break;
+      }
+    }
+    result.push({ time: times[j], upm: upm });
+  }
+  return result;
+}
+
+// Converts a parsed Q: tempo to unit notes per minute.
+function unitsPerMinute(q, abcfile) {
+  var unitbeat = q.unitbeat || abcfile.unitbeat;
+  return q.tempo * (unitbeat ? unitbeat / (abcfile.unitnote || 1) : 1);
+}
+
+// Returns the tempo in unit notes per minute at a played time.
+function tempoAt(tempos, time) {
+  var j = 0;
+  while (j + 1 < tempos.length && tempos[j + 1].time <= time) { ++j; }
+  return tempos[j].upm;
+}
+
+// Returns the number of seconds taken to play the given number of
+// unit notes starting at a played time, following the tempo map.
+function tempoSecs(tempos, time, units) {
+  var secs = 0, end = time + units, j = 0, next;
+  while (j + 1 < tempos.length && tempos[j + 1].time <= time) { ++j; }
+  while (time < end) {
+    next = (j + 1 < tempos.length) ? Math.min(end, tempos[j + 1].time) : end;
+    secs += (next - time) * 60 / tempos[j].upm;
+    time = next;
+    ++j;
+  }
+  return secs;
+}
+
+// Returns the velocity of each stem within the hairpins of a voice,
+// ramping from the velocity at the start of each hairpin toward the
+// dynamic marking it leads to, or else up or down by the given delta.
+// When a hairpin has no dynamic marking at the end, the level it
+// reaches is held until the next dynamic marking.  Stems outside the
+// hairpins are left undefined, to be played at their own velocity.
+function hairpinVelocities(stems, written, hairpins, delta) {
+  var result = [], j, k, h, end, until, from, to, t0, t1;
+  if (!hairpins) { return result; }
+  for (k = 0; k < hairpins.length; ++k) {
+    h = hairpins[k];
+    end = (h.end == null) ? stems.length : h.end;
+    if (end <= h.start) { continue; }
+    // Start from the level left by an earlier hairpin, if any.
+    from = result[h.start];
+    for (j = h.start; from == null && j < end; ++j) {
+      if (stems[j].notes.length) {
+        from = stems[j].notes[0].velocity || 1;
+      }
+    }
+    if (from == null) { from = 1; }
+    to = (h.to != null) ? h.to :
+        Math.max(0, from + (h.type == 'diminuendo' ? -delta : delta));
+    // A later hairpin takes over from any level held by earlier ones.
+    result.length = h.start;
+    t0 = written[h.start];
+    t1 = (end < stems.length) ? written[end] :
+        written[end - 1] + (stems[end - 1].grace ? 0 : stems[end - 1].time);
+    for (j = h.start; j < end; ++j) {
+      result.push(t1 > t0 ?
+          from + (to - from) * (written[j] - t0) / (t1 - t0) : from);
+    }
+    if (h.to == null) {
+      until = (h.until == null) ? stems.length : h.until;
+      for (j = end; j < until; ++j) {
+        result.push(to);
+      }
+    }
+  }
+  return result;
+}
+
+// Returns true if any note in a stem has a fermata.
+function hasFermata(stem) {
+  var j, k, ornaments;
+  for (j = 0; j < stem.notes.length; ++j) {
+    ornaments = stem.notes[j].ornaments || [];
+    for (k = 0; k < ornaments.length; ++k) {
+      if (ornaments[k].type == 'fermata') { return true; }
+    }
+  }
+  return false;
+}
+
+// Transposes an ABC pitch by some semitones, giving a negative midi
+// number (as accepted by tone) if it is changed.
+function transposePitch(pitch, semitones) {
+  if (!semitones) { return pitch; }
+  return -(pitchToMidi(pitch) + semitones);
+}
+
+// Expands an ornamented note into the list of {pitch, delay, secs}
+// tones that play it for the given number of seconds.  The notes of an
+// ornament are quick, and the principal note is held for the rest of
+// the time.  A note without an ornament is a single tone.
+function ornamentTones(note, secs) {
+  var ornament = null, figure, step, result = [], p, j;
+  for (j = 0; note.ornaments && j < note.ornaments.length; ++j) {
+    if (note.ornaments[j].type != 'fermata') {
+      ornament = note.ornaments[j];
+      break;
+    }
+  }
+  if (!ornament) {
+    return [{ pitch: note.pitch, delay: 0, secs: secs }];
+  }
+  p = note.pitch;
+  step = Math.min(Instrument.ornamentSecs, secs / 4);
+  switch (ornament.type) {
+    case 'trill':
+      // Alternate with the upper neighbour for the length of the note.
+      figure = [];
+      for (j = Math.floor((secs - step) / step / 2); j > 0; --j) {
+        figure.push(p, ornament.upper);
+      }
+      break;
+    case 'mordent':
+      figure = [p, ornament.lower];
+      break;
+    case 'uppermordent':
+      figure = [p, ornament.upper];
+      break;
+    case 'turn':
+      figure = [ornament.upper, p, ornament.lower];
+      break;
+    case 'invertedturn':
+      figure = [ornament.lower, p, ornament.upper];
+      break;
+    case 'roll':
+      figure = [p, ornament.upper, p, ornament.lower];
+      break;
+    default:
+      figure = [];
+  }
+  for (j = 0; j < figure.length; ++j) {
+    result.push({ pitch: figure[j], delay: j * step, secs: step });
+  }
+  result.push({ pitch: p, delay: j * step, secs: secs - j * step });
+  return result;
+}
+
+// Works out how long each stem in the list should be played, letting
+// grace notes steal their time from a neighboring stem.  Grace notes
+// written as {g} are appoggiaturas that take their time from the start of
+// the principal note that follows them; grace notes written as {/g} are
+// acciaccaturas that are played before the beat, taking their time from
+// the end of the preceding note.  The grace option may be 'appoggiatura'
+// or 'acciaccatura' to play all grace notes one way.  Grace notes never
+// take more than half of the time of the note they steal from.
+function realizeGraces(stems, grace) {
+  var times = [], j, k, g, from, scale;
+  for (j = 0; j < stems.length; ++j) {
+    times.push(stems[j].time);
+  }
+  for (j = 0; j < stems.length; j = k) {
+    if (!stems[j].grace) {
+      k = j + 1;
+      continue;
+    }
+    // Add up the time of a group of grace stems.
+    for (g = 0, k = j; k < stems.length && stems[k].grace; ++k) {
+      g += stems[k].time;
+    }
+    if (j > 0 && (grace == 'acciaccatura' ||
+        (grace != 'appoggiatura' && stems[j].acciaccatura))) {
+      from = j - 1;
+    } else if (k < stems.length) {
+      from = k;
+    } else {
+      // Grace notes at the very end just take their own time.
+      continue;
+    }
+    scale = g ? Math.min(1, times[from] / 2 / g) : 1;
+    for (; j < k; ++j) {
+      times[j] *= scale;
+    }
+    times[from] -= g * scale;
+  }
+  return times;
+}
+
+// Counts the passes through the repeated section that starts at
+// repeats[from] and is closed by the :| at repeats[to].  That is two,
+// unless the numbered endings of the section ask for more, as in [1,3.
+function countPasses(repeats, from, to) {
+  var passes = 2, ending = false, j, marker;
+  for (j = from; j < repeats.length; ++j) {
+    marker = repeats[j];
+    if (j > to && (/:$/.test(marker.bar) ||
+        (marker.bar.length > 1 && !/:/.test(marker.bar)) ||
+        (/^:/.test(marker.bar) && !ending && !marker.ending))) {
+      // Stop at the start of the next section.
+      break;
+    }
+    if (marker.ending) {
+      ending = true;
+      passes = Math.max.apply(Math, [passes].concat(marker.ending));
+    }
+  }
+  return passes;
+}
+
 // Accepts either an ABC pitch or a midi number and converts to midi.
 Instrument.pitchToMidi = function(n) {
   if (typeof(n) == 'string') { return pitchToMidi(n); }
@@ -5,11 +5,29 @@
 //   (etc): for all the one-letter header-names.
 //   K: value from the K: lines in header.
 //   tempo: Q: line parsed as beatsecs
-//   timbre: ... I:timbre line as parsed by makeTimbre
+//   timbre: from the I:timbre line, as parsed by parseTimbre
+//   transpose: semitones to transpose when playing, from K: or %%transpose
+//   clef: clef name from K: clef=, such as "bass" or "treble-8"
+//   octave: octaves to shift the written notes, from K: clef= or octave=
+//   partorder: [...] part names in the order to play them, from P:
+//   program, channel, gchord, drum, drumon: from %%MIDI, see parseMidi
+//   meta: the information fields of the header, as parsed by parseMeta
+//   percmap: {pitch: drum} the General MIDI drums for notes of percussion
+//       voices, from %%percmap; each note written with a mapped pitch has
+//       its drum number as note.drum
 //   voice: {
 //     myname: { // voice with id "myname"
 //       V: value from the V:myname lines (from the body)
+//       transpose, clef, octave: as above, from V: or K: for the voice
+//       timbre: as above, from I:timbre or V: timbre= for the voice
+//       program, channel, gchord, drum, drumon: as above, for the voice
+//       percmap: as above, for the voice
 //       stems: [...] as parsed by parseABCstems
+//       repeats: [...] repeat signs and endings, as parsed by parseBar
+//       tempos: [...] mid-tune tempo changes, as parsed by parseTempoChange
+//       hairpins: [...] crescendo and diminuendo spans, see startHairpin
+//       parts: [...] where each part begins, as parsed by startPart
+//       overlays: [...] notes overlaid with &, as parsed by startOverlay
 //    }
 //  }
 // }
@@ -21,27 +39,147 @@
 
 var utils = require('./utils');
 var pitchToFrequency = utils.pitchToFrequency;
+var drumNumber = require('./drums').drumNumber;
 
 var ABCheader = /^([A-Za-z]):\s*(.*)$/;
-var ABCtoken = /(?:\[[A-Za-z]:[^\]]*\])|\s+|%[^\n]*|![^\s!:|\[\]]*!|\+[^+|!]*\+|[_<>@^]?"[^"]*"|\[|\]|>+|<+|(?:(?:\^+|_+|=|)[A-Ga-g](?:,+|'+|))|\(\d+(?::\d+){0,2}|\d*\/\d+|\d+\/?|\/+|[xzXZ]|\[?\|\]?|:?\|:?|::|./g;
+var ABCtoken = /(?:\[[A-Za-z]:[^\]]*\])|\s+|%[^\n]*|![^\s!:|\[\]]*!|\+[^+|!]*\+|[_<>@^]?"[^"]*"|\{\/?|\[\d+(?:[,\-]\d+)*|:*\[?\|+\]?:*(?:\d+(?:[,\-]\d+)*)?|:{2,}|\[|\]|>+|<+|(?:(?:[\^_]\d*\/\d*|\^+|_+|=|)[A-Ga-g](?:,+|'+|))|\(\d+(?::\d+){0,2}|\d*\/\d+|\d+\/?|\/+|[xzXZ]|./g;
+var ABCbar = /^(?::*\[?\||:{2,}|\[\d)/;
+// Ornaments, named by their decorations and single-letter abbreviations.
+var ABCornament = {
+  'T': 'trill', 'trill': 'trill',
+  'M': 'mordent', 'mordent': 'mordent', 'lowermordent': 'mordent',
+  'P': 'uppermordent', 'uppermordent': 'uppermordent',
+  'pralltriller': 'uppermordent',
+  'turn': 'turn', 'turnx': 'turn',
+  'invertedturn': 'invertedturn', 'invertedturnx': 'invertedturn',
+  '~': 'roll', 'roll': 'roll',
+  'H': 'fermata', 'fermata': 'fermata', 'invertedfermata': 'fermata'
+};
 
-module.exports = function parseABCFile(str) {
-  var lines = str.split('\n'),
+// The information fields that are collected in the meta object.
+var ABCmeta = {
+  T: 'titles', C: 'composer', O: 'origin', R: 'rhythm', N: 'notes',
+  S: 'source', B: 'book', Z: 'transcription', D: 'discography'
+};
+// The modes of K: lines, by their first three letters.
+var ABCmode = {
+  '': 'major', maj: 'major', ion: 'major', m: 'minor', min: 'minor',
+  aeo: 'minor', mix: 'mixolydian', dor: 'dorian', phr: 'phrygian',
+  lyd: 'lydian', loc: 'locrian'
+};
+// The sharps (or if negative, flats) in the signature of each major key,
+// and the fifths that each mode moves the signature from the major key.
+var ABCtonicFifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+var ABCmodeFifths = {
+  major: 0, minor: -3, mixolydian: -1, dorian: -2, phrygian: -4,
+  lydian: 1, locrian: -5
+};
+// The names of clefs, which K: lines may give without clef=.
+var ABCclefName = new RegExp('^(?:treble|bass|baritone|tenor|alto|' +
+    'mezzosoprano|soprano|perc|none)\\d?(?:[+\\-]8)?$', 'i');
+// The octaves to shift the notes written in each clef, by default.
+var ABCclefOctave = { bass: -2, baritone: -2, tenor: -1, alto: -1 };
+
+// The error thrown by parseABCFile in strict mode.  It describes the
+// first error found, and its diagnostics list has all the problems.
+function ABCParseError(diagnostic, diagnostics) {
+  this.name = 'ABCParseError';
+  this.message = diagnostic.message + ' at line ' + diagnostic.line +
+      ', column ' + diagnostic.column;
+  this.severity = diagnostic.severity;
+  this.line = diagnostic.line;
+  this.column = diagnostic.column;
+  this.text = diagnostic.text;
+  this.diagnostics = diagnostics;
+  this.stack = (new Error(this.message)).stack;
+}
+ABCParseError.prototype = Object.create(Error.prototype);
+ABCParseError.prototype.constructor = ABCParseError;
+
+// Splits ABC text into the lines to be parsed, following the rules for
+// continuation: a music line that ends with a backslash (before any
+// comment) goes on with the next music line, skipping comment lines in
+// between, and a +: line continues the field on the line before it,
+// joined with a space.  Each line is returned as {text, segments}, where
+// each segment is a piece of the text as {index, line, column, offset}:
+// the index in the text where the piece starts, and the line (counting
+// from 0), column and offset in str where it is found.
+function continuedLines(str) {
+  var lines = str.split('\n'), result = [], last = null, continued = false,
+      offset = 0, j, text, m;
+  for (j = 0; j < lines.length; offset += lines[j].length + 1, ++j) {
+    text = lines[j];
+    m = /^\+:\s*/.exec(text);
+    if (m && last && last.field) {
+      last.text = last.text.replace(/\s*%.*$/, '') + ' ';
+      addSegment(text.substr(m[0].length), m[0].length);
+      continue;
+    }
+    if (continued) {
+      if (/^%(?!%)/.test(text)) { continue; }
+      continued = !ABCheader.test(text) && !/^\s*(?:%.*)?$/.test(text);
+    }
+    if (!continued) {
+      last = { text: '', segments: [], field: ABCheader.test(text) };
+      result.push(last);
+    }
+    continued = !last.field && !/^%/.test(text) &&
+        /\\\s*(?:%.*)?$/.test(text);
+    if (continued) {
+      text = text.replace(/\\\s*(?:%.*)?$/, '');
+    }
+    addSegment(text, 0);
+  }
+  return result;
+  function addSegment(piece, column) {
+    last.segments.push({
+      index: last.text.length,
+      line: j,
+      column: column,
+      offset: offset + column
+    });
+    last.text += piece;
+  }
+}
+
+// Parses an ABC file.  Problems found while parsing are listed in the
+// result as diagnostics: [{severity, message, line, column, text}],
+// where severity is 'error' or 'warning', line numbers count from 1
+// and columns count from 0.  If options.strict is set, an ABCParseError
+// is thrown instead of returning a result with any errors.
+//
+// Every stem and note has a source range {start, end} locating its
+// text, where each position is {line, column, offset}.  When str is
+// part of a larger text, options.line and options.offset give the line
+// number and offset where str begins, and positions count from there.
+module.exports = function parseABCFile(str, options) {
+  var lines = continuedLines(str),
       result = {},
       context = result, timbre,
-      j, k, header, stems, key = {}, accent = { slurred: 0 }, voiceid, out;
-  // ABC files are parsed one line at a time.
+      j, k, header, stems, key = {}, accent = { slurred: 0 }, voiceid, out,
+      diagnostics = [], segments = null, offsets = null, part = null,
+      partsource = null, overlays, meter = null, text,
+      firstline = (options && options.line) || 1,
+      firstoffset = (options && options.offset) || 0;
+  // ABC files are parsed one line at a time, after joining lines that
+  // are continued.  Columns are counted in the joined text, and are
+  // located in the file by the position function.
   for (j = 0; j < lines.length; ++j) {
+    text = lines[j].text;
+    segments = lines[j].segments;
     // First, check to see if the line is a header line.
-    header = ABCheader.exec(lines[j]);
+    header = ABCheader.exec(text);
     if (header) {
-      handleInformation(header[1], header[2].trim());
-    } else if (/^\s*(?:%.*)?$/.test(lines[j])) {
+      handleInformation(header[1], header[2].trim(),
+          text.length - header[2].length);
+    } else if (/^%%/.test(text)) {
+      parseDirective(text.substr(2));
+    } else if (/^\s*(?:%.*)?$/.test(text)) {
       // Skip blank and comment lines.
       continue;
     } else {
       // Parse the notes.
-      parseABCNotes(lines[j]);
+      parseABCNotes(text);
     }
   }
   var infer = ['unitnote', 'unitbeat', 'tempo'];
@@ -60,6 +198,27 @@ module.exports = function parseABCFile(str) {
             result[infer[k]] = result.voice[j][infer[k]];
           }
         }
+        // Report any slur that is still open at the end of the voice.
+        if (result.voice[j].accent.slurred) {
+          diagnose('warning', 'Unclosed slur', '(',
+              result.voice[j].accent.slurfrom.column,
+              result.voice[j].accent.slurfrom.line);
+        }
+        markMeasures(result.voice[j]);
+        // Only keep the repeat structure if there are repeats to play.
+        if (result.voice[j].repeats &&
+            !hasRepeats(result.voice[j].repeats)) {
+          delete result.voice[j].repeats;
+        }
+        // Overlays are tidied up the same way.
+        overlays = result.voice[j].overlays || [];
+        for (k = 0; k < overlays.length; ++k) {
+          processTies(overlays[k].stems);
+          if (overlays[k].repeats && !hasRepeats(overlays[k].repeats)) {
+            delete overlays[k].repeats;
+          }
+          delete overlays[k].accent;
+        }
         // Remove this internal state variable;
         delete result.voice[j].accent;
       } else {
@@ -71,6 +230,31 @@ module.exports = function parseABCFile(str) {
       delete result.voice[out[j]];
     }
   }
+  // Report any part in the P: order that is never marked in the body.
+  if (result.partorder && result.voice) {
+    for (j = 0; j < result.partorder.length; ++j) {
+      if (!hasPart(result.partorder[j]) &&
+          result.partorder.indexOf(result.partorder[j]) == j) {
+        diagnose('warning', 'Unknown part', result.partorder[j],
+            partsource.column, partsource.line);
+      }
+    }
+  }
+  result.meta = parseMeta(result);
+  if (diagnostics.length) {
+    // List problems in the order they appear in the file.
+    diagnostics.sort(function(a, b) {
+      return (a.line - b.line) || (a.column - b.column);
+    });
+    result.diagnostics = diagnostics;
+    if (options && options.strict) {
+      for (j = 0; j < diagnostics.length; ++j) {
+        if (diagnostics[j].severity == 'error') {
+          throw new ABCParseError(diagnostics[j], diagnostics);
+        }
+      }
+    }
+  }
   return result;
 
 
@@ -79,9 +263,230 @@ module.exports = function parseABCFile(str) {
   ////////////////////////////////////////////////////////////////////////
 
 
+  // Numbers the measures of a voice, following its bar lines and meter
+  // changes, and marks each stem of the voice and of its overlays with
+  // measure: the number of the measure it falls in, counting from 1, or
+  // 0 for a pickup (a first measure shorter than the meter);
+  // beat: its position within the measure in beats, counting from 0;
+  // beatoffset: the number of beats before it from the start of the voice.
+  // A beat is the note of the meter's denominator.  Measures are counted
+  // as written, without unfolding repeats, and a measure split in two by
+  // a repeat sign counts once.
+  function markMeasures(voice) {
+    var stems = voice.stems, bars = (voice.accent.bars || []).concat(
+            [stems.length]),
+        meters = (meter ? [meter] : []).concat(voice.accent.meters || []),
+        unitnote = voice.unitnote || result.unitnote || 1/8,
+        repeats = voice.repeats || [], sections = {}, endings = {},
+        measures = [], number = 1, time = 0, beats = 0, from = 0,
+        current = null, duration, count, measure, last, j, k;
+    for (j = 0; j < repeats.length; ++j) {
+      sections[repeats[j].index] = true;
+      if (repeats[j].ending) { endings[repeats[j].index] = true; }
+    }
+    for (j = 0; j < bars.length; ++j) {
+      duration = writtenTime(stems.slice(from, bars[j]));
+      if (duration <= 0) { continue; }
+      for (k = 0; k < meters.length && meters[k].index <= from; ++k) {
+        current = meters[k];
+      }
+      // A multi-measure rest counts as all of its measures.
+      count = 1;
+      for (k = from; k < bars[j]; ++k) {
+        if (stems[k].measures) { count += stems[k].measures - 1; }
+      }
+      // A measure split in two by a repeat sign or double bar, as in
+      // "GA|1Bc:|", is one measure, following the rule of checkMeasures.
+      // Its head is the written time of the part before the split.
+      last = measures[measures.length - 1];
+      if (last && sections[from] && !last.head && count == 1 &&
+          last.count == 1 &&
+          Math.abs(last.duration + duration - last.length) < 1e-6) {
+        last.head = last.duration;
+        last.duration += duration;
+        last.to = bars[j];
+        time += duration;
+        beats += duration / last.unit;
+        from = bars[j];
+        continue;
+      }
+      measure = {
+        time: time,
+        duration: duration,
+        length: ((current && current.length) || 1) / unitnote,
+        unit: ((current && current.beat) || 1/4) / unitnote,
+        number: number,
+        beatoffset: beats,
+        pad: 0,
+        from: from,
+        to: bars[j],
+        metered: !!(current && current.length)
+      };
+      measure.count = count;
+      // A later ending that completes the same split measure, as the "de"
+      // in "GA|1Bc:|2de|", is another version of the end of that measure.
+      if (last && last.head && endings[from] && count == 1 &&
+          Math.abs(last.head + duration - last.length) < 1e-6) {
+        measure.number = last.number;
+        measure.head = last.head;
+        measure.pad = last.head / measure.unit;
+        count = 0;
+      }
+      measures.push(measure);
+      number += count;
+      time += duration;
+      beats += duration / measure.unit;
+      from = bars[j];
+    }
+    if (measures.length > 1 &&
+        measures[0].duration < measures[0].length - 1e-6) {
+      // The first measure is a pickup: its notes come at the end of the
+      // measure, and it is numbered 0.
+      measure = measures[0];
+      measure.pad = (measure.length - measure.duration) / measure.unit;
+      for (j = 0; j < measures.length; ++j) {
+        measures[j].number -= 1;
+      }
+    }
+    checkMeasures(stems, measures, repeats);
+    markStems(stems, measures);
+    for (j = 0; voice.overlays && j < voice.overlays.length; ++j) {
+      markStems(voice.overlays[j].stems, measures);
+    }
+  }
+  // Warns about bars whose stems do not add up to the meter.  A short
+  // first bar is a pickup, and a short last bar may complete it.  A
+  // measure may also be split in two by a repeat sign or double bar, and
+  // a later ending may complete the first part instead.
+  function checkMeasures(stems, measures, repeats) {
+    var last = measures.length - 1, sections = {}, j, m, expected,
+        start, end, brace;
+    for (j = 0; j < repeats.length; ++j) {
+      sections[repeats[j].index] = true;
+    }
+    // Returns true if two measures together make up one full measure.
+    function complete(a, b) {
+      return Math.abs(a.duration + b.duration - a.length) < 1e-6;
+    }
+    for (j = 0; j <= last; ++j) {
+      m = measures[j];
+      expected = m.length * m.count;
+      if (!m.metered || Math.abs(m.duration - expected) < 1e-6 ||
+          (m.pad &&
+              Math.abs(m.pad * m.unit + m.duration - expected) < 1e-6) ||
+          (j && j == last && measures[0].pad && complete(measures[0], m)) ||
+          (j && sections[m.from] && complete(measures[j - 1], m)) ||
+          (j < last && sections[m.to] && complete(m, measures[j + 1]))) {
+        continue;
+      }
+      start = stems[m.from].source.start;
+      end = stems[m.to - 1].source.end;
+      if (stems[m.from].grace) {
+        // A bar that opens with grace notes starts at their brace.
+        brace = str.lastIndexOf('{', start.offset - firstoffset);
+        start = {
+          line: start.line,
+          column: start.column - (start.offset - firstoffset - brace),
+          offset: brace + firstoffset
+        };
+      }
+      diagnose('warning', m.duration > expected ?
+          'Bar too long' : 'Bar too short',
+          str.substring(start.offset - firstoffset, end.offset - firstoffset),
+          start.column, start.line);
+    }
+  }
+  // Marks stems with the measure, beat and beatoffset where they fall,
+  // given the list of measures with their starting written times.
+  function markStems(stems, measures) {
+    var time = 0, m = 0, j, measure;
+    if (!measures.length) { return; }
+    for (j = 0; j < stems.length; ++j) {
+      while (m + 1 < measures.length && measures[m + 1].time <= time + 1e-6) {
+        m += 1;
+      }
+      measure = measures[m];
+      stems[j].measure = measure.number;
+      stems[j].beat = roundBeats(
+          measure.pad + (time - measure.time) / measure.unit);
+      stems[j].beatoffset = roundBeats(
+          measure.beatoffset + (time - measure.time) / measure.unit);
+      if (!stems[j].grace) {
+        time += stems[j].time;
+      }
+    }
+  }
+
+  // Rounds a number of beats to a millionth of a beat, so that beats
+  // such as the second note of a triplet do not carry rounding errors.
+  function roundBeats(beats) {
+    return Math.round(beats * 1e6) / 1e6;
+  }
+
+  // Returns true if any voice has a part with the given name.
+  function hasPart(name) {
+    var id, j, parts;
+    for (id in result.voice) {
+      parts = result.voice[id].parts || [];
+      for (j = 0; j < parts.length; ++j) {
+        if (parts[j].name == name) { return true; }
+      }
+    }
+    return false;
+  }
+
+  // Records a problem found at the given column of the current line,
+  // or at a column of another line of the file.
+  function diagnose(severity, message, text, column, line) {
+    var here = line ? { line: line, column: column } : position(column);
+    diagnostics.push({
+      severity: severity,
+      message: message,
+      line: here.line,
+      column: here.column,
+      text: text
+    });
+  }
+
+  // Returns the source range of the tokens of the current line from
+  // the start index up to (but not including) the end index.
+  function sourceRange(start, end) {
+    return { start: sourcePosition(start), end: sourcePosition(end, true) };
+  }
+  // Returns the {line, column, offset} position of the token at the
+  // given index of the current line, or of the end of the token before.
+  function sourcePosition(index, end) {
+    return position(offsets[index], end);
+  }
+  // Returns the {line, column, offset} position in the file of a column
+  // of the current line, which may be continued over several lines.  At
+  // the end of a line that is continued, the position is placed at the
+  // end of the piece before rather than the start of the piece after.
+  function position(column, end) {
+    var j = segments.length - 1, segment;
+    while (j > 0 && (segments[j].index > column ||
+        (end && segments[j].index == column))) {
+      --j;
+    }
+    segment = segments[j];
+    return {
+      line: firstline + segment.line,
+      column: segment.column + column - segment.index,
+      offset: firstoffset + segment.offset + column - segment.index
+    };
+  }
+
+  // Records a problem with the token at the given index of the line
+  // of notes being parsed.
+  function diagnoseToken(severity, message, tokens, index) {
+    diagnose(severity, message, tokens[index], offsets[index]);
+  }
+
   // Processes header fields such as V: voice, which may appear at the
   // top of the ABC file, or in the ABC body in a [V:voice] directive.
-  function handleInformation(field, value) {
+  // The column of the value is used to report problems.
+  function handleInformation(field, value, column) {
+    var keyfield;
     // The following headers are recognized and processed.
     switch(field) {
       case 'V':
@@ -89,6 +494,7 @@ module.exports = function parseABCFile(str) {
         // If in the header, then it is just advisory.
         if (context !== result) {
           startVoiceContext(value.split(' ')[0]);
+          parseModifiers(value, context);
         }
         break;
       case 'M':
@@ -98,9 +504,44 @@ module.exports = function parseABCFile(str) {
         parseUnitNote(value, context);
         break;
       case 'Q':
-        parseTempo(value, context);
+        if (context !== result && context.stems && context.stems.length) {
+          parseTempoChange(value);
+        } else {
+          parseTempo(value, context);
+        }
+        break;
+      case 'w':
+        parseLyrics(value);
+        break;
+      case 'I':
+        // I:timbre sets the timbre for the tune or the current voice.
+        if (/^timbre\s/.test(value)) {
+          context.timbre = parseTimbre(value.replace(/^timbre\s+/, ''));
+        }
+        break;
+      case 'P':
+        // In the header, P: gives the order of the parts; in the body,
+        // it marks the start of a part.
+        if (context === result) {
+          result.partorder = parsePartOrder(value);
+          partsource = position(column);
+        } else {
+          startPart(value);
+        }
         break;
     }
+    // K:, L: and M: fields after the notes of a voice have begun are
+    // changes, also listed in the voice's fields list as {index, field,
+    // value}, where index is the number of stems before the change.
+    if (/^[KLM]$/.test(field) && context !== result && !accent.voice &&
+        context.stems && context.stems.length) {
+      if (!('fields' in context)) { context.fields = []; }
+      context.fields.push({
+        index: context.stems.length,
+        field: field,
+        value: value
+      });
+    }
     // All headers (including unrecognized ones) are
     // just accumulated as properties. Repeated header
     // lines are accumulated as multiline properties.
@@ -112,7 +553,13 @@ module.exports = function parseABCFile(str) {
     // The K header is special: it should be the last one
     // before the voices and notes begin.
     if (field == 'K') {
-      key = keysig(value);
+      // A K: line with only a clef or other modifiers, such as K:bass or
+      // K:clef=bass, keeps the key.
+      keyfield = parseKey(value);
+      if (!keyfield || keyfield.tonic || keyfield.none || keyfield.bagpipe) {
+        key = keysig(value, column);
+      }
+      parseModifiers(value, context, keyfield && keyfield.clef);
       if (context === result) {
         startVoiceContext(firstVoiceName());
       }
@@ -139,9 +586,281 @@ module.exports = function parseABCFile(str) {
       context = { id: id, accent: { slurred: 0 } };
       result.voice[id] = context;
       accent = context.accent;
+      // A V: line in the header may set up the voice.
+      parseModifiers(voiceDefinition(id), context);
+    }
+    // A voice joins the part that was started most recently.
+    if (part !== null) {
+      markPart(part, false);
+    }
+  }
+
+  // Starts a part, named by a P: field in the body, in the current voice.
+  // Parts are recorded on the voice as {name, index}, where index is the
+  // index of the first stem in the part.  Other voices join the part
+  // when they are next resumed, unless they name their own parts.
+  function startPart(value) {
+    var m = /^\s*([A-Za-z])/.exec(value);
+    if (!m) { return; }
+    part = m[1].toUpperCase();
+    markPart(part, true);
+  }
+  // Records the start of a part in the current voice and its overlays.
+  function markPart(name, explicit) {
+    addPart(context, name, explicit);
+    alignOverlays(function(overlay) {
+      addPart(overlay, name, explicit);
+    });
+  }
+  // Records the start of a part in a voice.  A part that starts where
+  // another one did replaces it, and unless named explicitly, a part
+  // already under way is not restarted.
+  function addPart(voice, name, explicit) {
+    var index = voice.stems ? voice.stems.length : 0, parts, last;
+    if (!('parts' in voice)) { voice.parts = []; }
+    parts = voice.parts;
+    last = parts.length ? parts[parts.length - 1] : null;
+    if (last && last.index == index) {
+      last.name = name;
+    } else if (explicit || !last || last.name != name) {
+      parts.push({ name: name, index: index });
     }
   }
 
+  // Switches to the next overlay of the current voice, at an & in the
+  // notes.  Each overlay is a sub-voice {stems, repeats, parts, hairpins}
+  // in the voice's overlays list, whose notes sound together with the
+  // voice's notes from the start of the bar.  Overlays are padded with
+  // rests to stay in step with the voice, and they follow its repeats
+  // and parts.
+  function startOverlay(source) {
+    var voice = accent.voice || context,
+        number = accent.voice ? accent.number + 1 : 0,
+        bars = voice.accent.bars || [],
+        stems = voice.stems || [],
+        overlay, marks, j;
+    if (!voice.overlays) { voice.overlays = []; }
+    overlay = voice.overlays[number];
+    if (!overlay) {
+      overlay = {
+        stems: [],
+        accent: { slurred: 0, voice: voice, number: number }
+      };
+      voice.overlays.push(overlay);
+      // It starts at the voice's current dynamics.
+      if ('dynamics' in voice.accent) {
+        overlay.accent.dynamics = voice.accent.dynamics;
+      }
+      // A new overlay follows the repeats and parts of the voice so far.
+      marks = (voice.repeats || []).concat(voice.parts || []);
+      marks.sort(function(a, b) { return a.index - b.index; });
+      for (j = 0; j < marks.length; ++j) {
+        padOverlay(overlay, writtenTime(stems.slice(0, marks[j].index)),
+            source);
+        if ('bar' in marks[j]) {
+          if (!overlay.repeats) { overlay.repeats = []; }
+          overlay.repeats.push(copyMarker(marks[j], overlay.stems.length));
+        } else {
+          addPart(overlay, marks[j].name, true);
+        }
+      }
+    }
+    // The overlay starts at the beginning of the bar.
+    padOverlay(overlay, writtenTime(
+        stems.slice(0, bars.length ? bars[bars.length - 1] : 0)), source);
+    context = overlay;
+    accent = overlay.accent;
+  }
+  // Returns from an overlay to its voice, forgetting the overlay's
+  // accidentals at the end of the bar.
+  function endOverlay() {
+    for (var t in accent) {
+      if (t.length == 1) {
+        delete accent[t];
+      }
+    }
+    context = accent.voice;
+    accent = context.accent;
+  }
+  // Pads each overlay of the current voice with a rest up to the voice's
+  // written time, then calls mark(overlay) to give it the voice's marker.
+  function alignOverlays(mark) {
+    var time, j;
+    if (!context.overlays) { return; }
+    time = writtenTime(context.stems || []);
+    for (j = 0; j < context.overlays.length; ++j) {
+      padOverlay(context.overlays[j], time);
+      mark(context.overlays[j]);
+    }
+  }
+  // Adds a rest to an overlay to bring it up to the given written time.
+  // The rest's source is the & that needed it, or else the current line.
+  function padOverlay(overlay, time, source) {
+    var gap = time - writtenTime(overlay.stems),
+        here = position(0);
+    if (gap > 1e-6) {
+      overlay.stems.push({
+        notes: [],
+        duration: '',
+        staccato: false,
+        time: gap,
+        source: source || { start: here, end: here }
+      });
+    }
+  }
+
+  // Returns the V: line from the header that defines the given voice.
+  function voiceDefinition(id) {
+    var defs = result.V ? result.V.split('\n') : [], j;
+    for (j = 0; j < defs.length; ++j) {
+      if (defs[j].split(/\s+/)[0] == id) {
+        return defs[j];
+      }
+    }
+    return '';
+  }
+
+  // Parses the modifiers of a K: or V: line: transpose= gives semitones
+  // to transpose when playing, timbre= gives the timbre to play with (see
+  // parseTimbre), and clef= and octave= give the octaves to shift the
+  // written notes.  As in abc2ps, the bass clef implies that notes are
+  // written two octaves up (and the alto and tenor clefs one octave up),
+  // unless octave= says otherwise, and a clef such as treble-8 or bass+8
+  // shifts a further octave.  A clef named without clef=, as K: lines
+  // may do, can be passed in.
+  function parseModifiers(value, target, clef) {
+    var m = /(?:^|\s)transpose=([+\-]?\d+)/.exec(value), octave;
+    if (m) {
+      target.transpose = parseInt(m[1], 10);
+    }
+    m = /(?:^|\s)timbre=(\{[^}]*\}|\S+)/.exec(value);
+    if (m) {
+      target.timbre = parseTimbre(m[1]);
+    }
+    m = /(?:^|\s)clef=(\S+)/.exec(value);
+    if (m || clef) {
+      target.clef = clef || m[1];
+    }
+    octave = /(?:^|\s)octave=([+\-]?\d+)/.exec(value);
+    if (m || clef || octave) {
+      target.octave = clefOctave(target.clef || '',
+          octave ? parseInt(octave[1], 10) : null);
+    }
+  }
+
+  // Processes a %% directive.  Most directives are for typesetting and
+  // are ignored.  %%transpose n transposes the current voice (or the
+  // whole tune, if in the header) by n semitones when playing, and
+  // %%percmap chooses the drums for the notes of percussion voices.
+  function parseDirective(str) {
+    var m = /^\s*(\S+)\s*(.*)$/.exec(str);
+    if (!m) { return; }
+    switch (m[1]) {
+      case 'transpose':
+        if (/^[+\-]?\d+$/.test(m[2].trim())) {
+          context.transpose = parseInt(m[2], 10);
+        }
+        break;
+      case 'MIDI':
+        parseMidi(m[2].replace(/\s*%.*$/, ''));
+        break;
+      case 'percmap':
+        parsePercmap(m[2].replace(/\s*%.*$/, ''));
+        break;
+    }
+  }
+  // Processes a %%percmap directive, as written for abcm2ps, such as
+  // "%%percmap D acoustic-snare x": the note is played by a percussion
+  // voice as the General MIDI drum given by name or number, and the note
+  // head (x) is for typesetting.  Maps are kept as {pitch: drum number}.
+  function parsePercmap(str) {
+    var args = str.trim().split(/\s+/),
+        number = args.length > 1 ? drumNumber(args[1]) : null;
+    if (number === null ||
+        !/^(?:[\^_]\d*\/\d*|\^+|_+|=|)[A-Ga-g](?:,+|'+|)$/.test(args[0])) {
+      return;
+    }
+    if (!context.percmap) { context.percmap = {}; }
+    context.percmap[stripNatural(args[0])] = number;
+  }
+
+  // Processes a %%MIDI directive, as written by abcMIDI and EasyABC, for
+  // the current voice (or the whole tune, if in the header):
+  //   program [channel] n: the General MIDI program (0-127) to play with
+  //   channel n: the MIDI channel, where channel 10 is for percussion
+  //   transpose n: semitones to transpose, as for %%transpose
+  //   gchord fzcz: the pattern to accompany chord symbols with, and
+  //     gchordon and gchordoff to turn the accompaniment on and off
+  //   drum d2zd 35 38 38 100 50 50: a drum pattern to play each measure,
+  //     with a drum and then a velocity for each d, and drumon and
+  //     drumoff to turn it on and off.
+  function parseMidi(str) {
+    var args = str.trim().split(/\s+/),
+        n = parseInt(args[args.length - 1], 10);
+    switch (args[0]) {
+      case 'program':
+      case 'channel':
+      case 'transpose':
+        if (args.length > 1 && !isNaN(n)) {
+          context[args[0]] = n;
+        }
+        break;
+      case 'gchord':
+        if (args.length > 1) {
+          context.gchord = args[1];
+        }
+        break;
+      case 'gchordon':
+        if (typeof(context.gchord) != 'string') {
+          context.gchord = true;
+        }
+        break;
+      case 'gchordoff':
+        context.gchord = false;
+        break;
+      case 'drum':
+        if (args.length > 1) {
+          context.drum = parseDrum(args.slice(1));
+        }
+        break;
+      case 'drumon':
+        context.drumon = true;
+        break;
+      case 'drumoff':
+        context.drumon = false;
+        break;
+    }
+  }
+  // Parses the arguments of a %%MIDI drum directive into {pattern,
+  // drums, velocities}: the pattern of d (strike) and z (rest), with
+  // the MIDI drum number and velocity (0-127) of each strike.
+  function parseDrum(args) {
+    var strikes = (args[0].match(/d/g) || []).length,
+        numbers = args.slice(1).map(Number);
+    return {
+      pattern: args[0],
+      drums: numbers.slice(0, strikes),
+      velocities: numbers.slice(strikes, 2 * strikes)
+    };
+  }
+
+  // Returns the octave= shift that applies to the current voice (or the
+  // voice of the current overlay).
+  function voiceOctave() {
+    var voice = accent.voice || context;
+    return ('octave' in voice ? voice.octave : result.octave) || 0;
+  }
+  // Returns the length of a measure in the current voice, in unit notes,
+  // following any meter change in the voice.  Without a meter (or with
+  // M:none), a measure is taken to be a whole note.
+  function measureTime() {
+    var voice = accent.voice || context,
+        meters = (voice !== result && voice.accent.meters) || [],
+        current = meters.length ? meters[meters.length - 1] : meter;
+    return ((current && current.length) || 1) /
+        (voice.unitnote || result.unitnote || 1/8);
+  }
+
   // For picking a default voice, looks for the first voice name.
   function firstVoiceName() {
     if (result.V) {
@@ -174,10 +893,22 @@ module.exports = function parseABCFile(str) {
   // decorations such as dynamics markings and measure delimiters.
   function parseABCNotes(str) {
     var tokens = str.match(ABCtoken), parsed = null,
-        index = 0, dotted = 0, beatlet = null, t;
+        index = 0, dotted = 0, beatlet = null, graces = null, chord = null,
+        ornaments = [], t;
     if (!tokens) {
       return null;
     }
+    // Note the column of each token, for reporting problems.
+    offsets = [0];
+    for (t = 0; t < tokens.length; ++t) {
+      offsets.push(offsets[t] + tokens[t].length);
+    }
+    // Lyrics after this line will be aligned with the notes from here on.
+    if (accent.lyricverse) {
+      accent.lyricstart = context.stems ? context.stems.length : 0;
+      accent.lyricverse = 0;
+      delete accent.lyricnext;
+    }
     while (index < tokens.length) {
       // Ignore %comments and !markings!
       if (/^[\s%]/.test(tokens[index])) { index++; continue; }
@@ -185,17 +916,18 @@ module.exports = function parseABCFile(str) {
       if (/^\[[A-Za-z]:[^\]]*\]$/.test(tokens[index])) {
         handleInformation(
           tokens[index].substring(1, 2),
-          tokens[index].substring(3, tokens[index].length - 1).trim()
+          tokens[index].substring(3, tokens[index].length - 1).trim(),
+          offsets[index] + 3
         );
         index++;
         continue;
       }
       // Handled dotted notation abbreviations.
-      if (/</.test(tokens[index])) {
+      if (/^</.test(tokens[index])) {
         dotted = -tokens[index++].length;
         continue;
       }
-      if (/>/.test(tokens[index])) {
+      if (/^>/.test(tokens[index])) {
         dotted = tokens[index++].length;
         continue;
       }
@@ -203,18 +935,42 @@ module.exports = function parseABCFile(str) {
         beatlet = parseBeatlet(tokens[index++]);
         continue;
       }
+      // Grace notes are saved to be added just before the next stem.
+      if (/^\{/.test(tokens[index])) {
+        parsed = parseGraces(tokens, index);
+        graces = parsed.stems;
+        index = parsed.index;
+        continue;
+      }
       if (/^[!+].*[!+]$/.test(tokens[index])) {
-        parseDecoration(tokens[index++], accent);
+        // Decorations such as dynamics belong to a voice.
+        if (context === result) {
+          startVoiceContext(firstVoiceName());
+        }
+        t = parseDecoration(tokens[index++], accent);
+        // Ornaments are saved to be attached to the next stem.
+        if (t) { ornaments.push(t); }
+        continue;
+      }
+      if (/^[TMPH~]$/.test(tokens[index])) {
+        ornaments.push(ABCornament[tokens[index++]]);
         continue;
       }
       if (/^.?".*"$/.test(tokens[index])) {
-        // Ignore double-quoted tokens (chords and general text annotations).
-        index++;
+        // Chord symbols are saved to be attached to the next stem, and
+        // other double-quoted tokens (text annotations) are ignored.
+        chord = parseChordSymbol(tokens[index++]) || chord;
         continue;
       }
       if (/^[()]$/.test(tokens[index])) {
-        if (tokens[index++] == '(') {
+        if (tokens[index] == '(') {
+          if (!accent.slurred) {
+            // Remember where a slur starts, in case it is never closed.
+            accent.slurfrom = position(offsets[index]);
+          }
           accent.slurred += 1;
+        } else if (!accent.slurred) {
+          diagnoseToken('warning', 'Unmatched slur', tokens, index);
         } else {
           accent.slurred -= 1;
           if (accent.slurred <= 0) {
@@ -225,23 +981,40 @@ module.exports = function parseABCFile(str) {
             }
           }
         }
+        index++;
+        continue;
+      }
+      // An & overlays more notes on the bar, from its start.
+      if (tokens[index] == '&') {
+        if (context === result) {
+          startVoiceContext(firstVoiceName());
+        }
+        startOverlay(sourceRange(index, index + 1));
+        index++;
         continue;
       }
       // Handle measure markings by clearing accidentals.
-      if (/\|/.test(tokens[index])) {
+      if (ABCbar.test(tokens[index])) {
+        // A bar line ends any overlay, and belongs to the voice.
+        if (accent.voice) {
+          endOverlay();
+        }
         for (t in accent) {
           if (t.length == 1) {
             // Single-letter accent properties are note accidentals.
             delete accent[t];
           }
         }
-        index++;
+        // Remember where bars are, for aligning lyrics.
+        if (!accent.bars) { accent.bars = []; }
+        accent.bars.push(context.stems ? context.stems.length : 0);
+        parseBar(tokens[index++]);
         continue;
       }
       parsed = parseStem(tokens, index, key, accent);
       // Skip unparsable bits
       if (parsed === null) {
-        index++;
+        index = skipToken(tokens, index);
         continue;
       }
       // Process a parsed stem.
@@ -274,18 +1047,159 @@ module.exports = function parseABCFile(str) {
         startVoiceContext(firstVoiceName());
       }
       if (!('stems' in context)) { context.stems = []; }
-      // Add the stem to the sequence of stems for this voice.
+      // Add any grace notes and then the stem to the sequence of
+      // stems for this voice.
+      if (graces) {
+        for (t = 0; t < graces.length; ++t) {
+          if (accent.slurred) {
+            slurStem(graces[t], true);
+          }
+          context.stems.push(graces[t]);
+        }
+        graces = null;
+      }
+      if (chord) {
+        parsed.stem.chord = chord;
+        chord = null;
+      }
+      if (ornaments.length) {
+        addOrnaments(parsed.stem, ornaments);
+        ornaments = [];
+      }
       context.stems.push(parsed.stem);
       // Advance the parsing index since a stem is multiple tokens.
       index = parsed.index;
     }
   }
 
+  // Parses a bar line token such as "|", ":|", "::", "|]", "|1" or "[2,3".
+  // Repeat signs, double bars and numbered endings are recorded in the
+  // voice's repeats list as {index, bar, ending}, where index is the
+  // number of stems that precede the marker, bar is the bar line without
+  // its ending numbers, and ending is a list of the passes that play the
+  // ending.  Plain single bars are not needed to unfold repeats.
+  function parseBar(token) {
+    var m = /^(.*?)\[?(\d+(?:[,\-]\d+)*)?$/.exec(token), marker;
+    if (!m[2] && m[1] == '|') {
+      return;
+    }
+    // Start a default voice if we're not in a voice yet.
+    if (context === result) {
+      startVoiceContext(firstVoiceName());
+    }
+    if (!('repeats' in context)) { context.repeats = []; }
+    marker = {
+      index: context.stems ? context.stems.length : 0,
+      bar: m[1]
+    };
+    if (m[2]) {
+      marker.ending = parseEnding(m[2]);
+    }
+    context.repeats.push(marker);
+    alignOverlays(function(overlay) {
+      if (!overlay.repeats) { overlay.repeats = []; }
+      overlay.repeats.push(copyMarker(marker, overlay.stems.length));
+    });
+  }
+  // Copies a repeat marker or part for an overlay, at the given index.
+  function copyMarker(marker, index) {
+    var copy = {}, k;
+    for (k in marker) {
+      copy[k] = marker[k];
+    }
+    copy.index = index;
+    return copy;
+  }
+  // Parses the numbers of an ending such as "1,3" or "1-3" into a list
+  // of the passes through the repeat that should play the ending.
+  function parseEnding(str) {
+    var parts = str.split(','), passes = [], j, k, range;
+    for (j = 0; j < parts.length; ++j) {
+      range = parts[j].split('-');
+      for (k = Number(range[0]); k <= Number(range[range.length - 1]); ++k) {
+        passes.push(k);
+      }
+    }
+    return passes;
+  }
+  // Returns true if the repeats list has any repeat signs or endings,
+  // as opposed to only double bars.
+  function hasRepeats(repeats) {
+    for (var j = 0; j < repeats.length; ++j) {
+      if (repeats[j].ending || /:/.test(repeats[j].bar)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  // Parses a w: line of lyrics, and aligns its syllables with the notes
+  // of the music lines before it, setting the lyric property of the first
+  // note of each stem that gets a syllable.  Following the ABC standard,
+  // words are separated by spaces, syllables within a word by "-", "_"
+  // holds the previous syllable for another note, "*" skips a note, "~"
+  // joins words under one note, "\-" is a literal hyphen, and "|" skips
+  // to the next bar.  A syllable followed by "-" keeps the hyphen in its
+  // text.  Rests and grace notes get no syllables.  Only the first verse
+  // (the first w: line after the music) is aligned, and a w: line that
+  // ends with "\" is continued by the w: line after it.
+  function parseLyrics(line) {
+    var stems = context.stems || [], bars = accent.bars || [],
+        re = /(?:\\-|[^\s\-_*|~]|~)+-?|-|[_*|]/g,
+        pos = accent.lyricstart || 0, continued = /\\\s*$/.test(line),
+        m, word, j;
+    if (accent.hasOwnProperty('lyricnext')) {
+      pos = accent.lyricnext;
+      delete accent.lyricnext;
+    } else if (accent.lyricverse) {
+      accent.lyricverse += 1;
+      return;
+    }
+    accent.lyricverse = 1;
+    line = line.replace(/\\\s*$/, '');
+    while ((m = re.exec(line))) {
+      word = m[0];
+      if (word == '|') {
+        // Skip ahead to the start of the next bar.
+        for (j = 0; j < bars.length && bars[j] < pos; ++j) { }
+        if (j < bars.length) { pos = bars[j]; }
+        continue;
+      }
+      // Find the next stem that can be sung.
+      while (pos < stems.length &&
+          (stems[pos].grace || !stems[pos].notes.length)) {
+        pos++;
+      }
+      if (pos >= stems.length) { break; }
+      if (!/^[-_*]$/.test(word)) {
+        stems[pos].notes[0].lyric =
+            word.replace(/~/g, ' ').replace(/\\-/g, '-');
+      }
+      pos++;
+    }
+    if (continued) {
+      accent.lyricnext = pos;
+    }
+  }
   // Parse M: lines.  "3/4" is 3/4 time and "C" is 4/4 (common) time.
   function parseMeter(mline, beatinfo) {
-    var d = /^C/.test(mline) ? 4/4 : durationToTime(mline);
+    var d = /^C/.test(mline) ? 4/4 : durationToTime(mline),
+        voice = accent.voice || context, change;
+    // Remember the meter and where it starts, for multi-measure rests
+    // and for numbering measures.
+    change = {
+      index: voice.stems ? voice.stems.length : 0,
+      length: meterLength(mline),
+      beat: meterBeat(mline)
+    };
+    if (beatinfo === result) {
+      meter = change;
+    } else {
+      if (!voice.accent.meters) { voice.accent.meters = []; }
+      voice.accent.meters.push(change);
+    }
     if (!d) { return; }
-    if (!beatinfo.unitnote) {
+    // A meter change in the body keeps the unit note of the header.
+    if (!beatinfo.unitnote && !result.unitnote) {
       if (d < 0.75) {
         beatinfo.unitnote = 1/16;
       } else {
@@ -320,11 +1234,39 @@ module.exports = function parseABCFile(str) {
       beatinfo.tempo = tempo;
     }
   }
+  // Parses a Q: field that appears after the notes of a voice have
+  // begun, adding a tempo change {index, time, tempo, unitbeat} to the
+  // tempos list of the voice or overlay.  The index is the number of
+  // stems before the change, and time is the total written time of those
+  // stems, in unit notes; tempo and unitbeat are as parsed by parseTempo.
+  function parseTempoChange(qline) {
+    var change = {
+      index: context.stems.length,
+      time: writtenTime(context.stems)
+    };
+    parseTempo(qline, change);
+    if (!change.tempo) { return; }
+    if (!('tempos' in context)) { context.tempos = []; }
+    context.tempos.push(change);
+  }
+  // Adds up the written time of a list of stems, in unit notes.
+  // Grace notes take no written time.
+  function writtenTime(stems) {
+    var time = 0, j;
+    for (j = 0; j < stems.length; ++j) {
+      if (!stems[j].grace) {
+        time += stems[j].time;
+      }
+    }
+    return time;
+  }
   // Run through all the notes, adding up time for tied notes,
   // and marking notes that were held over with holdover = true.
   function processTies(stems) {
     var tied = {}, nextTied, j, k, note, firstNote;
     for (j = 0; j < stems.length; ++j) {
+      // Grace notes do not interrupt ties.
+      if (stems[j].grace) { continue; }
       nextTied = {};
       for (k = 0; k < stems[j].notes.length; ++k) {
         firstNote = note = stems[j].notes[k];
@@ -340,83 +1282,12 @@ module.exports = function parseABCFile(str) {
       tied = nextTied;
     }
   }
-  // Returns a map of A-G -> accidentals, according to the key signature.
-  // When n is zero, there are no accidentals (e.g., C major or A minor).
-  // When n is positive, there are n sharps (e.g., for G major, n = 1).
-  // When n is negative, there are -n flats (e.g., for F major, n = -1).
-  function accidentals(n) {
-    var sharps = 'FCGDAEB',
-        result = {}, j;
-    if (!n) {
-      return result;
-    }
-    if (n > 0) {  // Handle sharps.
-      for (j = 0; j < n && j < 7; ++j) {
-        result[sharps.charAt(j)] = '^';
-      }
-    } else {  // Flats are in the opposite order.
-      for (j = 0; j > n && j > -7; --j) {
-        result[sharps.charAt(6 + j)] = '_';
-      }
-    }
-    return result;
-  }
-  // Decodes the key signature line (e.g., K: C#m) at the front of an ABC tune.
-  // Supports the whole range of scale systems listed in the ABC spec.
-  function keysig(keyname) {
-    if (!keyname) { return {}; }
-    var kkey, sigcodes = {
-      // Major
-      'c#':7, 'f#':6, 'b':5, 'e':4, 'a':3, 'd':2, 'g':1, 'c':0,
-      'f':-1, 'bb':-2, 'eb':-3, 'ab':-4, 'db':-5, 'gb':-6, 'cb':-7,
-      // Minor
-      'a#m':7, 'd#m':6, 'g#m':5, 'c#m':4, 'f#m':3, 'bm':2, 'em':1, 'am':0,
-      'dm':-1, 'gm':-2, 'cm':-3, 'fm':-4, 'bbm':-5, 'ebm':-6, 'abm':-7,
-      // Mixolydian
-      'g#mix':7, 'c#mix':6, 'f#mix':5, 'bmix':4, 'emix':3,
-      'amix':2, 'dmix':1, 'gmix':0, 'cmix':-1, 'fmix':-2,
-      'bbmix':-3, 'ebmix':-4, 'abmix':-5, 'dbmix':-6, 'gbmix':-7,
-      // Dorian
-      'd#dor':7, 'g#dor':6, 'c#dor':5, 'f#dor':4, 'bdor':3,
-      'edor':2, 'ador':1, 'ddor':0, 'gdor':-1, 'cdor':-2,
-      'fdor':-3, 'bbdor':-4, 'ebdor':-5, 'abdor':-6, 'dbdor':-7,
-      // Phrygian
-      'e#phr':7, 'a#phr':6, 'd#phr':5, 'g#phr':4, 'c#phr':3,
-      'f#phr':2, 'bphr':1, 'ephr':0, 'aphr':-1, 'dphr':-2,
-      'gphr':-3, 'cphr':-4, 'fphr':-5, 'bbphr':-6, 'ebphr':-7,
-      // Lydian
-      'f#lyd':7, 'blyd':6, 'elyd':5, 'alyd':4, 'dlyd':3,
-      'glyd':2, 'clyd':1, 'flyd':0, 'bblyd':-1, 'eblyd':-2,
-      'ablyd':-3, 'dblyd':-4, 'gblyd':-5, 'cblyd':-6, 'fblyd':-7,
-      // Locrian
-      'b#loc':7, 'e#loc':6, 'a#loc':5, 'd#loc':4, 'g#loc':3,
-      'c#loc':2, 'f#loc':1, 'bloc':0, 'eloc':-1, 'aloc':-2,
-      'dloc':-3, 'gloc':-4, 'cloc':-5, 'floc':-6, 'bbloc':-7
-    };
-    var k = keyname.replace(/\s+/g, '').toLowerCase().substr(0, 5);
-    var scale = k.match(/maj|min|mix|dor|phr|lyd|loc|m/);
-    if (scale) {
-      if (scale == 'maj') {
-        kkey = k.substr(0, scale.index);
-      } else if (scale == 'min') {
-        kkey = k.substr(0, scale.index + 1);
-      } else {
-        kkey = k.substr(0, scale.index + scale[0].length);
-      }
-    } else {
-      kkey = /^[a-g][#b]?/.exec(k) || '';
-    }
-    var result = accidentals(sigcodes[kkey]);
-    var extras = keyname.substr(kkey.length).match(/(_+|=|\^+)[a-g]/ig);
-    if (extras) {
-      for (var j = 0; j < extras.length; ++j) {
-        var note = extras[j].charAt(extras[j].length - 1).toUpperCase();
-        if (extras[j].charAt(0) == '=') {
-          delete result[note];
-        } else {
-          result[note] = extras[j].substr(0, extras[j].length - 1);
-        }
-      }
+  // Decodes the key signature line (e.g., K: C#m), reporting unknown keys.
+  function keysig(keyname, column) {
+    var result = keySignature(keyname);
+    if (!result) {
+      diagnose('warning', 'Unknown key', keyname, column);
+      result = {};
     }
     return result;
   }
@@ -451,6 +1322,100 @@ module.exports = function parseABCFile(str) {
       stem.notes[j].time *= s;;
     }
   }
+  // Reports a token that is not understood, and returns the index
+  // after it.  Some symbols that only affect the printed score, such
+  // as the y spacer and the u and v bowing marks, are quietly skipped.
+  function skipToken(tokens, index) {
+    var token = tokens[index];
+    if (token == '[') {
+      diagnoseToken('error', 'Unterminated chord', tokens, index);
+    } else if (/^[\d\/]/.test(token)) {
+      diagnoseToken('error', 'Misplaced duration', tokens, index);
+    } else if (!/^(?:\s|[y`$\\JLORSuv]$)/.test(token)) {
+      diagnoseToken('error', 'Unknown symbol', tokens, index);
+    }
+    return index + 1;
+  }
+  // Parses a group of grace notes such as {g} or {/gag}, starting at
+  // the opening brace, and returns the grace stems and the index after
+  // the closing brace.  Grace stems are marked with grace: true, and a
+  // slashed group is also marked with acciaccatura: true.  Grace notes
+  // sound for a quarter of their written length, and that time is
+  // stolen from a neighboring note when the song is played.
+  function parseGraces(tokens, index) {
+    var acciaccatura = (tokens[index] == '{/'), stems = [], parsed;
+    if (tokens.indexOf('}', index) < 0) {
+      diagnoseToken('error', 'Unterminated grace notes', tokens, index);
+    }
+    index++;
+    while (index < tokens.length && tokens[index] != '}') {
+      parsed = parseStem(tokens, index, key, accent);
+      // Skip unparsable bits
+      if (parsed === null) {
+        index = skipToken(tokens, index);
+        continue;
+      }
+      parsed.stem.grace = true;
+      if (acciaccatura) {
+        parsed.stem.acciaccatura = true;
+      }
+      scaleStem(parsed.stem, 1/4);
+      stems.push(parsed.stem);
+      index = parsed.index;
+    }
+    return {
+      index: index + 1,
+      stems: stems
+    };
+  }
+  // Parses a chord symbol such as "G", "D7", "Em", "Am7/E" or "F#m7b5"
+  // into {name, root, quality, extensions, bass}.  The quality is one of
+  // maj, min, dim, aug, sus2 or sus4; extensions lists additions such as
+  // 6, 7, maj7, 9, add9, b5 or 6/9; and bass is only present for slash
+  // chords, where a note follows the slash.  A number after a slash, as in
+  // "C7/11", adds that note.
+  // "N.C." (no chord) parses as just {name}.  Returns null for text
+  // annotations that are not chord symbols, such as "^Fine".
+  function parseChordSymbol(token) {
+    var m = /^"([A-G][#b]?)([^"]*?)(?:\/([A-G][#b]?))?"$/.exec(token),
+        chord, rest, ext;
+    if (!m) {
+      return /^"N\.?C\.?"$/i.test(token) ? { name: 'N.C.' } : null;
+    }
+    chord = {
+      name: token.substring(1, token.length - 1),
+      root: m[1],
+      quality: 'maj',
+      extensions: []
+    };
+    rest = m[2];
+    if ((ext = /^(?:min|m(?!aj)|-)/.exec(rest))) {
+      chord.quality = 'min';
+    } else if ((ext = /^(?:dim|o)/.exec(rest))) {
+      chord.quality = 'dim';
+    } else if ((ext = /^(?:aug|\+)(?![\d])/.exec(rest))) {
+      chord.quality = 'aug';
+    }
+    if (ext) { rest = rest.substr(ext[0].length); }
+    while (rest.length) {
+      ext = /^(?:(?:maj|M)\d+|sus[24]?|add\d+|6\/9|\/\d+|[#b+\-]?\d+|[(),])/
+          .exec(rest);
+      if (!ext) { return null; }
+      rest = rest.substr(ext[0].length);
+      if (/^\/\d/.test(ext[0])) {
+        chord.extensions.push('add' + ext[0].substr(1));
+      } else if (/^sus/.test(ext[0])) {
+        chord.quality = (ext[0] == 'sus2') ? 'sus2' : 'sus4';
+      } else if (!/^[(),]$/.test(ext[0])) {
+        chord.extensions.push(ext[0].replace(/^M/, 'maj')
+            .replace(/^\+/, '#').replace(/^-/, 'b'));
+      }
+    }
+    if (m[3]) {
+      chord.bass = m[3];
+    }
+    return chord;
+  }
   // Parses notation of the form (3 or (5:2:10, which means to do
   // the following 3 notes in the space of 2 notes, or to do the following
   // 10 notes at the rate of 5 notes per 2 beats.
@@ -465,27 +1430,119 @@ module.exports = function parseABCFile(str) {
       count: duration
     };
   }
-  // Parse !ppp! markings.
+  // Parse !ppp! markings and !<(! !<)! hairpins.  Returns the name of
+  // an ornament such as !trill!, or undefined for other decorations.
   function parseDecoration(token, accent) {
+    var dynamics = null;
     if (token.length < 2) { return; }
     token = token.substring(1, token.length - 1);
     switch (token) {
       case 'pppp': case 'ppp':
-        accent.dynamics = 0.2; break;
+        dynamics = 0.2; break;
       case 'pp':
-        accent.dynamics = 0.4; break;
+        dynamics = 0.4; break;
       case 'p':
-        accent.dynamics = 0.6; break;
+        dynamics = 0.6; break;
       case 'mp':
-        accent.dynamics = 0.8; break;
+        dynamics = 0.8; break;
       case 'mf':
-        accent.dynamics = 1.0; break;
+        dynamics = 1.0; break;
       case 'f':
-        accent.dynamics = 1.2; break;
+        dynamics = 1.2; break;
       case 'ff':
-        accent.dynamics = 1.4; break;
+        dynamics = 1.4; break;
       case 'fff': case 'ffff':
-        accent.dynamics = 1.5; break;
+        dynamics = 1.5; break;
+      case 'crescendo(': case '<(':
+        startHairpin('crescendo', accent); break;
+      case 'diminuendo(': case '>(':
+        startHairpin('diminuendo', accent); break;
+      case 'crescendo)': case '<)': case 'diminuendo)': case '>)':
+        endHairpin(accent); break;
+    }
+    if (dynamics) {
+      accent.dynamics = dynamics;
+      reachDynamics(dynamics, accent);
+    }
+    if (ABCornament.hasOwnProperty(token) && token.length > 1) {
+      return ABCornament[token];
+    }
+  }
+  // Attaches ornaments to every note of a stem as a list of {type},
+  // where type is trill, mordent, uppermordent, turn, invertedturn, roll
+  // or fermata.  Ornaments played with neighbouring notes also have the
+  // upper and lower neighbour pitches in the current key and measure.
+  function addOrnaments(stem, ornaments) {
+    var j, k, note, ornament;
+    for (j = 0; j < stem.notes.length; ++j) {
+      note = stem.notes[j];
+      note.ornaments = [];
+      for (k = 0; k < ornaments.length; ++k) {
+        ornament = { type: ornaments[k] };
+        if (ornament.type != 'fermata') {
+          ornament.upper = neighborPitch(note.pitch, 1);
+          ornament.lower = neighborPitch(note.pitch, -1);
+        }
+        note.ornaments.push(ornament);
+      }
+    }
+  }
+  // Returns the pitch a diatonic step above (step = 1) or below (step = -1)
+  // the given pitch, spelled with the key signature and any accidentals
+  // from the current measure.
+  function neighborPitch(pitch, step) {
+    var m = /^(?:[\^_]\d*\/\d*|\^+|_+|=)?([A-Ga-g])([,']*)$/.exec(pitch),
+        letters = 'CDEFGAB', n, octave, letter;
+    if (!m) { return pitch; }
+    octave = (m[1] >= 'a' ? 1 : 0) +
+        m[2].replace(/,/g, '').length - m[2].replace(/'/g, '').length;
+    n = letters.indexOf(m[1].toUpperCase()) + 7 * octave + step;
+    octave = Math.floor(n / 7);
+    letter = letters.charAt(n - 7 * octave);
+    if (octave > 0) {
+      letter = letter.toLowerCase();
+      octave -= 1;
+    }
+    for (; octave > 0; --octave) { letter += "'"; }
+    for (; octave < 0; ++octave) { letter += ','; }
+    return applyAccent(letter, key, accent);
+  }
+  // Starts a crescendo or diminuendo hairpin at the next stem.  Hairpins
+  // are recorded on the voice as {type, start, end, to, until}: start
+  // and end are the stem indexes where the hairpin begins and ends, to
+  // is the velocity of a dynamic marking right at the end, and until is
+  // the stem index of the next dynamic marking if the hairpin has none.
+  function startHairpin(type, accent) {
+    endHairpin(accent);
+    if (!('hairpins' in context)) { context.hairpins = []; }
+    accent.hairpin = {
+      type: type,
+      start: context.stems ? context.stems.length : 0
+    };
+    context.hairpins.push(accent.hairpin);
+    // The new hairpin carries on from where any earlier one left off.
+    delete accent.reached;
+  }
+  // Ends the current hairpin, if any, just before the next stem.
+  function endHairpin(accent) {
+    if (!accent.hairpin) { return; }
+    accent.hairpin.end = context.stems ? context.stems.length : 0;
+    accent.reached = accent.hairpin;
+    delete accent.hairpin;
+  }
+  // A dynamic marking ends a hairpin.  If it comes right at the end of
+  // the hairpin, it is the level that the hairpin leads to; otherwise
+  // it marks the end of the level that the hairpin reached.
+  function reachDynamics(velocity, accent) {
+    var count = context.stems ? context.stems.length : 0;
+    endHairpin(accent);
+    if (accent.reached) {
+      if (accent.reached.end == count) {
+        accent.reached.to = velocity;
+      } else {
+        accent.reached.until = count;
+      }
+      delete accent.reached;
     }
   }
   // Parses a stem, which may be a single note, or which may be
@@ -493,8 +1550,8 @@ module.exports = function parseABCFile(str) {
   function parseStem(tokens, index, key, accent) {
     var notes = [],
         duration = '', staccato = false,
-        noteDuration, noteTime, velocity,
-        lastNote = null, minStemTime = Infinity, j;
+        noteDuration, noteTime, velocity, start = index, noteStart = null,
+        lastNote = null, minStemTime = Infinity, measures = false, stem, j;
     // A single staccato marking applies to the entire stem.
     if (index < tokens.length && '.' == tokens[index]) {
       staccato = true;
@@ -512,11 +1569,14 @@ module.exports = function parseABCFile(str) {
         }
         if (/[A-Ga-g]/.test(tokens[index])) {
           // Grab a pitch.
+          noteStart = index;
           lastNote = {
-            pitch: applyAccent(tokens[index++], key, accent),
+            pitch: shiftOctave(
+                applyAccent(tokens[index++], key, accent), voiceOctave()),
             tie: false
           }
           lastNote.frequency = pitchToFrequency(lastNote.pitch);
+          mapDrum(lastNote, tokens[noteStart]);
           notes.push(lastNote);
         } else if (/[xzXZ]/.test(tokens[index])) {
           // Grab a rest.
@@ -533,9 +1593,12 @@ module.exports = function parseABCFile(str) {
         }
         // After a pitch or rest, look for a duration.
         if (index < tokens.length &&
-            /^(?![\s%!]).*[\d\/]/.test(tokens[index])) {
+            /^\d*\/*\d*$/.test(tokens[index])) {
           noteDuration = tokens[index++];
           noteTime = durationToTime(noteDuration);
+          if (!(noteTime > 0)) {
+            diagnoseToken('error', 'Bad duration', tokens, index - 1);
+          }
         } else {
           noteDuration = '';
           noteTime = 1;
@@ -562,6 +1625,10 @@ module.exports = function parseABCFile(str) {
           }
           index++;
         }
+        // A note within a chord spans its pitch, duration and tie.
+        if (lastNote) {
+          lastNote.source = sourceRange(noteStart, index);
+        }
       }
       // The last thing in a chord should be a ].  If it isn't, then
       // this doesn't look like a stem after all, and return null.
@@ -569,27 +1636,36 @@ module.exports = function parseABCFile(str) {
         return null;
       }
       index++;
+      noteStart = null;
     } else if (index < tokens.length && /[A-Ga-g]/.test(tokens[index])) {
       // Grab a single note.
+      noteStart = index;
       lastNote = {
-        pitch: applyAccent(tokens[index++], key, accent),
+        pitch: shiftOctave(
+            applyAccent(tokens[index++], key, accent), voiceOctave()),
         tie: false,
         duration: '',
         time: 1
       }
       lastNote.frequency = pitchToFrequency(lastNote.pitch);
+      mapDrum(lastNote, tokens[noteStart]);
       notes.push(lastNote);
     } else if (index < tokens.length && /^[xzXZ]$/.test(tokens[index])) {
-      // Grab a rest - no pitch.
+      // Grab a rest - no pitch.  Z and X rest for whole measures.
+      measures = /^[XZ]$/.test(tokens[index]);
       index++;
     } else {
       // Something we don't recognize - not a stem.
       return null;
     }
     // Right after a [chord], note, or rest, look for a duration marking.
-    if (index < tokens.length && /^(?![\s%!]).*[\d\/]/.test(tokens[index])) {
+    if (index < tokens.length &&
+        /^\d*\/*\d*$/.test(tokens[index])) {
       duration = tokens[index++];
       noteTime = durationToTime(duration);
+      if (!(noteTime > 0)) {
+        diagnoseToken('error', 'Bad duration', tokens, index - 1);
+      }
       // Apply the duration to all the ntoes in the stem.
       // NOTE: spec suggests multiplying this duration, but that
       // idiom is not seen (so far) in practice.
@@ -611,15 +1687,36 @@ module.exports = function parseABCFile(str) {
         notes[j].velocity = velocity;
       }
     }
-    return {
-      index: index,
-      stem: {
-        notes: notes,
-        duration: duration,
-        staccato: staccato,
-        time: durationToTime(duration)
-      }
+    // A single note spans its pitch, duration and tie.
+    if (noteStart !== null) {
+      lastNote.source = sourceRange(noteStart, index);
+    }
+    stem = {
+      notes: notes,
+      duration: duration,
+      staccato: staccato,
+      time: durationToTime(duration),
+      source: sourceRange(start, index)
     };
+    if (measures && stem.time > 0) {
+      // The duration of Z4 counts measures of the current meter.
+      stem.measures = stem.time;
+      stem.time *= measureTime();
+    }
+    return { index: index, stem: stem };
+  }
+  // Sets the drum of a note whose written pitch is mapped by a %%percmap
+  // for its voice or the file.  The map is for the note as written, so
+  // it is not changed by the key signature or by accidentals in the bar.
+  function mapDrum(note, written) {
+    var maps = [(accent.voice || context).percmap, result.percmap], j;
+    written = stripNatural(written);
+    for (j = 0; j < maps.length; ++j) {
+      if (maps[j] && maps[j].hasOwnProperty(written)) {
+        note.drum = maps[j][written];
+        return;
+      }
+    }
   }
   // Normalizes pitch markings by stripping leading = if present.
   function stripNatural(pitch) {
@@ -632,7 +1729,7 @@ module.exports = function parseABCFile(str) {
   // that have accumulated within the measure, and also saving
   // explicit accidentals to continue to apply in the measure.
   function applyAccent(pitch, key, accent) {
-    var m = /^(\^+|_+|=|)([A-Ga-g])(.*)$/.exec(pitch), letter;
+    var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])(.*)$/.exec(pitch), letter;
     if (!m) { return pitch; }
     // Note that an accidental in one octave applies in other octaves.
     letter = m[2].toUpperCase();
@@ -652,22 +1749,331 @@ module.exports = function parseABCFile(str) {
     }
     return stripNatural(pitch);
   }
-  // Converts an ABC duration to a number (e.g., "/3"->0.333 or "11/2"->1.5).
-  function durationToTime(duration) {
-    var m = /^(\d*)(?:\/(\d*))?$|^(\/+)$/.exec(duration), n, d, i = 0, ilen;
-    if (!m) return;
-    if (m[3]) return Math.pow(0.5, m[3].length);
-    d = (m[2] ? parseFloat(m[2]) : /\//.test(duration) ? 2 : 1);
-    // Handle mixed frations:
-    ilen = 0;
-    n = (m[1] ? parseFloat(m[1]) : 1);
-    if (m[2]) {
-      while (ilen + 1 < m[1].length && n > d) {
-        ilen += 1
-        i = parseFloat(m[1].substring(0, ilen))
-        n = parseFloat(m[1].substring(ilen))
+}
+
+// Helper functions below are shared with the ABC formatter.
+
+// Returns a map of A-G -> accidentals, according to the key signature.
+// When n is zero, there are no accidentals (e.g., C major or A minor).
+// When n is positive, there are n sharps (e.g., for G major, n = 1).
+// When n is negative, there are -n flats (e.g., for F major, n = -1).
+function accidentals(n) {
+  var sharps = 'FCGDAEB',
+      result = {}, j;
+  if (!n) {
+    return result;
+  }
+  if (n > 0) {  // Handle sharps.
+    for (j = 0; j < n && j < 7; ++j) {
+      result[sharps.charAt(j)] = '^';
+    }
+  } else {  // Flats are in the opposite order.
+    for (j = 0; j > n && j > -7; --j) {
+      result[sharps.charAt(6 + j)] = '_';
+    }
+  }
+  return result;
+}
+// Decodes the key signature line (e.g., K: C#m) at the front of an ABC tune
+// into a map of A-G -> accidentals, using parseKey.  K:none and keys
+// marked "exp" have only the accidentals written after them, and the
+// Highland bagpipe keys HP and Hp are played with F# and C#.  Returns
+// null for an unknown key.
+function keySignature(keyname) {
+  var key = parseKey(keyname), result, extras, note, j;
+  if (!key) { return null; }
+  if (key.bagpipe) {
+    result = { F: '^', C: '^' };
+  } else if (key.tonic && !key.explicit) {
+    result = accidentals(keyFifths(key));
+  } else {
+    result = {};
+  }
+  extras = key.accidentals || [];
+  for (j = 0; j < extras.length; ++j) {
+    note = extras[j].charAt(extras[j].length - 1).toUpperCase();
+    if (extras[j].charAt(0) == '=') {
+      delete result[note];
+    } else {
+      result[note] = extras[j].substr(0, extras[j].length - 1);
+    }
+  }
+  return result;
+}
+// Returns the number of sharps (or if negative, flats) in the signature
+// of a key parsed by parseKey.
+function keyFifths(key) {
+  var alter = key.tonic.charAt(1);
+  return ABCtonicFifths[key.tonic.charAt(0)] +
+      (alter == '#' ? 7 : alter == 'b' ? -7 : 0) + ABCmodeFifths[key.mode];
+}
+// Collects the information fields of a parsed file's header into an
+// object with the fields that are present of
+// {
+//   titles: [...] the T: titles
+//   composer, origin, rhythm, notes, source, book, transcription,
+//       discography: the C:, O:, R:, N:, S:, B:, Z: and D: fields, with
+//       repeated fields newline-separated
+//   key: the K: key, as parsed by parseKey
+//   voices: [...] the voices defined by V: lines in the header or the
+//       body, in order, as parsed by parseVoiceDefinition
+// }
+function parseMeta(result) {
+  var meta = {}, voices = [], byid = {}, defs, field, key, def, id, j;
+  for (field in ABCmeta) {
+    if (result.hasOwnProperty(field)) {
+      meta[ABCmeta[field]] = (field == 'T') ?
+          result.T.split('\n') : result[field];
+    }
+  }
+  key = parseKey(String(result.K || '').split('\n')[0]);
+  if (key) {
+    meta.key = key;
+  }
+  defs = result.V ? result.V.split('\n') : [];
+  for (id in result.voice) {
+    if (result.voice[id].V) {
+      defs = defs.concat(result.voice[id].V.split('\n'));
+    }
+  }
+  for (j = 0; j < defs.length; ++j) {
+    def = parseVoiceDefinition(defs[j]);
+    if (!def.id) { continue; }
+    if (!byid.hasOwnProperty(def.id)) {
+      byid[def.id] = { id: def.id };
+      voices.push(byid[def.id]);
+    }
+    // Later definitions of a voice add to the earlier ones.
+    for (field in def) {
+      byid[def.id][field] = def[field];
+    }
+  }
+  if (voices.length) {
+    meta.voices = voices;
+  }
+  return meta;
+}
+// Parses a V: definition such as 'T1 clef=treble-8 name="Tenor I"
+// snm="T.I"' into an object with the voice's id and any of name,
+// subname (from subname=, sname= or snm=), clef, transpose and octave.
+function parseVoiceDefinition(value) {
+  var result = { id: value.trim().split(/\s+/)[0] }, m;
+  m = /(?:^|\s)(?:name|nm)=("[^"]*"|\S+)/i.exec(value);
+  if (m) {
+    result.name = m[1].replace(/^"(.*)"$/, '$1');
+  }
+  m = /(?:^|\s)(?:subname|sname|snm)=("[^"]*"|\S+)/i.exec(value);
+  if (m) {
+    result.subname = m[1].replace(/^"(.*)"$/, '$1');
+  }
+  m = /(?:^|\s)clef=(\S+)/.exec(value);
+  if (m) {
+    result.clef = m[1];
+  }
+  m = /(?:^|\s)transpose=([+\-]?\d+)/.exec(value);
+  if (m) {
+    result.transpose = parseInt(m[1], 10);
+  }
+  m = /(?:^|\s)octave=([+\-]?\d+)/.exec(value);
+  if (m) {
+    result.octave = parseInt(m[1], 10);
+  }
+  return result;
+}
+// Parses a K: field such as "F#m", "D mix ^g", "Bb major clef=bass",
+// "G bass", "none" or "HP", following ABC 2.1, into an object with the
+// parts that are present of
+// {
+//   tonic: the tonic, a capital letter with any # or b, such as "F#"
+//   mode: the name of the mode, such as "major", "minor" or "dorian"
+//   none: true for K:none, which has no key signature
+//   bagpipe: "HP" or "Hp", for Highland bagpipe music
+//   explicit: true if "exp" says the accidentals are the whole signature
+//   accidentals: the accidentals written after the key, such as "^g"
+//   clef: the clef, given by clef= or by name, such as "bass" or "alto1"
+//   middle: the pitch on the middle line of the staff, from middle=
+//   transpose, octave: the numbers given by transpose= and octave=
+// }
+// A field with only a clef or other modifiers has no tonic, and keeps
+// the key that is in effect.  Returns null for a key that is not
+// understood, or that has more than seven sharps or flats.
+function parseKey(value) {
+  var tokens = (value || '').trim().split(/\s+/), result = {}, index = 0,
+      token, m, j;
+  token = tokens[0];
+  if (/^none$/i.test(token)) {
+    result.none = true;
+    index = 1;
+  } else if (/^hp$/i.test(token)) {
+    result.bagpipe = token;
+    index = 1;
+  } else if ((m = /^([A-G])([#b]?)([A-Za-z]*)$/i.exec(token)) &&
+      (m[3] ? keyMode(m[3]) : true)) {
+    // The mode may follow the tonic directly, as in "F#m", or after a
+    // space, as in "A minor".
+    result.tonic = m[1].toUpperCase() + m[2];
+    result.mode = keyMode(m[3]) || keyMode(tokens[1] || '') || 'major';
+    index = (!m[3] && keyMode(tokens[1] || '')) ? 2 : 1;
+  }
+  for (j = index; j < tokens.length; ++j) {
+    token = tokens[j];
+    if (!token) {
+      continue;
+    } else if (token == 'exp') {
+      result.explicit = true;
+    } else if (/^(?:(?:[\^_]\d*\/\d*|\^+|_+|=)[A-Ga-g])+$/.test(token)) {
+      result.accidentals = (result.accidentals || []).concat(
+          token.match(/(?:[\^_]\d*\/\d*|\^+|_+|=)[A-Ga-g]/g));
+    } else if ((m = /^(clef|middle|transpose|octave)=(\S+)$/.exec(token))) {
+      result[m[1]] = /^(?:transpose|octave)$/.test(m[1]) ?
+          parseInt(m[2], 10) : m[2];
+    } else if (ABCclefName.test(token)) {
+      result.clef = token;
+    } else if (!/^[a-z\-]+=/i.test(token) && !index) {
+      // Other modifiers are for typesetting, but a key that is not
+      // understood is unknown.
+      return null;
+    }
+  }
+  if (result.tonic && Math.abs(keyFifths(result)) > 7) {
+    return null;
+  }
+  return result;
+}
+// Returns the name of the mode for a word such as "m", "Min" or
+// "dorian", which may be abbreviated to its first three letters, or
+// null if the word does not name a mode.
+function keyMode(word) {
+  word = word.toLowerCase();
+  if (word.length > 1 && word.length < 3) { return null; }
+  return (word.length && ABCmode[word.substr(0, 3)]) || null;
+}
+// Expands the order of parts given by a P: header field, such as
+// "AABB", "(AB)3C" or "A2.B", into a list of part names.  A number
+// repeats the part or parenthesized group before it, and dots and
+// spaces are ignored.
+function parsePartOrder(value) {
+  var index = 0, result = [];
+  function sequence() {
+    var parts = [], group, count, m, c, j;
+    while (index < value.length && value.charAt(index) != ')') {
+      c = value.charAt(index++);
+      if (c == '(') {
+        group = sequence();
+        index += 1;
+      } else if (/[A-Za-z]/.test(c)) {
+        group = [c.toUpperCase()];
+      } else {
+        continue;
+      }
+      m = /^\d+/.exec(value.substr(index));
+      count = m ? parseInt(m[0], 10) : 1;
+      index += m ? m[0].length : 0;
+      for (j = 0; j < count; ++j) {
+        parts = parts.concat(group);
       }
     }
-    return i + (n / d);
+    return parts;
   }
+  while (index < value.length) {
+    result = result.concat(sequence());
+    // Skip any unmatched close parenthesis.
+    index += 1;
+  }
+  return result;
 }
+// Returns the octaves to shift the notes written for a clef such as
+// "bass" or "treble-8", given the octave= modifier if there is one.
+function clefOctave(clef, octave) {
+  var m = /^([a-z]*)\d?([+\-]8)?$/i.exec(clef), shift = 0;
+  if (m) {
+    if (octave == null) {
+      octave = ABCclefOctave[m[1].toLowerCase()] || 0;
+    }
+    shift = m[2] ? parseInt(m[2], 10) / 8 : 0;
+  }
+  return (octave || 0) + shift;
+}
+// Moves a pitch such as "^G," up (octaves > 0) or down by some octaves.
+function shiftOctave(pitch, octaves) {
+  var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch),
+      octave, letter;
+  if (!m || !octaves) { return pitch; }
+  octave = (m[2] >= 'a' ? 1 : 0) + octaves +
+      m[3].replace(/,/g, '').length - m[3].replace(/'/g, '').length;
+  letter = m[2].toUpperCase();
+  if (octave > 0) {
+    letter = letter.toLowerCase();
+    octave -= 1;
+  }
+  for (; octave > 0; --octave) { letter += "'"; }
+  for (; octave < 0; ++octave) { letter += ','; }
+  return m[1] + letter;
+}
+// Parses a timbre written in ABC: either a name such as "piano" (a wave
+// or a built-in timbre preset), or properties in braces such as
+// "{wave:sawtooth, cutoff:800}", which become an object of the kind
+// accepted by makeTimbre, with numbers for numeric values.
+function parseTimbre(str) {
+  var m = /^\{(.*)\}$/.exec(str.trim()), result = {}, pairs, j;
+  if (!m) {
+    return str.trim().replace(/^(["'])(.*)\1$/, '$2') || null;
+  }
+  pairs = m[1].split(/[,;]/);
+  for (j = 0; j < pairs.length; ++j) {
+    m = /^\s*(["']?)(\w+)\1\s*[:=]\s*(["']?)([^"']*)\3\s*$/.exec(pairs[j]);
+    if (m) {
+      result[m[2]] = (m[4] === '' || isNaN(m[4])) ? m[4] : Number(m[4]);
+    }
+  }
+  return result;
+}
+
+// Returns the length of a measure for an M: meter such as "3/4", "C"
+// or "C|", as a fraction of a whole note, or 0 for "none".
+function meterLength(meter) {
+  var m = /^\s*(\d+(?:\+\d+)*)\s*\/\s*(\d+)/.exec(meter), n = 0, parts, j;
+  if (/^\s*C/.test(meter)) { return 1; }
+  if (!m) { return 0; }
+  parts = m[1].split('+');
+  for (j = 0; j < parts.length; ++j) {
+    n += Number(parts[j]);
+  }
+  return n / Number(m[2]);
+}
+
+// Returns the length of a beat for an M: meter, as a fraction of a whole
+// note.  The beat is the note of the meter's denominator, so 6/8 has
+// eighth-note beats; "C" has quarter-note beats and "C|" half-note beats.
+function meterBeat(meter) {
+  var m = /^\s*\d+(?:\+\d+)*\s*\/\s*(\d+)/.exec(meter);
+  if (/^\s*C\|/.test(meter)) { return 1/2; }
+  if (/^\s*C/.test(meter)) { return 1/4; }
+  return m ? 1 / Number(m[1]) : 0;
+}
+
+// Converts an ABC duration to a number (e.g., "/3"->0.333 or "11/2"->1.5).
+function durationToTime(duration) {
+  var m = /^(\d*)(?:\/(\d*))?$|^(\/+)$/.exec(duration), n, d, i = 0, ilen;
+  if (!m) return;
+  if (m[3]) return Math.pow(0.5, m[3].length);
+  d = (m[2] ? parseFloat(m[2]) : /\//.test(duration) ? 2 : 1);
+  // Handle mixed frations:
+  ilen = 0;
+  n = (m[1] ? parseFloat(m[1]) : 1);
+  if (m[2]) {
+    while (ilen + 1 < m[1].length && n > d) {
+      ilen += 1
+      i = parseFloat(m[1].substring(0, ilen))
+      n = parseFloat(m[1].substring(ilen))
+    }
+  }
+  return i + (n / d);
+}
+
+module.exports.ABCParseError = ABCParseError;
+module.exports.keySignature = keySignature;
+module.exports.parseKey = parseKey;
+module.exports.durationToTime = durationToTime;
+module.exports.shiftOctave = shiftOctave;
+module.exports.meterLength = meterLength;
@@ -0,0 +1,43 @@
+// Built-in timbre presets, and the preset used for each General MIDI
+// program, so that tunes that choose an instrument with %%MIDI program
+// sound something like it.  Each preset is a timbre as accepted by
+// makeTimbre; fields that are not given take their defaults.
+
+var presets = module.exports.presets = {
+  piano: { wave: 'piano' },
+  chromatic: { wave: 'sine', gain: 0.2, attack: 0.001, decay: 0.5 },
+  organ: { wave: 'square', gain: 0.06, attack: 0.01, decay: 0.1,
+      sustain: 0.8, release: 0.05, cutoff: 3000 },
+  guitar: { wave: 'triangle', gain: 0.25, attack: 0.002, decay: 0.6,
+      decayfollow: 0.5, cutfollow: 6 },
+  bass: { wave: 'triangle', gain: 0.3, attack: 0.005, decay: 0.8,
+      sustain: 0.2 },
+  strings: { wave: 'sawtooth', gain: 0.06, attack: 0.08, decay: 0.5,
+      sustain: 0.7, release: 0.2, cutoff: 0, cutfollow: 8, detune: 1.003 },
+  brass: { wave: 'sawtooth', gain: 0.08, attack: 0.03, decay: 0.3,
+      sustain: 0.6, release: 0.1, cutfollow: 5, resonance: 2 },
+  reed: { wave: 'square', gain: 0.07, attack: 0.02, decay: 0.3,
+      sustain: 0.6, release: 0.08, cutfollow: 4 },
+  pipe: { wave: 'sine', gain: 0.25, attack: 0.04, decay: 0.3,
+      sustain: 0.7, release: 0.1 },
+  lead: { wave: 'square', gain: 0.08, attack: 0.005, decay: 0.2,
+      sustain: 0.7, release: 0.05 },
+  pad: { wave: 'sawtooth', gain: 0.05, attack: 0.3, decay: 1,
+      sustain: 0.8, release: 0.5, cutfollow: 3, detune: 1.006 },
+  percussion: { wave: 'noise', gain: 0.3, attack: 0.001, decay: 0.1,
+      release: 0.05, cutfollow: 6 },
+  // The synthesized drum kit of drums.js, played by midi drum number.
+  kit: { wave: 'kit', gain: 0.5 }
+};
+
+// The preset for each family of eight General MIDI programs.
+var families = [
+  'piano', 'chromatic', 'organ', 'guitar', 'bass', 'strings', 'strings',
+  'brass', 'reed', 'pipe', 'lead', 'pad', 'pad', 'guitar', 'chromatic',
+  'percussion'
+];
+
+// Returns the preset for a General MIDI program number from 0 to 127.
+module.exports.programTimbre = function(program) {
+  return presets[families[Math.floor(program / 8)]] || null;
+};
@@ -0,0 +1,220 @@
+// Transposes a parsed ABC file (the structure returned by parseABCFile)
+// by a number of semitones.  The key signature moves to the new key,
+// and each note is respelled to keep its place in the scale: in a tune
+// moved from G to A, an F# becomes a G#, and a C natural becomes a D.
+// Where that would need a double sharp or flat that was not written in
+// the original, the note is spelled with a neighboring letter instead,
+// preferring sharps in sharp keys and flats in flat keys.  Chord symbols
+// and ornament neighbors are transposed the same way.
+
+var utils = require('./utils');
+var pitchToMidi = utils.pitchToMidi;
+var pitchToFrequency = utils.pitchToFrequency;
+var accidentalSemitones = utils.accidentalSemitones;
+var parseKeyField = require('./parser-abc').parseKey;
+
+// Tonics in the order of the circle of fifths; C is at index 8.
+var fifths = ['Fb', 'Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D',
+    'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#', 'E#', 'B#'];
+// How many fifths above the major key each mode's tonic is.
+var modeFifths = {
+  major: 0, mixolydian: 1, dorian: 2, minor: 3, phrygian: 4, locrian: 5,
+  lydian: -1
+};
+var letters = 'CDEFGAB';
+var naturalSemitone = [0, 2, 4, 5, 7, 9, 11];
+
+module.exports = function transposeABC(parsed, semitones) {
+  var result = JSON.parse(JSON.stringify(parsed)),
+      key = parseKey(firstLine(parsed.K)) || parseKey('C'),
+      count = key.count, steps, sharps, id, voice, stems, j, k, note;
+  semitones = Math.round(semitones) || 0;
+  if (!semitones) { return result; }
+  count = moveKey(count, semitones);
+  // The number of letter names to move each note, in the direction of
+  // the transposition.
+  steps = (letters.indexOf(fifths[count + 8 + key.mode].charAt(0)) -
+      letters.indexOf(key.tonic.charAt(0)) + 7) % 7;
+  steps += 7 * Math.round((semitones * 7 / 12 - steps) / 7);
+  sharps = count > 0 || (count == 0 && semitones > 0);
+  if (result.K) {
+    result.K = transposeKey(result.K, semitones, transposePitch);
+    if (result.meta && result.meta.key) {
+      result.meta.key = parseKeyField(firstLine(result.K));
+    }
+  }
+  for (id in result.voice) {
+    voice = result.voice[id];
+    // The notes of percussion voices choose drums, not pitches.
+    if (('channel' in voice ? voice.channel : parsed.channel) == 10 ||
+        /^perc/i.test(('clef' in voice ? voice.clef : parsed.clef) || '')) {
+      continue;
+    }
+    if (voice.K) {
+      voice.K = transposeKey(voice.K, semitones, transposePitch);
+    }
+    // So do the key changes after the notes begin.
+    for (j = 0; voice.fields && j < voice.fields.length; ++j) {
+      if (voice.fields[j].field == 'K') {
+        voice.fields[j].value = transposeKey(voice.fields[j].value,
+            semitones, transposePitch);
+      }
+    }
+    // The notes of the voice and of its overlays.
+    stems = [].concat.apply(voice.stems || [],
+        (voice.overlays || []).map(function(o) { return o.stems; }));
+    for (j = 0; j < stems.length; ++j) {
+      for (k = 0; k < stems[j].notes.length; ++k) {
+        note = stems[j].notes[k];
+        note.pitch = transposePitch(note.pitch);
+        note.frequency = pitchToFrequency(note.pitch);
+        transposeOrnaments(note.ornaments);
+      }
+      if (stems[j].chord) {
+        transposeChord(stems[j].chord);
+      }
+    }
+  }
+  return result;
+
+  // Moves a pitch such as "^F," by the transposition, respelled so that
+  // it needs no more than a single sharp or flat (or as many as the
+  // original had).  Microtonal accidentals keep their fraction.
+  function transposePitch(pitch) {
+    var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch),
+        index;
+    if (!m) { return pitch; }
+    index = letters.indexOf(m[2].toUpperCase()) + steps + 7 * (
+        (m[2] >= 'a' ? 1 : 0) +
+        m[3].replace(/,/g, '').length - m[3].replace(/'/g, '').length);
+    return spell(index, pitchToMidi(pitch) + semitones,
+        Math.max(1, Math.ceil(Math.abs(accidentalSemitones(m[1])))), sharps);
+  }
+  function transposeOrnaments(ornaments) {
+    for (var j = 0; ornaments && j < ornaments.length; ++j) {
+      if (ornaments[j].upper) {
+        ornaments[j].upper = transposePitch(ornaments[j].upper);
+      }
+      if (ornaments[j].lower) {
+        ornaments[j].lower = transposePitch(ornaments[j].lower);
+      }
+    }
+  }
+  // Moves the root and bass of a chord symbol such as "F#m7/C#".
+  function transposeChord(chord) {
+    if (!chord.root) { return; }
+    chord.root = chordRoot(transposePitch(abcRoot(chord.root)));
+    chord.name = chord.name.replace(/^[A-G][#b]?/, chord.root);
+    if (chord.bass) {
+      chord.bass = chordRoot(transposePitch(abcRoot(chord.bass)));
+      chord.name = chord.name.replace(/\/[A-G][#b]?$/, '/' + chord.bass);
+    }
+  }
+};
+
+// Renames the tonic of each K: line, keeping its mode and modifiers, and
+// moves any explicit accidentals such as "^/f" with transposePitch.
+function transposeKey(value, semitones, transposePitch) {
+  var lines = value.split('\n'), j, key;
+  function transposeAccidental(text, space, pitch) {
+    pitch = transposePitch(pitch).replace(/[,']/g, '').toLowerCase();
+    return space + (/^[a-g]/.test(pitch) ? '=' : '') + pitch;
+  }
+  for (j = 0; j < lines.length; ++j) {
+    key = parseKey(lines[j]);
+    if (key) {
+      lines[j] = lines[j].replace(/^(\s*)[A-G][#b]?/i,
+          '$1' + fifths[moveKey(key.count, semitones) + 8 + key.mode]);
+    }
+    lines[j] = lines[j].replace(
+        /(\s)((?:[\^_]\d*\/\d*|\^+|_+|=)[A-Ga-g])(?=\s|$)/g,
+        transposeAccidental);
+  }
+  return lines.join('\n');
+}
+
+// Returns the number of sharps (or if negative, flats) in a key signature
+// after transposing it.  Each semitone moves the key seven fifths around
+// the circle of fifths, and keys with more than six sharps or flats are
+// avoided.
+function moveKey(count, semitones) {
+  if (semitones % 12 === 0) { return count; }
+  count = ((count + 7 * semitones) % 12 + 12) % 12;
+  if (count > 6 || (count == 6 && semitones < 0)) { count -= 12; }
+  return count;
+}
+
+// Returns the first of the newline-separated values of a field.
+function firstLine(value) {
+  return String(value || '').split('\n')[0];
+}
+
+// Parses the tonic and mode of a key such as "F#m" or "D dorian" into
+// {tonic, mode, count}, where mode is the number of fifths between the
+// tonic and the major key with the same signature, and count is the
+// number of sharps (or, if negative, flats).  Returns null for keys
+// without a tonic, such as "none" or "HP".
+function parseKey(keyname) {
+  var key = parseKeyField(keyname), mode;
+  if (!key || !key.tonic) { return null; }
+  mode = modeFifths[key.mode];
+  return {
+    tonic: key.tonic,
+    mode: mode,
+    count: fifths.indexOf(key.tonic) - 8 - mode
+  };
+}
+
+// Spells a midi number using the letter at the given index (counting
+// letter names up from middle C), unless that needs more than the limit
+// of sharps or flats, in which case a neighboring letter is used.
+function spell(index, midi, limit, sharps) {
+  var best = null, candidates = [index, index + 1, index - 1],
+      j, octave, alter, result;
+  for (j = 0; j < candidates.length; ++j) {
+    octave = Math.floor(candidates[j] / 7);
+    alter = midi - 60 - 12 * octave -
+        naturalSemitone[candidates[j] - 7 * octave];
+    if (!best || Math.abs(alter) < Math.abs(best.alter) ||
+        (Math.abs(alter) == Math.abs(best.alter) && (alter > 0) == sharps)) {
+      best = { index: candidates[j], alter: alter };
+    }
+    if (!j && Math.abs(alter) <= limit) {
+      // The letter that keeps the note's place in the scale will do.
+      break;
+    }
+  }
+  octave = Math.floor(best.index / 7);
+  result = letters.charAt(best.index - 7 * octave);
+  if (octave > 0) {
+    result = result.toLowerCase();
+    octave -= 1;
+  }
+  for (; octave > 0; --octave) { result += "'"; }
+  for (; octave < 0; ++octave) { result += ','; }
+  if (best.alter % 1) {
+    return microtonal(best.alter) + result;
+  }
+  for (alter = best.alter; alter > 0; --alter) { result = '^' + result; }
+  for (; alter < 0; ++alter) { result = '_' + result; }
+  return result;
+}
+
+// Writes a microtonal accidental for a fraction of semitones, such as
+// "^/" for a half semitone sharp or "_3/4" for three quarters flat.
+function microtonal(alter) {
+  var sign = alter > 0 ? '^' : '_', size = Math.abs(alter), d = 2;
+  while (d < 64 && (size * d) % 1) { d *= 2; }
+  if (size * d == 1 && d == 2) { return sign + '/'; }
+  return sign + Math.round(size * d) + '/' + d;
+}
+
+// Converts between chord roots such as "Bb" and ABC pitches such as "_B".
+function abcRoot(root) {
+  return root.charAt(1) == '#' ? '^' + root.charAt(0) :
+      root.charAt(1) == 'b' ? '_' + root.charAt(0) : root;
+}
+function chordRoot(pitch) {
+  return pitch.replace(/[,']/g, '').replace(/^\^(.)$/, '$1#')
+      .replace(/^_(.)$/, '$1b');
+}
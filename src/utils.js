@@ -71,18 +71,30 @@ var noteName =
     ['C', '^C', 'D', '_E', 'E', 'F', '^F', 'G', '_A', 'A', '_B', 'B',
      'c', '^c', 'd', '_e', 'e', 'f', '^f', 'g', '_a', 'a', '_b', 'b'];
 // Converts a frequency in Hz to the closest midi number.
-function frequencyToMidi(freq) {
+module.exports.frequencyToMidi = frequencyToMidi = function(freq) {
   return Math.round(69 + Math.log(freq / 440) * 12 / Math.LN2);
-}
-// Converts an ABC pitch (such as "^G,,") to a midi note number.
+};
+// Converts an ABC pitch (such as "^G,,") to a midi note number.  Pitches
+// with microtonal accidentals (such as "^/G") have fractional numbers.
 module.exports.pitchToMidi = pitchToMidi = function(pitch) {
-  var m = /^(\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch);
+  var m = /^([\^_]\d*\/\d*|\^+|_+|=|)([A-Ga-g])([,']*)$/.exec(pitch);
   if (!m) { return null; }
   var octave = m[3].replace(/,/g, '').length - m[3].replace(/'/g, '').length;
-  var semitone =
-      noteNum[m[2]] + accSym[m[1].charAt(0)] * m[1].length + 12 * octave;
+  var semitone = noteNum[m[2]] + accidentalSemitones(m[1]) + 12 * octave;
   return semitone + 60; // 60 = midi code middle "C".
 }
+// Converts an ABC accidental (such as "^", "__" or "=") to semitones.
+// As in ABC 2.1, microtonal accidentals give a fraction of a semitone:
+// "^/" is a quarter tone sharp, and "_3/4" is three quarters of a
+// semitone flat.
+module.exports.accidentalSemitones = accidentalSemitones = function(acc) {
+  var m = /^([\^_])(\d*)\/(\d*)$/.exec(acc);
+  if (m) {
+    return accSym[m[1]] * (m[2] ? Number(m[2]) : 1) /
+        (m[3] ? Number(m[3]) : 2);
+  }
+  return accSym[acc.charAt(0)] * acc.length;
+};
 // Converts a midi number to an ABC notation pitch.
 module.exports.midiToPitch = function(midi) {
   var index = ((midi - 72) % 12);
@@ -145,9 +157,9 @@ var whiteNoiseBuf = null; // cache
 function getWhiteNoiseBuf() {
   if (whiteNoiseBuf == null) {
     var ac = getAudioTop().ac,
-        bufferSize = 2 * ac.sampleRate,
-        whiteNoiseBuf = ac.createBuffer(1, bufferSize, ac.sampleRate),
-        output = whiteNoiseBuf.getChannelData(0);
+        bufferSize = 2 * ac.sampleRate, output;
+    whiteNoiseBuf = ac.createBuffer(1, bufferSize, ac.sampleRate);
+    output = whiteNoiseBuf.getChannelData(0);
     for (var i = 0; i < bufferSize; i++) {
       output[i] = Math.random() * 2 - 1;
     }